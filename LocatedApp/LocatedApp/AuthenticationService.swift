@@ -234,6 +234,16 @@ class AuthenticationService: ObservableObject {
             isLoading = false
             errorMessage = nil
             
+            // Stop push notifications to this device while still authenticated
+            if let fcmToken = UserDefaults.standard.string(forKey: "fcm_token") {
+                do {
+                    try await DeviceRegistration.unregister(fcmToken: fcmToken)
+                    print("✅ Device unregistered from push notifications")
+                } catch {
+                    print("⚠️ Failed to unregister device: \(error.localizedDescription)")
+                }
+            }
+            
             // Sign out from Firebase Auth
             try auth.signOut()
             
@@ -506,15 +506,7 @@ class FamilyService: ObservableObject {
             }
             
             print("✅ Family created successfully with ID: \(familyId)")
-            
-            // Initialize 7-day trial subscription
-            let trialEndsAt = Calendar.current.date(byAdding: .day, value: 7, to: Date()) ?? Date()
-            try await db.collection("families").document(familyId).updateData([
-                "subscriptionStatus": SubscriptionStatus.trial.rawValue,
-                "trialEndsAt": trialEndsAt,
-                "subscriptionExpiresAt": trialEndsAt
-            ])
-            print("✅ Trial subscription initialized, expires: \(trialEndsAt)")
+            // The 7-day trial is started by the createFamily Cloud Function
             
             // Update user's familyId
             try await db.collection("users").document(userId).updateData([
@@ -17,9 +17,10 @@ struct Geofence: Codable, Identifiable {
     let createdBy: String // parent user ID
     let notifyOnEnter: Bool // Send notification when child enters
     let notifyOnExit: Bool // Send notification when child exits
+    let childIds: [String]? // Children the geofence applies to, nil for every child
     
     enum CodingKeys: String, CodingKey {
-        case id, familyId, name, latitude, longitude, radius, isActive, createdAt, createdBy, notifyOnEnter, notifyOnExit
+        case id, familyId, name, latitude, longitude, radius, isActive, createdAt, createdBy, notifyOnEnter, notifyOnExit, childIds
     }
     
     // Custom initializer for backward compatibility with existing geofences
@@ -37,10 +38,11 @@ struct Geofence: Codable, Identifiable {
         // Default to true for backward compatibility
         notifyOnEnter = try container.decodeIfPresent(Bool.self, forKey: .notifyOnEnter) ?? true
         notifyOnExit = try container.decodeIfPresent(Bool.self, forKey: .notifyOnExit) ?? true
+        childIds = try container.decodeIfPresent([String].self, forKey: .childIds)
     }
     
     // Standard initializer
-    init(id: String, familyId: String, name: String, latitude: Double, longitude: Double, radius: Double, isActive: Bool, createdAt: Date, createdBy: String, notifyOnEnter: Bool = true, notifyOnExit: Bool = true) {
+    init(id: String, familyId: String, name: String, latitude: Double, longitude: Double, radius: Double, isActive: Bool, createdAt: Date, createdBy: String, notifyOnEnter: Bool = true, notifyOnExit: Bool = true, childIds: [String]? = nil) {
         self.id = id
         self.familyId = familyId
         self.name = name
@@ -52,6 +54,12 @@ struct Geofence: Codable, Identifiable {
         self.createdBy = createdBy
         self.notifyOnEnter = notifyOnEnter
         self.notifyOnExit = notifyOnExit
+        self.childIds = childIds
+    }
+    
+    /// Whether the geofence applies to a child (every child when childIds is nil)
+    func applies(to childId: String) -> Bool {
+        return childIds?.contains(childId) ?? true
     }
 }
 
@@ -158,8 +166,31 @@ class GeofenceService: NSObject, ObservableObject {
             print("❌ Error accessing family document: \(error)")
         }
         
+        print("🔍 Geofence data: name=\(name), radius=\(radius)")
+        
+        let result: [String: Any]
+        do {
+            result = try await callGeofenceFunction("createGeofence", data: [
+                "familyId": familyId,
+                "name": name,
+                "latitude": latitude,
+                "longitude": longitude,
+                "radius": radius,
+                "notifyOnEnter": notifyOnEnter,
+                "notifyOnExit": notifyOnExit
+            ])
+            print("✅ Geofence created successfully")
+        } catch {
+            print("❌ Failed to create geofence: \(error)")
+            throw error
+        }
+        
+        guard let geofenceId = result["geofenceId"] as? String else {
+            throw GeofenceError.requestFailed("Missing geofenceId in response")
+        }
+        
         let geofence = Geofence(
-            id: UUID().uuidString,
+            id: geofenceId,
             familyId: familyId,
             name: name,
             latitude: latitude,
@@ -172,30 +203,6 @@ class GeofenceService: NSObject, ObservableObject {
             notifyOnExit: notifyOnExit
         )
         
-        let geofenceData: [String: Any] = [
-            "id": geofence.id,
-            "familyId": geofence.familyId,
-            "name": geofence.name,
-            "latitude": geofence.latitude,
-            "longitude": geofence.longitude,
-            "radius": geofence.radius,
-            "isActive": geofence.isActive,
-            "createdAt": geofence.createdAt,
-            "createdBy": geofence.createdBy,
-            "notifyOnEnter": geofence.notifyOnEnter,
-            "notifyOnExit": geofence.notifyOnExit
-        ]
-        
-        print("🔍 Geofence data: \(geofenceData)")
-        
-        do {
-            try await db.collection("geofences").document(geofence.id).setData(geofenceData)
-            print("✅ Geofence created successfully")
-        } catch {
-            print("❌ Failed to create geofence: \(error)")
-            throw error
-        }
-        
         // Add to local array
         await MainActor.run {
             geofences.append(geofence)
@@ -271,15 +278,15 @@ class GeofenceService: NSObject, ObservableObject {
         
         print("✅ User is member of family: \(geofence.familyId)")
         
-        // Update the geofence document
-        try await db.collection("geofences").document(geofence.id).updateData([
+        // Geofences are written by the updateGeofence Cloud Function
+        _ = try await callGeofenceFunction("updateGeofence", data: [
+            "geofenceId": geofence.id,
             "name": name,
             "latitude": latitude,
             "longitude": longitude,
             "radius": radius,
             "notifyOnEnter": notifyOnEnter,
-            "notifyOnExit": notifyOnExit,
-            "updatedAt": Timestamp()
+            "notifyOnExit": notifyOnExit
         ])
         
         print("✅ Geofence updated successfully: \(geofence.id)")
@@ -290,8 +297,8 @@ class GeofenceService: NSObject, ObservableObject {
     
     /// Delete a geofence
     func deleteGeofence(_ geofence: Geofence) async throws {
-        try await db.collection("geofences").document(geofence.id).updateData([
-            "isActive": false
+        _ = try await callGeofenceFunction("deleteGeofence", data: [
+            "geofenceId": geofence.id
         ])
         
         await MainActor.run {
@@ -308,7 +315,8 @@ class GeofenceService: NSObject, ObservableObject {
         notifyOnEnter: Bool,
         notifyOnExit: Bool
     ) async throws {
-        try await db.collection("geofences").document(geofenceId).updateData([
+        _ = try await callGeofenceFunction("updateGeofence", data: [
+            "geofenceId": geofenceId,
             "notifyOnEnter": notifyOnEnter,
             "notifyOnExit": notifyOnExit
         ])
@@ -332,13 +340,50 @@ class GeofenceService: NSObject, ObservableObject {
                     createdAt: oldGeofence.createdAt,
                     createdBy: oldGeofence.createdBy,
                     notifyOnEnter: notifyOnEnter,
-                    notifyOnExit: notifyOnExit
+                    notifyOnExit: notifyOnExit,
+                    childIds: oldGeofence.childIds
                 )
                 geofences[index] = updatedGeofence
             }
         }
     }
     
+    /// Call a geofence Cloud Function via HTTP (callable function)
+    /// Clients can't write geofences directly, so every change goes through
+    /// createGeofence, updateGeofence or deleteGeofence
+    private func callGeofenceFunction(_ name: String, data: [String: Any]) async throws -> [String: Any] {
+        guard let idToken = try await Auth.auth().currentUser?.getIDToken() else {
+            throw GeofenceError.notAuthenticated
+        }
+        
+        let url = URL(string: "https://us-central1-located-d9dce.cloudfunctions.net/\(name)")!
+        var request = URLRequest(url: url)
+        request.httpMethod = "POST"
+        request.setValue("application/json", forHTTPHeaderField: "Content-Type")
+        request.setValue("Bearer \(idToken)", forHTTPHeaderField: "Authorization")
+        
+        // Callable functions expect this format
+        request.httpBody = try JSONSerialization.data(withJSONObject: ["data": data])
+        
+        let (responseData, response) = try await URLSession.shared.data(for: request)
+        let json = try? JSONSerialization.jsonObject(with: responseData) as? [String: Any]
+        
+        guard let httpResponse = response as? HTTPURLResponse,
+              httpResponse.statusCode == 200 else {
+            let error = json?["error"] as? [String: Any]
+            throw GeofenceError.requestFailed(error?["message"] as? String ?? "\(name) failed")
+        }
+        
+        // Parse the callable function response format
+        guard let result = json?["result"] as? [String: Any],
+              let success = result["success"] as? Bool,
+              success else {
+            throw GeofenceError.requestFailed("\(name) failed")
+        }
+        
+        return result
+    }
+    
     // MARK: - Geofence Monitoring
     
     /// Start monitoring all geofences for a family
@@ -586,6 +631,7 @@ enum GeofenceError: LocalizedError {
     case invalidLocation
     case geofenceNotFound
     case notFamilyMember
+    case requestFailed(String)
     
     var errorDescription: String? {
         switch self {
@@ -597,6 +643,8 @@ enum GeofenceError: LocalizedError {
             return "Geofence not found"
         case .notFamilyMember:
             return "User is not a member of this family"
+        case .requestFailed(let message):
+            return message
         }
     }
 }
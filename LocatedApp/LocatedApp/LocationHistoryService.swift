@@ -1,5 +1,5 @@
 import Foundation
-import FirebaseFirestore
+import FirebaseAuth
 import CoreLocation
 
 // MARK: - Location History Point Model
@@ -31,9 +31,9 @@ class LocationHistoryService: ObservableObject {
     @Published var isLoading = false
     @Published var errorMessage: String?
     
-    private let db = Firestore.firestore()
-    
     /// Fetch location history for a child within the specified number of hours
+    /// Read through the getLocationHistory Cloud Function, which checks the
+    /// family's subscription; clients can't read location_history directly
     func fetchHistory(childId: String, hours: Int = 6) async {
         print("📍 Fetching location history for child: \(childId), last \(hours) hours")
         
@@ -41,38 +41,36 @@ class LocationHistoryService: ObservableObject {
         errorMessage = nil
         
         do {
-            // Calculate cutoff time
-            let cutoffDate = Date().addingTimeInterval(-Double(hours) * 3600)
-            let cutoffTimestamp = Timestamp(date: cutoffDate)
+            let result = try await callHistoryFunction(data: [
+                "childId": childId,
+                "hours": hours
+            ])
+            let familyId = result["familyId"] as? String ?? ""
+            let rawPoints = result["points"] as? [[String: Any]] ?? []
             
-            // Query location history
-            let snapshot = try await db.collection("location_history")
-                .whereField("childId", isEqualTo: childId)
-                .whereField("timestamp", isGreaterThan: cutoffTimestamp)
-                .order(by: "timestamp", descending: false)
-                .getDocuments()
+            print("📍 Found \(rawPoints.count) history points")
             
-            print("📍 Found \(snapshot.documents.count) history points")
+            let formatter = ISO8601DateFormatter()
+            formatter.formatOptions = [.withInternetDateTime, .withFractionalSeconds]
             
-            // Parse documents
-            let points = snapshot.documents.compactMap { doc -> LocationHistoryPoint? in
-                let data = doc.data()
-                
-                // Extract timestamp
-                guard let timestamp = data["timestamp"] as? Timestamp else {
-                    print("❌ Missing timestamp in document: \(doc.documentID)")
+            // Parse points
+            let points = rawPoints.compactMap { data -> LocationHistoryPoint? in
+                guard let id = data["id"] as? String,
+                      let timestampString = data["timestamp"] as? String,
+                      let timestamp = formatter.date(from: timestampString) else {
+                    print("❌ Missing timestamp in history point")
                     return nil
                 }
                 
                 // Manually construct the model
                 return LocationHistoryPoint(
-                    id: doc.documentID,
-                    childId: data["childId"] as? String ?? "",
-                    familyId: data["familyId"] as? String ?? "",
+                    id: id,
+                    childId: childId,
+                    familyId: familyId,
                     lat: data["lat"] as? Double ?? 0,
                     lng: data["lng"] as? Double ?? 0,
                     accuracy: data["accuracy"] as? Double ?? 0,
-                    timestamp: timestamp.dateValue(),
+                    timestamp: timestamp,
                     address: data["address"] as? String,
                     batteryLevel: data["batteryLevel"] as? Int,
                     isMoving: data["isMoving"] as? Bool ?? false
@@ -91,9 +89,57 @@ class LocationHistoryService: ObservableObject {
         }
     }
     
+    /// Call getLocationHistory via HTTP (callable function)
+    private func callHistoryFunction(data: [String: Any]) async throws -> [String: Any] {
+        guard let idToken = try await Auth.auth().currentUser?.getIDToken() else {
+            throw LocationHistoryError.notAuthenticated
+        }
+        
+        let url = URL(string: "https://us-central1-located-d9dce.cloudfunctions.net/getLocationHistory")!
+        var request = URLRequest(url: url)
+        request.httpMethod = "POST"
+        request.setValue("application/json", forHTTPHeaderField: "Content-Type")
+        request.setValue("Bearer \(idToken)", forHTTPHeaderField: "Authorization")
+        
+        // Callable functions expect this format
+        request.httpBody = try JSONSerialization.data(withJSONObject: ["data": data])
+        
+        let (responseData, response) = try await URLSession.shared.data(for: request)
+        let json = try? JSONSerialization.jsonObject(with: responseData) as? [String: Any]
+        
+        guard let httpResponse = response as? HTTPURLResponse,
+              httpResponse.statusCode == 200 else {
+            let error = json?["error"] as? [String: Any]
+            throw LocationHistoryError.requestFailed(error?["message"] as? String ?? "getLocationHistory failed")
+        }
+        
+        // Parse the callable function response format
+        guard let result = json?["result"] as? [String: Any],
+              let success = result["success"] as? Bool,
+              success else {
+            throw LocationHistoryError.requestFailed("getLocationHistory failed")
+        }
+        
+        return result
+    }
+    
     /// Clear cached history points
     func clearHistory() {
         historyPoints = []
     }
 }
 
+// MARK: - Location History Errors
+enum LocationHistoryError: LocalizedError {
+    case notAuthenticated
+    case requestFailed(String)
+    
+    var errorDescription: String? {
+        switch self {
+        case .notAuthenticated:
+            return "User not authenticated"
+        case .requestFailed(let message):
+            return message
+        }
+    }
+}
@@ -610,9 +610,10 @@ class LocationService: NSObject, ObservableObject {
                 .whereField("isActive", isEqualTo: true)
                 .getDocuments()
             
+            // Every family geofence is readable; only monitor the ones assigned to this child
             let geofences = snapshot.documents.compactMap { doc -> Geofence? in
                 try? doc.data(as: Geofence.self)
-            }
+            }.filter { $0.applies(to: userId) }
             
             await MainActor.run {
                 self.cachedGeofences = geofences
@@ -682,9 +683,10 @@ class LocationService: NSObject, ObservableObject {
                     print("📍 Geofence listener received snapshot with \(snapshot.documents.count) documents")
                     
                     // Parse geofences from snapshot
+                    // Only the geofences assigned to this child are monitored
                     let geofences = snapshot.documents.compactMap { doc -> Geofence? in
                         try? doc.data(as: Geofence.self)
-                    }
+                    }.filter { $0.applies(to: userId) }
                     
                     Task { @MainActor in
                         let oldCount = self.cachedGeofences.count
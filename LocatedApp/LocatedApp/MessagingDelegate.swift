@@ -33,16 +33,13 @@ class FirebaseMessagingDelegate: NSObject, MessagingDelegate {
     
     /// Save FCM token to Firestore
     private func saveFCMTokenToFirestore(_ fcmToken: String) async {
-        guard let currentUser = Auth.auth().currentUser else {
+        guard Auth.auth().currentUser != nil else {
             print("⚠️ Cannot save FCM token - user not authenticated")
             return
         }
         
         do {
-            let db = Firestore.firestore()
-            try await db.collection("users").document(currentUser.uid).updateData([
-                "fcmTokens": FieldValue.arrayUnion([fcmToken])
-            ])
+            try await DeviceRegistration.register(fcmToken: fcmToken)
             print("✅ FCM token automatically saved to Firestore: \(fcmToken)")
         } catch {
             print("❌ Failed to save FCM token to Firestore: \(error.localizedDescription)")
@@ -115,11 +115,10 @@ class NotificationService: NSObject, ObservableObject {
     }
     
     /// Save FCM token to Firestore
+    /// Goes through registerDevice so the server refreshes the device on every
+    /// launch, even when the token itself hasn't changed
     func saveFCMTokenToFirestore(_ fcmToken: String, userId: String) async throws {
-        // Add token to user's FCM tokens array in Firestore
-        try await db.collection("users").document(userId).updateData([
-            "fcmTokens": FieldValue.arrayUnion([fcmToken])
-        ])
+        try await DeviceRegistration.register(fcmToken: fcmToken)
         print("✅ FCM token saved to Firestore: \(fcmToken)")
     }
     
@@ -499,3 +498,80 @@ class NotificationService: NSObject, ObservableObject {
 
 // MARK: - Import CoreLocation for location functionality
 import CoreLocation
+
+// MARK: - Device Registration
+/// Registers and unregisters this device's FCM token through the
+/// registerDevice and unregisterDevice Cloud Functions
+enum DeviceRegistration {
+    enum RegistrationError: LocalizedError {
+        case notAuthenticated
+        case requestFailed(String)
+        
+        var errorDescription: String? {
+            switch self {
+            case .notAuthenticated:
+                return "User not authenticated"
+            case .requestFailed(let message):
+                return message
+            }
+        }
+    }
+    
+    /// Register the token along with this device's metadata
+    static func register(fcmToken: String) async throws {
+        var data: [String: Any] = [
+            "fcmToken": fcmToken,
+            "platform": "ios",
+            "locale": Locale.current.identifier,
+            "timeZone": TimeZone.current.identifier,
+            "apnsEnvironment": apnsEnvironment
+        ]
+        if let deviceId = await UIDevice.current.identifierForVendor?.uuidString {
+            data["deviceId"] = deviceId
+        }
+        if let appVersion = Bundle.main.infoDictionary?["CFBundleShortVersionString"] as? String {
+            data["appVersion"] = appVersion
+        }
+        
+        try await callDeviceFunction("registerDevice", data: data)
+    }
+    
+    /// Unregister the token, e.g. before signing out
+    static func unregister(fcmToken: String) async throws {
+        try await callDeviceFunction("unregisterDevice", data: ["fcmToken": fcmToken])
+    }
+    
+    /// Debug builds are signed for the APNs sandbox
+    private static var apnsEnvironment: String {
+        #if DEBUG
+        return "sandbox"
+        #else
+        return "production"
+        #endif
+    }
+    
+    /// Call a device Cloud Function via HTTP (callable function)
+    private static func callDeviceFunction(_ name: String, data: [String: Any]) async throws {
+        guard let idToken = try await Auth.auth().currentUser?.getIDToken() else {
+            throw RegistrationError.notAuthenticated
+        }
+        
+        let url = URL(string: "https://us-central1-located-d9dce.cloudfunctions.net/\(name)")!
+        var request = URLRequest(url: url)
+        request.httpMethod = "POST"
+        request.setValue("application/json", forHTTPHeaderField: "Content-Type")
+        request.setValue("Bearer \(idToken)", forHTTPHeaderField: "Authorization")
+        
+        // Callable functions expect this format
+        request.httpBody = try JSONSerialization.data(withJSONObject: ["data": data])
+        
+        let (responseData, response) = try await URLSession.shared.data(for: request)
+        let json = try? JSONSerialization.jsonObject(with: responseData) as? [String: Any]
+        
+        guard let httpResponse = response as? HTTPURLResponse,
+              httpResponse.statusCode == 200 else {
+            let error = json?["error"] as? [String: Any]
+            throw RegistrationError.requestFailed(error?["message"] as? String ?? "\(name) failed")
+        }
+    }
+}
@@ -128,8 +128,8 @@ class SubscriptionService: ObservableObject {
             
             print("✅ Subscription active: \(status.displayName), expires: \(expiresAt?.description ?? "N/A")")
             
-            // Sync to Firestore for cross-platform access
-            await syncSubscriptionToFirestore()
+            // The family's subscription fields are written by the RevenueCat
+            // webhook on the server, not by the app
             
         } else {
             // No active subscription
@@ -141,9 +141,6 @@ class SubscriptionService: ObservableObject {
             )
             
             print("ℹ️ No active subscription")
-            
-            // Clear Firestore subscription data
-            await syncSubscriptionToFirestore()
         }
     }
     
@@ -290,60 +287,6 @@ class SubscriptionService: ObservableObject {
         }
     }
     
-    /// Sync subscription status to Firestore (for cross-platform access)
-    func syncSubscriptionToFirestore() async {
-        guard let userId = auth.currentUser?.uid else {
-            print("ℹ️ Cannot sync subscription: no authenticated user")
-            return
-        }
-        
-        do {
-            // Get user document to find familyId
-            let userDoc = try await db.collection("users").document(userId).getDocument()
-            guard let familyId = userDoc.data()?["familyId"] as? String else {
-                print("ℹ️ Cannot sync subscription: user has no familyId")
-                return
-            }
-            
-            // Check if user is the family creator (only creator's subscription matters)
-            let familyDoc = try await db.collection("families").document(familyId).getDocument()
-            guard let familyData = familyDoc.data(),
-                  let createdBy = familyData["createdBy"] as? String,
-                  createdBy == userId else {
-                print("ℹ️ Skipping sync: user is not family creator")
-                return
-            }
-            
-            print("🔐 Syncing subscription to Firestore for family: \(familyId)")
-            
-            var updateData: [String: Any] = [:]
-            
-            if let info = subscriptionInfo, info.isActive {
-                // Only update if there's an active RevenueCat subscription
-                updateData["subscriptionStatus"] = info.status.rawValue
-                
-                if let expiresAt = info.expiresAt {
-                    updateData["subscriptionExpiresAt"] = expiresAt
-                }
-                
-                if info.status == .trial, let expiresAt = info.expiresAt {
-                    updateData["trialEndsAt"] = expiresAt
-                }
-                
-                try await db.collection("families").document(familyId).updateData(updateData)
-                print("✅ Subscription synced to Firestore")
-            } else {
-                // Don't overwrite Firestore trial - only update when there's an active RevenueCat subscription
-                // The Firestore-based 7-day trial should remain until it naturally expires
-                print("ℹ️ No active RevenueCat subscription - preserving Firestore trial status")
-            }
-            
-        } catch {
-            print("❌ Error syncing subscription to Firestore: \(error)")
-            // Don't throw - this is a background sync operation
-        }
-    }
-    
     /// Get formatted expiration date string
     func getExpirationDateString() -> String? {
         guard let expiresAt = subscriptionInfo?.expiresAt else { return nil }
@@ -0,0 +1,257 @@
+/**
+ * FCM token storage
+ * Each token in users.fcmTokens is mirrored to users/{uid}/devices/{tokenHash}
+ * so a token can be traced back to its owner without scanning every user
+ */
+
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+const {isValidTimeZone} = require("./notificationPreferences");
+
+// Tokens not refreshed for this many days are considered abandoned
+const STALE_TOKEN_DAYS = 60;
+
+// Firestore "in" queries accept at most 30 values
+const OWNER_LOOKUP_CHUNK_SIZE = 30;
+
+// Stay under the 500 writes per batch limit
+const BATCH_WRITE_LIMIT = 450;
+
+const DEVICE_PLATFORMS = ["ios", "android"];
+const APNS_ENVIRONMENTS = ["sandbox", "production"];
+
+// gRPC status Firestore returns when updating a missing document
+const NOT_FOUND = 5;
+
+// Longest accepted value for free-form device metadata strings
+const MAX_METADATA_LENGTH = 64;
+
+/**
+ * Hash a token for use as a document ID
+ * @param {string} token FCM token
+ * @return {string} Hex-encoded SHA-256 hash
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Device document reference for a user's token
+ * @param {string} userId Owner user ID
+ * @param {string} token FCM token
+ * @return {FirebaseFirestore.DocumentReference} Device document reference
+ */
+function deviceRef(userId, token) {
+  return admin.firestore()
+      .collection("users")
+      .doc(userId)
+      .collection("devices")
+      .doc(hashToken(token));
+}
+
+/**
+ * Create or refresh the device document for a token
+ * @param {string} userId Owner user ID
+ * @param {string} token FCM token
+ * @return {Promise} Resolves when written
+ */
+function touchDeviceToken(userId, token) {
+  return deviceRef(userId, token).set({
+    userId: userId,
+    token: token,
+    tokenHash: hashToken(token),
+    lastRefreshedAt: admin.firestore.FieldValue.serverTimestamp(),
+  }, {merge: true});
+}
+
+/**
+ * Validate the metadata a client sends when registering a device
+ * @param {Object} data Request data from registerDevice
+ * @return {Object} Device metadata to store
+ */
+function validateDeviceMetadata(data) {
+  const {platform, appVersion, locale, timeZone, apnsEnvironment} = data;
+
+  if (!DEVICE_PLATFORMS.includes(platform)) {
+    throw new Error(`platform must be one of: ${DEVICE_PLATFORMS.join(", ")}`);
+  }
+
+  const optionalString = (value, field) => {
+    if (value === undefined || value === null) {
+      return null;
+    }
+    if (typeof value !== "string" || value.length > MAX_METADATA_LENGTH) {
+      throw new Error(`${field} must be a string of at most ` +
+        `${MAX_METADATA_LENGTH} characters`);
+    }
+    return value;
+  };
+
+  if (timeZone !== undefined && timeZone !== null &&
+      !isValidTimeZone(timeZone)) {
+    throw new Error(`Invalid timezone: ${timeZone}`);
+  }
+
+  if (platform === "ios" && apnsEnvironment !== undefined &&
+      apnsEnvironment !== null &&
+      !APNS_ENVIRONMENTS.includes(apnsEnvironment)) {
+    throw new Error("apnsEnvironment must be one of: " +
+      APNS_ENVIRONMENTS.join(", "));
+  }
+
+  return {
+    platform: platform,
+    deviceId: optionalString(data.deviceId, "deviceId"),
+    appVersion: optionalString(appVersion, "appVersion"),
+    locale: optionalString(locale, "locale"),
+    timeZone: timeZone || null,
+    apnsEnvironment: platform === "ios" ? apnsEnvironment || null : null,
+  };
+}
+
+/**
+ * Commit a list of write operations in batches under the Firestore limit
+ * @param {Array<function(FirebaseFirestore.WriteBatch)>} operations Writes
+ * @return {Promise} Resolves when every batch is committed
+ */
+async function commitInBatches(operations) {
+  for (let i = 0; i < operations.length; i += BATCH_WRITE_LIMIT) {
+    const batch = admin.firestore().batch();
+    operations.slice(i, i + BATCH_WRITE_LIMIT)
+        .forEach((operation) => operation(batch));
+    await batch.commit();
+  }
+}
+
+/**
+ * Find every user that has one of the given tokens registered
+ * @param {string[]} tokens FCM tokens
+ * @return {Promise<Array<{userId: string, token: string}>>} Owner entries
+ */
+async function findTokenOwners(tokens) {
+  const hashes = [...new Set(tokens)].map(hashToken);
+  const entries = [];
+
+  for (let i = 0; i < hashes.length; i += OWNER_LOOKUP_CHUNK_SIZE) {
+    const snapshot = await admin.firestore()
+        .collectionGroup("devices")
+        .where("tokenHash", "in", hashes.slice(i, i + OWNER_LOOKUP_CHUNK_SIZE))
+        .get();
+
+    snapshot.docs.forEach((doc) => {
+      entries.push({userId: doc.ref.parent.parent.id, token: doc.data().token});
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Remove tokens from their owners' fcmTokens arrays and device documents
+ * By default owners are taken from the entries and from the device index, so
+ * a token registered on more than one account is removed everywhere
+ * @param {Array<{userId: string, token: string}>} entries Tokens to remove
+ * @param {Object} [options] Removal options
+ * @param {boolean} [options.allOwners=true] Also remove from other owners
+ * @return {Promise<number>} Number of distinct tokens removed
+ */
+async function removeTokens(entries, {allOwners = true} = {}) {
+  if (entries.length === 0) {
+    return 0;
+  }
+
+  const tokens = [...new Set(entries.map((entry) => entry.token))];
+  const owners = allOwners ? await findTokenOwners(tokens) : [];
+
+  const tokensByUser = {};
+  [...entries, ...owners].forEach((entry) => {
+    tokensByUser[entry.userId] = tokensByUser[entry.userId] || new Set();
+    tokensByUser[entry.userId].add(entry.token);
+  });
+
+  const operations = [];
+  Object.entries(tokensByUser).forEach(([userId, userTokens]) => {
+    userTokens.forEach((token) => {
+      operations.push((batch) => batch.delete(deviceRef(userId, token)));
+    });
+  });
+
+  await commitInBatches(operations);
+
+  // Updated one by one: a deleted user has no tokens left to clean, and a
+  // set with merge would recreate their document as a stub
+  await Promise.all(Object.entries(tokensByUser).map(([userId, userTokens]) =>
+    admin.firestore().collection("users").doc(userId).update({
+      fcmTokens: admin.firestore.FieldValue.arrayRemove(...userTokens),
+    }).catch((error) => {
+      if (error.code !== NOT_FOUND) {
+        throw error;
+      }
+    })));
+
+  logger.info(`Removed ${tokens.length} FCM tokens`, {
+    users: Object.keys(tokensByUser),
+  });
+
+  return tokens.length;
+}
+
+/**
+ * Remove tokens whose device document hasn't been refreshed recently
+ * @param {number} staleDays Age in days after which a token is removed
+ * @return {Promise<number>} Number of tokens removed
+ */
+async function removeStaleTokens(staleDays = STALE_TOKEN_DAYS) {
+  const cutoff = admin.firestore.Timestamp.fromMillis(
+      Date.now() - staleDays * 24 * 60 * 60 * 1000,
+  );
+  const pageSize = 200;
+  let removed = 0;
+
+  // Each pass deletes the documents it read, so the query never needs a cursor
+  for (;;) {
+    const snapshot = await admin.firestore()
+        .collectionGroup("devices")
+        .where("lastRefreshedAt", "<", cutoff)
+        .limit(pageSize)
+        .get();
+
+    if (snapshot.empty) {
+      break;
+    }
+
+    const withToken = snapshot.docs.filter((doc) => doc.data().token);
+    const withoutToken = snapshot.docs.filter((doc) => !doc.data().token);
+
+    await commitInBatches(
+        withoutToken.map((doc) => (batch) => batch.delete(doc.ref)),
+    );
+    // Only the stale registration goes; the same token may have been
+    // refreshed under another account since
+    removed += await removeTokens(withToken.map((doc) => ({
+      userId: doc.ref.parent.parent.id,
+      token: doc.data().token,
+    })), {allOwners: false});
+
+    if (snapshot.size < pageSize) {
+      break;
+    }
+  }
+
+  return removed;
+}
+
+module.exports = {
+  STALE_TOKEN_DAYS,
+  DEVICE_PLATFORMS,
+  APNS_ENVIRONMENTS,
+  hashToken,
+  deviceRef,
+  touchDeviceToken,
+  validateDeviceMetadata,
+  commitInBatches,
+  findTokenOwners,
+  removeTokens,
+  removeStaleTokens,
+};
@@ -0,0 +1,155 @@
+/**
+ * Subscription entitlements
+ * Decides from a family's subscription fields whether it can use premium
+ * features, and builds the error callables throw when it can't
+ */
+
+const {HttpsError} = require("firebase-functions/v2/https");
+const {defineInt} = require("firebase-functions/params");
+
+// Days a family keeps premium features after RevenueCat reports a billing
+// issue, unless the store's own grace period runs longer
+const DEFAULT_BILLING_GRACE_PERIOD_DAYS = 3;
+const billingGracePeriodDays = defineInt("BILLING_GRACE_PERIOD_DAYS", {
+  default: DEFAULT_BILLING_GRACE_PERIOD_DAYS,
+  description: "Days premium features stay on after a billing issue",
+});
+
+// RENEWAL webhooks can arrive a little after the previous period ends
+const RENEWAL_LEEWAY_MS = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Families created from this time on come from createFamily, which always
+// sets a subscription status; only older families may have none
+const SERVER_TRIALS_STARTED_AT = Date.UTC(2026, 9, 19);
+
+/**
+ * Convert a Firestore timestamp, Date or number to millis
+ * @param {*} value Timestamp-like value
+ * @return {number|null} Milliseconds since epoch, or null if not set
+ */
+function timestampMillis(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value.toMillis === "function") {
+    return value.toMillis();
+  }
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  return typeof value === "number" ? value : null;
+}
+
+/**
+ * Work out whether a family is entitled to premium features
+ * Families created before subscriptions existed have no status and keep
+ * their features, as the app's paywall does. A newer family without a status
+ * wasn't set up by createFamily and isn't entitled
+ * @param {Object} familyData Family document data
+ * @param {number} nowMillis Current time in millis
+ * @param {number} graceDays Billing issue grace period in days
+ * @return {Object} {entitled, reason, subscriptionStatus, expiresAt,
+ *   billingIssue, graceEndsAt}; times are millis or null
+ */
+function familyEntitlement(familyData, nowMillis, graceDays) {
+  const status = familyData.subscriptionStatus || null;
+  const trialEndsAt = timestampMillis(familyData.trialEndsAt);
+  const expiresAt = status === "trial" ?
+    trialEndsAt :
+    timestampMillis(familyData.subscriptionExpiresAt);
+  const billingIssue = familyData.billingIssue === true;
+
+  let graceEndsAt = null;
+  if (billingIssue) {
+    const detectedAt = timestampMillis(familyData.billingIssueDetectedAt);
+    const storeGraceEndsAt =
+      timestampMillis(familyData.billingGracePeriodEndsAt);
+    graceEndsAt = Math.max(
+        detectedAt !== null ? detectedAt + graceDays * DAY_MS : 0,
+        storeGraceEndsAt !== null ? storeGraceEndsAt : 0,
+    ) || null;
+  }
+
+  let entitled;
+  let reason;
+  if (status === null) {
+    const createdAt = timestampMillis(familyData.createdAt);
+    entitled = createdAt === null || createdAt < SERVER_TRIALS_STARTED_AT;
+    reason = entitled ? "no_subscription_info" : "expired";
+  } else if (billingIssue && status !== "expired") {
+    entitled = graceEndsAt !== null && graceEndsAt > nowMillis;
+    reason = entitled ? "billing_grace_period" : "billing_issue";
+  } else if (status === "trial") {
+    // The trial job runs hourly, so check the end time as well
+    entitled = trialEndsAt === null || trialEndsAt > nowMillis;
+    reason = entitled ? "trial" : "trial_ended";
+  } else if (status === "active") {
+    entitled = expiresAt === null ||
+      expiresAt + RENEWAL_LEEWAY_MS > nowMillis;
+    reason = entitled ? "active" : "expired";
+  } else if (status === "canceled") {
+    // Canceled subscriptions run until the end of the paid period
+    entitled = expiresAt !== null && expiresAt > nowMillis;
+    reason = entitled ? "canceled_until_expiry" : "expired";
+  } else {
+    entitled = false;
+    reason = "expired";
+  }
+
+  return {
+    entitled: entitled,
+    reason: reason,
+    subscriptionStatus: status,
+    expiresAt: expiresAt,
+    billingIssue: billingIssue,
+    graceEndsAt: graceEndsAt,
+  };
+}
+
+/**
+ * Check a family's entitlement with the configured grace period
+ * @param {Object} familyData Family document data
+ * @return {Object} Entitlement, see familyEntitlement
+ */
+function checkEntitlement(familyData) {
+  return familyEntitlement(familyData, Date.now(),
+      billingGracePeriodDays.value());
+}
+
+/**
+ * Throw unless a family is entitled to premium features
+ * The failed-precondition error carries the subscription state in its
+ * details so the app can show the right paywall
+ * @param {Object} familyData Family document data
+ * @param {string} feature Feature being used, for the message and details
+ * @return {Object} Entitlement, when entitled
+ */
+function requireEntitlement(familyData, feature) {
+  const entitlement = checkEntitlement(familyData);
+  if (entitlement.entitled) {
+    return entitlement;
+  }
+
+  const toISO = (millis) => millis === null ?
+    null :
+    new Date(millis).toISOString();
+  throw new HttpsError("failed-precondition",
+      `An active subscription is required to use ${feature}.`, {
+        code: "subscription_required",
+        feature: feature,
+        reason: entitlement.reason,
+        subscriptionStatus: entitlement.subscriptionStatus,
+        expiresAt: toISO(entitlement.expiresAt),
+        billingIssue: entitlement.billingIssue,
+        graceEndsAt: toISO(entitlement.graceEndsAt),
+      });
+}
+
+module.exports = {
+  DEFAULT_BILLING_GRACE_PERIOD_DAYS,
+  familyEntitlement,
+  checkEntitlement,
+  requireEntitlement,
+};
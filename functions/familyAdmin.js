@@ -0,0 +1,596 @@
+#!/usr/bin/env node
+/**
+ * Admin command line tool for family subscriptions and membership
+ * Replaces the old one-off fix_family_subscription.js. Every command that
+ * writes accepts --dry-run to print what it would change instead.
+ *
+ * Usage: node familyAdmin.js <command> [options]
+ * Run with no command to see the list of commands.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const admin = require("firebase-admin");
+const {
+  DEFAULT_BILLING_GRACE_PERIOD_DAYS,
+  familyEntitlement,
+} = require("./entitlements");
+const {checkUserFamily, fixAuditIssue} = require("./familyAudit");
+const {SUBSCRIPTION_STATUSES, TRIAL_LENGTH_DAYS} = require("./subscriptions");
+const {
+  STALE_TOKEN_DAYS,
+  commitInBatches,
+  removeStaleTokens,
+  removeTokens,
+} = require("./deviceTokens");
+const {isSimulatedToken} = require("./pushDelivery");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const USAGE = `Usage: node familyAdmin.js <command> [options]
+
+Commands:
+  inspect        --family <id> | --user <id>
+                 Show a family's subscription, entitlement and members
+  set-trial      --family <id> [--days <n>]
+                 Restart the trial so it ends n days from now
+                 (default ${TRIAL_LENGTH_DAYS}; 0 or less ends it now)
+  extend-trial   --family <id> --days <n>
+                 Push trialEndsAt back by n days
+  set-status     --family <id> --status <${SUBSCRIPTION_STATUSES.join("|")}>
+                 [--expires <ISO date>]
+                 Force the subscription state
+  list           --status <status> [--limit <n>]
+                 List families with a subscription status
+  move-member    --user <id> --family <target id> [--role <parent|child>]
+                 Move a member to another family
+  repair-user    [--user <id>]
+                 Fix users.familyId pointing at a family that doesn't list
+                 the user (every user when --user is left out)
+  cleanup-tokens [--user <id>] [--days <n>]
+                 Remove simulator tokens and tokens not refreshed for n days
+                 (default ${STALE_TOKEN_DAYS}), for one user or everyone
+
+Options:
+  --dry-run      Print the changes without writing them
+  --emulator     Use the Firestore emulator (FIRESTORE_EMULATOR_HOST,
+                 default localhost:8080)
+  --project <id> Firebase project (default from ../.firebaserc)
+`;
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv Arguments after the script name
+ * @return {Object} {command, options}
+ */
+function parseArgs(argv) {
+  const options = {};
+  let command = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      if (command) {
+        throw new Error(`Unexpected argument: ${arg}`);
+      }
+      command = arg;
+      continue;
+    }
+
+    const key = arg.slice(2);
+    if (key === "dry-run" || key === "emulator" || key === "help") {
+      options[key] = true;
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith("--")) {
+      options[key] = argv[++i];
+    } else {
+      throw new Error(`${arg} needs a value`);
+    }
+  }
+
+  return {command: command, options: options};
+}
+
+/**
+ * Read a required option
+ * @param {Object} options Parsed options
+ * @param {string} key Option name
+ * @return {string} Option value
+ */
+function required(options, key) {
+  if (!options[key]) {
+    throw new Error(`--${key} is required`);
+  }
+  return options[key];
+}
+
+/**
+ * Read a whole number option
+ * @param {Object} options Parsed options
+ * @param {string} key Option name
+ * @param {number} fallback Value when the option is missing
+ * @return {number} Option value
+ */
+function integerOption(options, key, fallback) {
+  if (options[key] === undefined) {
+    return fallback;
+  }
+  const value = Number(options[key]);
+  if (!Number.isInteger(value)) {
+    throw new Error(`--${key} must be a whole number`);
+  }
+  return value;
+}
+
+/**
+ * Default project from the repository's .firebaserc
+ * @return {string|undefined} Project ID
+ */
+function defaultProjectId() {
+  try {
+    const firebaserc = JSON.parse(fs.readFileSync(
+        path.join(__dirname, "..", ".firebaserc"), "utf8"));
+    return firebaserc.projects.default;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Format a timestamp-like value for output
+ * @param {*} value Firestore timestamp, Date, millis or nothing
+ * @return {string} ISO 8601 string, or "-"
+ */
+function formatTime(value) {
+  if (value === null || value === undefined) {
+    return "-";
+  }
+  if (typeof value.toDate === "function") {
+    return value.toDate().toISOString();
+  }
+  return new Date(value).toISOString();
+}
+
+/**
+ * Print a planned write, and apply it unless this is a dry run
+ * @param {Object} options Parsed options
+ * @param {string} description What the write does
+ * @param {Function} write Async function doing the write
+ */
+async function applyChange(options, description, write) {
+  if (options["dry-run"]) {
+    console.log(`[dry run] ${description}`);
+    return;
+  }
+  await write();
+  console.log(description);
+}
+
+/**
+ * Load a family, failing if it doesn't exist
+ * @param {string} familyId Family document ID
+ * @return {Promise<FirebaseFirestore.DocumentSnapshot>} Family document
+ */
+async function getFamily(familyId) {
+  const familyDoc = await admin.firestore()
+      .collection("families")
+      .doc(familyId)
+      .get();
+  if (!familyDoc.exists) {
+    throw new Error(`Family not found: ${familyId}`);
+  }
+  return familyDoc;
+}
+
+/**
+ * Find the families whose members map lists a user
+ * @param {string} userId User ID
+ * @return {Promise<FirebaseFirestore.QueryDocumentSnapshot[]>} Families
+ */
+async function familiesListingUser(userId) {
+  const snapshot = await admin.firestore()
+      .collection("families")
+      .where(`members.${userId}.role`, "in", ["parent", "child"])
+      .get();
+  return snapshot.docs;
+}
+
+/**
+ * Show a family's subscription, entitlement and members
+ * @param {Object} options Parsed options
+ */
+async function inspect(options) {
+  let familyId = options.family;
+  if (!familyId) {
+    const userId = required(options, "user");
+    const userDoc = await admin.firestore()
+        .collection("users")
+        .doc(userId)
+        .get();
+    if (!userDoc.exists) {
+      throw new Error(`User not found: ${userId}`);
+    }
+    familyId = userDoc.data().familyId;
+    console.log(`User ${userId} (${userDoc.data().name || "no name"}) ` +
+      `has familyId ${familyId || "-"}`);
+    if (!familyId) {
+      return;
+    }
+  }
+
+  const family = (await getFamily(familyId)).data();
+  const graceDays = Number(process.env.BILLING_GRACE_PERIOD_DAYS ||
+    DEFAULT_BILLING_GRACE_PERIOD_DAYS);
+  const entitlement = familyEntitlement(family, Date.now(), graceDays);
+
+  console.log(`Family ${familyId} "${family.name}"`);
+  console.log(`  createdBy:             ${family.createdBy}`);
+  console.log(`  subscriptionStatus:    ${family.subscriptionStatus || "-"}`);
+  console.log(`  subscriptionSource:    ${family.subscriptionSource || "-"}`);
+  console.log(`  trialEndsAt:           ${formatTime(family.trialEndsAt)}`);
+  console.log(`  subscriptionExpiresAt: ` +
+    `${formatTime(family.subscriptionExpiresAt)}`);
+  console.log(`  billingIssue:          ${family.billingIssue === true}`);
+  console.log(`  entitled:              ${entitlement.entitled} ` +
+    `(${entitlement.reason})`);
+  console.log("  members:");
+  Object.entries(family.members || {}).forEach(([memberId, member]) => {
+    console.log(`    ${memberId}  ${member.role}  ` +
+      `${member.status || "-"}  ${member.name || ""}`);
+  });
+}
+
+/**
+ * Restart a family's trial, or extend the current one
+ * @param {Object} options Parsed options
+ * @param {boolean} extend Add to the current trialEndsAt instead of now
+ */
+async function setTrial(options, extend) {
+  const familyId = required(options, "family");
+  const days = extend ?
+    integerOption(options, "days", NaN) :
+    integerOption(options, "days", TRIAL_LENGTH_DAYS);
+  if (!Number.isInteger(days)) {
+    throw new Error("--days is required");
+  }
+
+  const family = (await getFamily(familyId)).data();
+  const current = family.trialEndsAt ?
+    new Date(formatTime(family.trialEndsAt)).getTime() :
+    Date.now();
+  const base = extend ? Math.max(current, Date.now()) : Date.now();
+  const trialEndsAt = new Date(base + days * DAY_MS);
+  const ended = trialEndsAt.getTime() <= Date.now();
+
+  await applyChange(options,
+      `Family ${familyId}: trial ${ended ? "ended" : "ends"} ` +
+      `${trialEndsAt.toISOString()}`,
+      () => admin.firestore().collection("families").doc(familyId).update({
+        subscriptionStatus: ended ? "expired" : "trial",
+        trialEndsAt: trialEndsAt,
+        subscriptionExpiresAt: trialEndsAt,
+        subscriptionSource: "admin",
+        subscriptionUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        // Let processFamilyTrials remind the creator again for the new date
+        trialReminderSentAt: admin.firestore.FieldValue.delete(),
+        trialExpiredAt: ended ?
+          admin.firestore.FieldValue.serverTimestamp() :
+          admin.firestore.FieldValue.delete(),
+      }));
+}
+
+/**
+ * Force a family's subscription state
+ * @param {Object} options Parsed options
+ */
+async function setStatus(options) {
+  const familyId = required(options, "family");
+  const status = required(options, "status");
+  if (!SUBSCRIPTION_STATUSES.includes(status)) {
+    throw new Error(`--status must be one of: ` +
+      `${SUBSCRIPTION_STATUSES.join(", ")}`);
+  }
+
+  const update = {
+    subscriptionStatus: status,
+    subscriptionSource: "admin",
+    subscriptionUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  if (options.expires) {
+    const expiresAt = new Date(options.expires);
+    if (Number.isNaN(expiresAt.getTime())) {
+      throw new Error("--expires must be an ISO 8601 date");
+    }
+    update.subscriptionExpiresAt = expiresAt;
+    if (status === "trial") {
+      update.trialEndsAt = expiresAt;
+    }
+  }
+  if (status === "active") {
+    update.billingIssue = false;
+  }
+
+  await getFamily(familyId);
+  await applyChange(options,
+      `Family ${familyId}: subscriptionStatus ${status}` +
+      (options.expires ? `, expires ${update.subscriptionExpiresAt
+          .toISOString()}` : ""),
+      () => admin.firestore().collection("families").doc(familyId)
+          .update(update));
+}
+
+/**
+ * List families with a subscription status
+ * @param {Object} options Parsed options
+ */
+async function list(options) {
+  const status = required(options, "status");
+  const limit = integerOption(options, "limit", 50);
+
+  const snapshot = await admin.firestore()
+      .collection("families")
+      .where("subscriptionStatus", "==", status)
+      .limit(limit)
+      .get();
+
+  snapshot.docs.forEach((familyDoc) => {
+    const family = familyDoc.data();
+    console.log(`${familyDoc.id}  ${family.name}  ` +
+      `trialEndsAt ${formatTime(family.trialEndsAt)}  ` +
+      `expires ${formatTime(family.subscriptionExpiresAt)}  ` +
+      `members ${Object.keys(family.members || {}).length}`);
+  });
+  console.log(`${snapshot.size} families with status ${status}`);
+}
+
+/**
+ * Move a member to another family
+ * @param {Object} options Parsed options
+ */
+async function moveMember(options) {
+  const userId = required(options, "user");
+  const targetId = required(options, "family");
+  if (options.role && !["parent", "child"].includes(options.role)) {
+    throw new Error("--role must be parent or child");
+  }
+
+  const target = (await getFamily(targetId)).data();
+  if ((target.members || {})[userId]) {
+    throw new Error(`User ${userId} is already in family ${targetId}`);
+  }
+
+  const sources = await familiesListingUser(userId);
+  const source = sources.find((familyDoc) => familyDoc.id !== targetId);
+  if (source && source.data().createdBy === userId) {
+    throw new Error(`User ${userId} created family ${source.id} and ` +
+      `can't be moved out of it`);
+  }
+
+  const member = source ?
+    source.data().members[userId] :
+    {role: options.role || "child", status: "accepted"};
+  const userRef = admin.firestore().collection("users").doc(userId);
+  const userDoc = await userRef.get();
+  if (!userDoc.exists) {
+    throw new Error(`User not found: ${userId}`);
+  }
+  const locationRef = admin.firestore().collection("locations").doc(userId);
+  const locationDoc = await locationRef.get();
+
+  await applyChange(options,
+      `Moved ${userId} from ${source ? source.id : "no family"} to ` +
+      `${targetId} as ${options.role || member.role}`,
+      async () => {
+        const batch = admin.firestore().batch();
+        if (source) {
+          batch.update(source.ref, {
+            [`members.${userId}`]: admin.firestore.FieldValue.delete(),
+          });
+        }
+        batch.update(admin.firestore().collection("families").doc(targetId), {
+          [`members.${userId}`]: {
+            ...member,
+            role: options.role || member.role,
+            joinedAt: admin.firestore.FieldValue.serverTimestamp(),
+          },
+        });
+        batch.update(userRef, {familyId: targetId});
+        if (locationDoc.exists) {
+          batch.update(locationRef, {familyId: targetId});
+        }
+        await batch.commit();
+      });
+}
+
+/**
+ * Fix one user's familyId if it points at a family that doesn't list them
+ * @param {Object} options Parsed options
+ * @param {FirebaseFirestore.DocumentSnapshot} userDoc User document
+ * @param {Object} familyCache Family data already loaded, by ID
+ * @return {Promise<boolean>} True if the user needed a fix
+ */
+async function repairUser(options, userDoc, familyCache) {
+  const issue = await checkUserFamily(userDoc, familyCache);
+  if (!issue) {
+    return false;
+  }
+
+  const listed = issue.listedInFamilyIds;
+  if (listed.length > 1) {
+    console.log(`User ${userDoc.id} is listed in several families ` +
+      `(${listed.join(", ")}), fix by hand with move-member`);
+    return true;
+  }
+
+  await applyChange(options,
+      `User ${userDoc.id}: familyId ${issue.familyId} -> ` +
+      `${listed.length === 1 ? listed[0] : "(removed)"}`,
+      () => fixAuditIssue(issue));
+  return true;
+}
+
+/**
+ * Fix users.familyId for one user or every user
+ * @param {Object} options Parsed options
+ */
+async function repairUsers(options) {
+  if (options.user) {
+    const userDoc = await admin.firestore()
+        .collection("users")
+        .doc(options.user)
+        .get();
+    if (!userDoc.exists) {
+      throw new Error(`User not found: ${options.user}`);
+    }
+    if (!(await repairUser(options, userDoc, {}))) {
+      console.log(`User ${options.user} is consistent`);
+    }
+    return;
+  }
+
+  const pageSize = 200;
+  const familyCache = {};
+  let lastDoc = null;
+  let checked = 0;
+  let repaired = 0;
+
+  for (;;) {
+    let query = admin.firestore()
+        .collection("users")
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(pageSize);
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
+    }
+
+    const snapshot = await query.get();
+    if (snapshot.empty) {
+      break;
+    }
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+
+    for (const userDoc of snapshot.docs) {
+      checked++;
+      if (await repairUser(options, userDoc, familyCache)) {
+        repaired++;
+      }
+    }
+
+    if (snapshot.size < pageSize) {
+      break;
+    }
+  }
+
+  console.log(`Checked ${checked} users, ${repaired} needed repair`);
+}
+
+/**
+ * Remove simulator tokens and stale tokens
+ * @param {Object} options Parsed options
+ */
+async function cleanupTokens(options) {
+  const days = integerOption(options, "days", STALE_TOKEN_DAYS);
+  const cutoff = Date.now() - days * DAY_MS;
+
+  if (!options.user) {
+    if (options["dry-run"]) {
+      const countSnapshot = await admin.firestore()
+          .collectionGroup("devices")
+          .where("lastRefreshedAt", "<",
+              admin.firestore.Timestamp.fromMillis(cutoff))
+          .count()
+          .get();
+      console.log(`[dry run] Would remove ${countSnapshot.data().count} ` +
+        `device tokens not refreshed for ${days} days`);
+      return;
+    }
+    const removed = await removeStaleTokens(days);
+    console.log(`Removed ${removed} device tokens not refreshed for ` +
+      `${days} days`);
+    return;
+  }
+
+  const userRef = admin.firestore().collection("users").doc(options.user);
+  const userDoc = await userRef.get();
+  if (!userDoc.exists) {
+    throw new Error(`User not found: ${options.user}`);
+  }
+
+  const devicesSnapshot = await userRef.collection("devices").get();
+  const refreshedAt = {};
+  devicesSnapshot.docs.forEach((deviceDoc) => {
+    const device = deviceDoc.data();
+    if (device.token) {
+      refreshedAt[device.token] = device.lastRefreshedAt ?
+        device.lastRefreshedAt.toMillis() :
+        0;
+    }
+  });
+
+  const tokens = [...new Set([
+    ...(userDoc.data().fcmTokens || []),
+    ...Object.keys(refreshedAt),
+  ])];
+  const remove = tokens.filter((token) => isSimulatedToken(token) ||
+    !(token in refreshedAt) || refreshedAt[token] < cutoff);
+
+  await applyChange(options,
+      `User ${options.user}: removing ${remove.length} of ` +
+      `${tokens.length} tokens`,
+      async () => {
+        await removeTokens(remove.map((token) => ({
+          userId: options.user,
+          token: token,
+        })), {allOwners: false});
+        // Device documents left without a token field
+        const empty = devicesSnapshot.docs.filter((deviceDoc) =>
+          !deviceDoc.data().token);
+        await commitInBatches(empty.map((deviceDoc) => (batch) =>
+          batch.delete(deviceDoc.ref)));
+      });
+}
+
+const COMMANDS = {
+  "inspect": inspect,
+  "set-trial": (options) => setTrial(options, false),
+  "extend-trial": (options) => setTrial(options, true),
+  "set-status": setStatus,
+  "list": list,
+  "move-member": moveMember,
+  "repair-user": repairUsers,
+  "cleanup-tokens": cleanupTokens,
+};
+
+/**
+ * Run the command given on the command line
+ */
+async function main() {
+  const {command, options} = parseArgs(process.argv.slice(2));
+  if (!command || options.help || !COMMANDS[command]) {
+    console.log(USAGE);
+    process.exitCode = command && !options.help ? 1 : 0;
+    return;
+  }
+
+  if (options.emulator && !process.env.FIRESTORE_EMULATOR_HOST) {
+    process.env.FIRESTORE_EMULATOR_HOST = "localhost:8080";
+  }
+  admin.initializeApp({
+    projectId: options.project || process.env.GCLOUD_PROJECT ||
+      defaultProjectId(),
+  });
+  if (process.env.FIRESTORE_EMULATOR_HOST) {
+    console.log(`Using Firestore emulator at ` +
+      `${process.env.FIRESTORE_EMULATOR_HOST}`);
+  }
+
+  await COMMANDS[command](options);
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exitCode = 1;
+}).finally(() => {
+  if (admin.apps.length > 0) {
+    return admin.app().delete();
+  }
+});
@@ -0,0 +1,392 @@
+/**
+ * Family consistency audit
+ * Finds the ways families and users drift apart: users whose familyId points
+ * at a family that doesn't list them, pending invitation members that were
+ * never claimed, and accepted children whose user document is gone. Each
+ * issue can optionally be fixed. A full audit can stop at a deadline and
+ * resume later from the cursor it returns
+ */
+
+const admin = require("firebase-admin");
+
+const AUDIT_ISSUE_TYPES = [
+  "orphaned_user",
+  "stale_pending_member",
+  "missing_child_user",
+];
+
+// Pending members older than this, with no open invitation, are stale
+const STALE_PENDING_DAYS = 7;
+
+// Pending members are keyed by a random UUID until the child accepts
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const PAGE_SIZE = 200;
+
+// Collections a full audit walks, in order
+const AUDIT_COLLECTIONS = ["families", "users"];
+
+/**
+ * Convert a Firestore timestamp, Date or number to millis
+ * @param {*} value Timestamp-like value
+ * @return {number|null} Milliseconds since epoch, or null if not set
+ */
+function timestampMillis(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value.toMillis === "function") {
+    return value.toMillis();
+  }
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  return typeof value === "number" ? value : null;
+}
+
+/**
+ * Load a family through a per-run cache
+ * @param {string} familyId Family document ID
+ * @param {Object} familyCache Family data already loaded, by ID
+ * @return {Promise<Object|null>} Family data, or null if it doesn't exist
+ */
+async function cachedFamily(familyId, familyCache) {
+  if (!(familyId in familyCache)) {
+    const familyDoc = await admin.firestore()
+        .collection("families")
+        .doc(familyId)
+        .get();
+    familyCache[familyId] = familyDoc.exists ? familyDoc.data() : null;
+  }
+  return familyCache[familyId];
+}
+
+/**
+ * Check whether a user's familyId points at a family that lists them
+ * @param {FirebaseFirestore.DocumentSnapshot} userDoc User document
+ * @param {Object} familyCache Family data already loaded, by ID
+ * @return {Promise<Object|null>} orphaned_user issue, or null if consistent
+ */
+async function checkUserFamily(userDoc, familyCache) {
+  const familyId = userDoc.data().familyId;
+  if (!familyId) {
+    return null;
+  }
+
+  const family = await cachedFamily(familyId, familyCache);
+  if (family && (family.members || {})[userDoc.id]) {
+    return null;
+  }
+
+  const listing = await admin.firestore()
+      .collection("families")
+      .where(`members.${userDoc.id}.role`, "in", ["parent", "child"])
+      .get();
+
+  return {
+    type: "orphaned_user",
+    userId: userDoc.id,
+    familyId: familyId,
+    familyExists: !!family,
+    listedInFamilyIds: listing.docs.map((familyDoc) => familyDoc.id),
+  };
+}
+
+/**
+ * Find pending and missing-user members of one family
+ * @param {string} familyId Family document ID
+ * @param {Object} familyData Family document data
+ * @param {number} nowMillis Current time in millis
+ * @return {Promise<Object[]>} stale_pending_member and missing_child_user
+ *   issues
+ */
+async function checkFamilyMembers(familyId, familyData, nowMillis) {
+  const issues = [];
+  const members = Object.entries(familyData.members || {});
+  const staleBefore = nowMillis - STALE_PENDING_DAYS * 24 * 60 * 60 * 1000;
+
+  const stalePending = members.filter(([memberId, member]) => {
+    if (member.status !== "pending" || !UUID_PATTERN.test(memberId)) {
+      return false;
+    }
+    const joinedAt = timestampMillis(member.joinedAt);
+    return joinedAt === null || joinedAt <= staleBefore;
+  });
+
+  if (stalePending.length > 0) {
+    // One query for the family's unused invitations covers every member
+    const invitations = await admin.firestore()
+        .collection("invitations")
+        .where("familyId", "==", familyId)
+        .where("usedBy", "==", null)
+        .get();
+    const openInvitationNames = new Set(invitations.docs
+        .filter((invitationDoc) =>
+          timestampMillis(invitationDoc.data().expiresAt) > nowMillis)
+        .map((invitationDoc) => invitationDoc.data().childName || ""));
+
+    stalePending.forEach(([memberId, member]) => {
+      if (openInvitationNames.has(member.name || "")) {
+        return;
+      }
+      const joinedAt = timestampMillis(member.joinedAt);
+      issues.push({
+        type: "stale_pending_member",
+        familyId: familyId,
+        memberId: memberId,
+        name: member.name || null,
+        joinedAt: joinedAt !== null ? new Date(joinedAt).toISOString() : null,
+      });
+    });
+  }
+
+  const children = members.filter(([memberId, member]) =>
+    member.role === "child" && member.status !== "pending");
+  if (children.length > 0) {
+    const userDocs = await admin.firestore().getAll(
+        ...children.map(([memberId]) =>
+          admin.firestore().collection("users").doc(memberId)));
+    userDocs.forEach((userDoc, index) => {
+      if (!userDoc.exists) {
+        issues.push({
+          type: "missing_child_user",
+          familyId: familyId,
+          memberId: userDoc.id,
+          name: children[index][1].name || null,
+        });
+      }
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Recreate a child's missing user document from their family member entry
+ * The child is still signed in and listed in the family, so removing the
+ * member would lock them out; their Auth account supplies the email
+ * @param {Object} issue missing_child_user issue
+ * @return {Promise<string>} fixed, resolved or skipped (no Auth account)
+ */
+async function recreateChildUser(issue) {
+  const db = admin.firestore();
+  let authUser;
+  try {
+    authUser = await admin.auth().getUser(issue.memberId);
+  } catch (error) {
+    if (error.code === "auth/user-not-found") {
+      return "skipped";
+    }
+    throw error;
+  }
+
+  const familyRef = db.collection("families").doc(issue.familyId);
+  const userRef = db.collection("users").doc(issue.memberId);
+  return db.runTransaction(async (tx) => {
+    const familyDoc = await tx.get(familyRef);
+    const userDoc = await tx.get(userRef);
+    const member = familyDoc.exists ?
+      (familyDoc.data().members || {})[issue.memberId] :
+      null;
+    if (!member || userDoc.exists) {
+      return "resolved";
+    }
+    tx.set(userRef, {
+      id: issue.memberId,
+      name: member.name || authUser.displayName || "Child",
+      email: authUser.email || "",
+      userType: member.role,
+      familyId: issue.familyId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      lastActive: admin.firestore.FieldValue.serverTimestamp(),
+      isActive: true,
+      fcmTokens: [],
+      recreatedByAudit: true,
+    });
+    return "fixed";
+  });
+}
+
+/**
+ * Fix one audit issue
+ * Each fix re-reads the documents it changes, so an issue resolved since it
+ * was found is left alone
+ * @param {Object} issue Issue found by the audit
+ * @return {Promise<string>} fixed, resolved (no longer an issue) or skipped
+ *   (can't be fixed automatically)
+ */
+async function fixAuditIssue(issue) {
+  const db = admin.firestore();
+
+  if (issue.type === "orphaned_user") {
+    // A user listed in several families needs a person to pick one
+    if (issue.listedInFamilyIds.length > 1) {
+      return "skipped";
+    }
+    const userRef = db.collection("users").doc(issue.userId);
+    return db.runTransaction(async (tx) => {
+      const userDoc = await tx.get(userRef);
+      if (!userDoc.exists || userDoc.data().familyId !== issue.familyId) {
+        return "resolved";
+      }
+      tx.update(userRef, {
+        familyId: issue.listedInFamilyIds.length === 1 ?
+          issue.listedInFamilyIds[0] :
+          admin.firestore.FieldValue.delete(),
+      });
+      return "fixed";
+    });
+  }
+
+  if (issue.type === "missing_child_user") {
+    return recreateChildUser(issue);
+  }
+
+  const familyRef = db.collection("families").doc(issue.familyId);
+  return db.runTransaction(async (tx) => {
+    const familyDoc = await tx.get(familyRef);
+    const member = familyDoc.exists ?
+      (familyDoc.data().members || {})[issue.memberId] :
+      null;
+    if (!member || member.status !== "pending") {
+      return "resolved";
+    }
+    tx.update(familyRef, {
+      [`members.${issue.memberId}`]: admin.firestore.FieldValue.delete(),
+    });
+    return "fixed";
+  });
+}
+
+/**
+ * Audit one family, or every family and user
+ * A full audit walks families then users in ID order. With a deadline it
+ * stops after the page that passes it and returns a cursor to resume from.
+ * Fixes also stop at the deadline; the remaining issues get fix "deferred"
+ * @param {Object} [options] Audit options
+ * @param {string} [options.familyId] Only audit this family and its users
+ * @param {string[]} [options.fixTypes] Issue types to fix as they are found
+ * @param {number} [options.nowMillis] Current time in millis
+ * @param {number} [options.deadlineMillis] Stop a full audit after this time
+ * @param {Object} [options.cursor] {collection, afterId} from an earlier run
+ * @return {Promise<Object>} {issues, counts, fixed, familiesChecked,
+ *   usersChecked, finished, cursor}; cursor is null once finished
+ */
+async function runFamilyAudit({familyId = null, fixTypes = [],
+  nowMillis = Date.now(), deadlineMillis = null, cursor = null} = {}) {
+  const db = admin.firestore();
+  const familyCache = {};
+  const issues = [];
+  let familiesChecked = 0;
+  let usersChecked = 0;
+  let nextCursor = null;
+
+  const checkUsers = async (userDocs) => {
+    for (const userDoc of userDocs) {
+      usersChecked++;
+      const issue = await checkUserFamily(userDoc, familyCache);
+      if (issue) {
+        issues.push(issue);
+      }
+    }
+  };
+  const checkFamilies = async (familyDocs) => {
+    for (const familyDoc of familyDocs) {
+      familiesChecked++;
+      familyCache[familyDoc.id] = familyDoc.data();
+      issues.push(...await checkFamilyMembers(
+          familyDoc.id, familyDoc.data(), nowMillis));
+    }
+  };
+
+  if (familyId) {
+    const familyDoc = await db.collection("families").doc(familyId).get();
+    if (familyDoc.exists) {
+      await checkFamilies([familyDoc]);
+    }
+    const usersSnapshot = await db.collection("users")
+        .where("familyId", "==", familyId)
+        .get();
+    await checkUsers(usersSnapshot.docs);
+  } else {
+    const startIndex = cursor ?
+      Math.max(AUDIT_COLLECTIONS.indexOf(cursor.collection), 0) :
+      0;
+    for (const collection of AUDIT_COLLECTIONS.slice(startIndex)) {
+      let afterId = cursor && cursor.collection === collection ?
+        cursor.afterId :
+        null;
+      for (;;) {
+        if (deadlineMillis !== null && Date.now() >= deadlineMillis) {
+          nextCursor = {collection: collection, afterId: afterId};
+          break;
+        }
+
+        let query = db.collection(collection)
+            .orderBy(admin.firestore.FieldPath.documentId())
+            .limit(PAGE_SIZE);
+        if (afterId) {
+          query = query.startAfter(afterId);
+        }
+        const snapshot = await query.get();
+        if (snapshot.empty) {
+          break;
+        }
+        afterId = snapshot.docs[snapshot.docs.length - 1].id;
+
+        if (collection === "families") {
+          await checkFamilies(snapshot.docs);
+        } else {
+          await checkUsers(snapshot.docs);
+        }
+        if (snapshot.size < PAGE_SIZE) {
+          break;
+        }
+      }
+      if (nextCursor) {
+        break;
+      }
+    }
+  }
+
+  const counts = {};
+  const fixed = {};
+  AUDIT_ISSUE_TYPES.forEach((type) => {
+    counts[type] = 0;
+    fixed[type] = 0;
+  });
+
+  for (const issue of issues) {
+    counts[issue.type]++;
+    if (fixTypes.includes(issue.type)) {
+      // Out of time: report the rest unfixed for the next run to pick up
+      if (deadlineMillis !== null && Date.now() >= deadlineMillis) {
+        issue.fix = "deferred";
+        continue;
+      }
+      issue.fix = await fixAuditIssue(issue);
+      if (issue.fix === "fixed") {
+        fixed[issue.type]++;
+      }
+    }
+  }
+
+  return {
+    issues: issues,
+    counts: counts,
+    fixed: fixed,
+    familiesChecked: familiesChecked,
+    usersChecked: usersChecked,
+    finished: nextCursor === null,
+    cursor: nextCursor,
+  };
+}
+
+module.exports = {
+  AUDIT_ISSUE_TYPES,
+  STALE_PENDING_DAYS,
+  checkUserFamily,
+  fixAuditIssue,
+  runFamilyAudit,
+};
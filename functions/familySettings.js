@@ -0,0 +1,208 @@
+/**
+ * Per-family alert settings stored in families/{familyId}.alertSettings
+ * Parents change them through updateFamilySettings; readers always go through
+ * getFamilySettings so missing or hand-edited values fall back to defaults
+ */
+
+const {checkEntitlement} = require("./entitlements");
+
+const DEFAULT_FAMILY_SETTINGS = {
+  staleLocation: {
+    enabled: true,
+    thresholdMinutes: 60,
+  },
+  battery: {
+    enabled: true,
+    thresholds: [20, 10],
+    minIntervalMinutes: 30,
+  },
+  locationHistory: {
+    retentionDays: 1,
+  },
+};
+
+// Bounds on how long a child's location may go without updating
+const MIN_STALE_THRESHOLD_MINUTES = 15;
+const MAX_STALE_THRESHOLD_MINUTES = 24 * 60;
+
+// Location history retention choices, in days
+const RETENTION_DAYS_OPTIONS = [1, 7, 30];
+
+// Most battery thresholds a family may set, each a percentage from 1 to 99
+const MAX_BATTERY_THRESHOLDS = 3;
+
+// Bounds on the gap between two low-battery alerts for the same child
+const MIN_BATTERY_INTERVAL_MINUTES = 5;
+const MAX_BATTERY_INTERVAL_MINUTES = 24 * 60;
+
+/**
+ * Check that a value is an integer within a range
+ * @param {*} value Value to check
+ * @param {number} min Smallest allowed value
+ * @param {number} max Largest allowed value
+ * @return {boolean} True if the value is usable
+ */
+function isIntegerInRange(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Check that a value is a usable list of battery thresholds
+ * @param {*} value Value to check
+ * @return {boolean} True if the value is usable
+ */
+function isValidBatteryThresholds(value) {
+  return Array.isArray(value) && value.length > 0 &&
+    value.length <= MAX_BATTERY_THRESHOLDS &&
+    value.every((threshold) => isIntegerInRange(threshold, 1, 99)) &&
+    new Set(value).size === value.length;
+}
+
+/**
+ * Sort battery thresholds from highest to lowest
+ * @param {number[]} thresholds Battery percentages
+ * @return {number[]} Sorted copy
+ */
+function sortThresholds(thresholds) {
+  return [...thresholds].sort((a, b) => b - a);
+}
+
+/**
+ * Merge a family's stored settings over the defaults
+ * @param {Object} familyData Family document data
+ * @return {Object} Complete settings object
+ */
+function getFamilySettings(familyData) {
+  const stored = (familyData && familyData.alertSettings) || {};
+  const staleLocation = stored.staleLocation || {};
+  const battery = stored.battery || {};
+  const batteryDefaults = DEFAULT_FAMILY_SETTINGS.battery;
+  const locationHistory = stored.locationHistory || {};
+
+  return {
+    staleLocation: {
+      enabled: staleLocation.enabled !== false,
+      thresholdMinutes: isIntegerInRange(
+          staleLocation.thresholdMinutes,
+          MIN_STALE_THRESHOLD_MINUTES,
+          MAX_STALE_THRESHOLD_MINUTES,
+      ) ?
+        staleLocation.thresholdMinutes :
+        DEFAULT_FAMILY_SETTINGS.staleLocation.thresholdMinutes,
+    },
+    battery: {
+      enabled: battery.enabled !== false,
+      thresholds: sortThresholds(isValidBatteryThresholds(battery.thresholds) ?
+        battery.thresholds :
+        batteryDefaults.thresholds),
+      minIntervalMinutes: isIntegerInRange(
+          battery.minIntervalMinutes,
+          MIN_BATTERY_INTERVAL_MINUTES,
+          MAX_BATTERY_INTERVAL_MINUTES,
+      ) ?
+        battery.minIntervalMinutes :
+        batteryDefaults.minIntervalMinutes,
+    },
+    locationHistory: {
+      retentionDays: RETENTION_DAYS_OPTIONS.includes(
+          locationHistory.retentionDays) ?
+        locationHistory.retentionDays :
+        DEFAULT_FAMILY_SETTINGS.locationHistory.retentionDays,
+    },
+  };
+}
+
+/**
+ * Validate a partial update from a parent and merge it into the current
+ * settings
+ * @param {Object} current Complete current settings
+ * @param {Object} update Partial settings sent by the client
+ * @return {Object} Complete, validated settings
+ */
+function applyFamilySettingsUpdate(current, update) {
+  if (!update || typeof update !== "object") {
+    throw new Error("settings must be an object");
+  }
+
+  const next = {
+    staleLocation: {...current.staleLocation},
+    battery: {...current.battery},
+    locationHistory: {...current.locationHistory},
+  };
+
+  if (update.staleLocation !== undefined) {
+    const staleLocation = {
+      ...next.staleLocation,
+      ...(update.staleLocation || {}),
+    };
+    if (typeof staleLocation.enabled !== "boolean") {
+      throw new Error("staleLocation.enabled must be a boolean");
+    }
+    if (!isIntegerInRange(staleLocation.thresholdMinutes,
+        MIN_STALE_THRESHOLD_MINUTES, MAX_STALE_THRESHOLD_MINUTES)) {
+      throw new Error(`staleLocation.thresholdMinutes must be between ` +
+        `${MIN_STALE_THRESHOLD_MINUTES} and ${MAX_STALE_THRESHOLD_MINUTES}`);
+    }
+    next.staleLocation = {
+      enabled: staleLocation.enabled,
+      thresholdMinutes: staleLocation.thresholdMinutes,
+    };
+  }
+
+  if (update.battery !== undefined) {
+    const battery = {...next.battery, ...(update.battery || {})};
+    if (typeof battery.enabled !== "boolean") {
+      throw new Error("battery.enabled must be a boolean");
+    }
+    if (!isValidBatteryThresholds(battery.thresholds)) {
+      throw new Error(`battery.thresholds must be 1 to ` +
+        `${MAX_BATTERY_THRESHOLDS} distinct percentages between 1 and 99`);
+    }
+    if (!isIntegerInRange(battery.minIntervalMinutes,
+        MIN_BATTERY_INTERVAL_MINUTES, MAX_BATTERY_INTERVAL_MINUTES)) {
+      throw new Error(`battery.minIntervalMinutes must be between ` +
+        `${MIN_BATTERY_INTERVAL_MINUTES} and ${MAX_BATTERY_INTERVAL_MINUTES}`);
+    }
+    next.battery = {
+      enabled: battery.enabled,
+      thresholds: sortThresholds(battery.thresholds),
+      minIntervalMinutes: battery.minIntervalMinutes,
+    };
+  }
+
+  if (update.locationHistory !== undefined) {
+    const locationHistory = update.locationHistory || {};
+    if (!RETENTION_DAYS_OPTIONS.includes(locationHistory.retentionDays)) {
+      throw new Error(`locationHistory.retentionDays must be one of: ` +
+        RETENTION_DAYS_OPTIONS.join(", "));
+    }
+    next.locationHistory = {
+      retentionDays: locationHistory.retentionDays,
+    };
+  }
+
+  return next;
+}
+
+/**
+ * How many days of location history a family keeps
+ * Families that aren't entitled to premium features keep one day, whatever
+ * they chose
+ * @param {Object} familyData Family document data
+ * @return {number} Retention in days
+ */
+function locationHistoryRetentionDays(familyData) {
+  const retentionDays = getFamilySettings(familyData)
+      .locationHistory.retentionDays;
+  return checkEntitlement(familyData).entitled ?
+    retentionDays :
+    Math.min(retentionDays, RETENTION_DAYS_OPTIONS[0]);
+}
+
+module.exports = {
+  DEFAULT_FAMILY_SETTINGS,
+  RETENTION_DAYS_OPTIONS,
+  getFamilySettings,
+  applyFamilySettingsUpdate,
+  locationHistoryRetentionDays,
+};
@@ -0,0 +1,143 @@
+/**
+ * Frequent place discovery
+ * Clusters the stays from a child's timelines into places they keep coming
+ * back to, with a suggested geofence center and radius
+ */
+
+const {distanceMeters} = require("./geo");
+const {localDateString} = require("./notificationPreferences");
+
+// Stays whose centers are this close belong to the same place
+const PLACE_CLUSTER_RADIUS_METERS = 150;
+
+// Stays shorter than this are passing through, not visiting
+const MIN_STAY_SECONDS = 15 * 60;
+
+// A place needs visits on this many different days to be suggested
+const MIN_VISIT_DAYS = 3;
+
+// Bounds on the suggested geofence radius
+const MIN_SUGGESTED_RADIUS_METERS = 50;
+const MAX_SUGGESTED_RADIUS_METERS = 500;
+
+// Local hours counted as night when guessing which place is home
+const NIGHT_START_HOUR = 21;
+const NIGHT_END_HOUR = 7;
+
+/**
+ * Local hour of a moment in the given timezone
+ * @param {number} millis Milliseconds since epoch
+ * @param {string} timeZone IANA timezone name
+ * @return {number} Hour, 0-23
+ */
+function localHour(millis, timeZone) {
+  return Number(new Intl.DateTimeFormat("en-US", {
+    timeZone: timeZone,
+    hour: "2-digit",
+    hourCycle: "h23",
+  }).format(new Date(millis)));
+}
+
+/**
+ * Build the summary of one cluster of stays
+ * @param {Object[]} stays Stays in the cluster
+ * @param {string} timeZone Family timezone
+ * @return {Object} Place summary
+ */
+function summarizePlace(stays, timeZone) {
+  const totalSeconds = stays.reduce((sum, stay) =>
+    sum + stay.durationSeconds, 0);
+
+  // Weight by time spent so long visits pull the center towards them
+  const center = {
+    lat: stays.reduce((sum, stay) =>
+      sum + stay.center.lat * stay.durationSeconds, 0) / totalSeconds,
+    lng: stays.reduce((sum, stay) =>
+      sum + stay.center.lng * stay.durationSeconds, 0) / totalSeconds,
+  };
+
+  const spread = Math.max(...stays.map((stay) =>
+    distanceMeters(center, stay.center) + (stay.radiusMeters || 0)));
+  const radiusMeters = Math.min(MAX_SUGGESTED_RADIUS_METERS,
+      Math.max(MIN_SUGGESTED_RADIUS_METERS, Math.ceil(spread / 25) * 25));
+
+  const nightSeconds = stays
+      .filter((stay) => {
+        const hour = localHour((stay.startAt + stay.endAt) / 2, timeZone);
+        return hour >= NIGHT_START_HOUR || hour < NIGHT_END_HOUR;
+      })
+      .reduce((sum, stay) => sum + stay.durationSeconds, 0);
+
+  const addressCounts = {};
+  stays.forEach((stay) => {
+    if (stay.address) {
+      addressCounts[stay.address] = (addressCounts[stay.address] || 0) + 1;
+    }
+  });
+  const addresses = Object.keys(addressCounts)
+      .sort((a, b) => addressCounts[b] - addressCounts[a]);
+
+  return {
+    center: center,
+    radiusMeters: radiusMeters,
+    visitCount: stays.length,
+    visitDays: new Set(stays.map((stay) =>
+      localDateString(new Date(stay.startAt), timeZone))).size,
+    totalSeconds: totalSeconds,
+    nightShare: Math.round(nightSeconds / totalSeconds * 100) / 100,
+    address: addresses.length > 0 ? addresses[0] : null,
+  };
+}
+
+/**
+ * Cluster stays into frequently visited places
+ * @param {Object[]} stays Stays with center, radiusMeters, startAt and endAt
+ *   (millis), durationSeconds and address
+ * @param {string} timeZone Family timezone
+ * @return {Object[]} Places visited on at least MIN_VISIT_DAYS days, most
+ *   time spent first
+ */
+function findFrequentPlaces(stays, timeZone) {
+  const clusters = [];
+
+  stays
+      .filter((stay) => stay.durationSeconds >= MIN_STAY_SECONDS)
+      .sort((a, b) => b.durationSeconds - a.durationSeconds)
+      .forEach((stay) => {
+        const cluster = clusters.find((candidate) =>
+          distanceMeters(candidate.center, stay.center) <=
+            PLACE_CLUSTER_RADIUS_METERS);
+
+        if (!cluster) {
+          clusters.push({center: stay.center, stays: [stay]});
+          return;
+        }
+        cluster.stays.push(stay);
+        cluster.center = summarizePlace(cluster.stays, timeZone).center;
+      });
+
+  return clusters
+      .map((cluster) => summarizePlace(cluster.stays, timeZone))
+      .filter((place) => place.visitDays >= MIN_VISIT_DAYS)
+      .sort((a, b) => b.totalSeconds - a.totalSeconds);
+}
+
+/**
+ * Suggest a geofence name for a place
+ * @param {Object} place Place summary from findFrequentPlaces
+ * @return {string} Suggested name
+ */
+function suggestPlaceName(place) {
+  if (place.nightShare >= 0.5) {
+    return "Home";
+  }
+  return place.address || "Frequent place";
+}
+
+module.exports = {
+  PLACE_CLUSTER_RADIUS_METERS,
+  MIN_SUGGESTED_RADIUS_METERS,
+  MAX_SUGGESTED_RADIUS_METERS,
+  findFrequentPlaces,
+  suggestPlaceName,
+};
@@ -0,0 +1,338 @@
+/**
+ * Geometry helpers shared by the geofence and location functions
+ */
+
+// Mean Earth radius in meters (WGS84 approximation)
+const EARTH_RADIUS_METERS = 6371008.8;
+
+/**
+ * Convert degrees to radians
+ * @param {number} degrees Angle in degrees
+ * @return {number} Angle in radians
+ */
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+/**
+ * Great-circle distance between two points using the haversine formula
+ * @param {{lat: number, lng: number}} a First point
+ * @param {{lat: number, lng: number}} b Second point
+ * @return {number} Distance in meters
+ */
+function distanceMeters(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Check that a value is a usable latitude/longitude pair
+ * @param {number} lat Latitude in degrees
+ * @param {number} lng Longitude in degrees
+ * @return {boolean} True if both values are finite and in range
+ */
+function isValidCoordinate(lat, lng) {
+  return typeof lat === "number" && typeof lng === "number" &&
+    Number.isFinite(lat) && Number.isFinite(lng) &&
+    lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+}
+
+/**
+ * Distance from a point to the center of a circular geofence document
+ * @param {{lat: number, lng: number}} point Position to check
+ * @param {Object} geofence Geofence data with latitude/longitude/radius
+ * @return {number} Distance in meters from the geofence center
+ */
+function distanceToGeofenceCenter(point, geofence) {
+  return distanceMeters(point, {
+    lat: geofence.latitude,
+    lng: geofence.longitude,
+  });
+}
+
+// Vertex limits for polygon geofences
+const MIN_POLYGON_VERTICES = 3;
+const MAX_POLYGON_VERTICES = 50;
+
+/**
+ * Project points onto a flat plane in meters around an origin
+ * Accurate enough at geofence scale (a few kilometers)
+ * @param {Array<{lat: number, lng: number}>} points Points to project
+ * @param {{lat: number, lng: number}} origin Projection origin
+ * @return {Array<{x: number, y: number}>} Projected points
+ */
+function projectPoints(points, origin) {
+  const metersPerDegree = EARTH_RADIUS_METERS * Math.PI / 180;
+  const cosLat = Math.cos(toRadians(origin.lat));
+  return points.map((point) => ({
+    x: (point.lng - origin.lng) * metersPerDegree * cosLat,
+    y: (point.lat - origin.lat) * metersPerDegree,
+  }));
+}
+
+/**
+ * Convert a projected point back to latitude/longitude
+ * @param {{x: number, y: number}} point Projected point
+ * @param {{lat: number, lng: number}} origin Origin used by projectPoints
+ * @return {{lat: number, lng: number}} Geographic point
+ */
+function unprojectPoint(point, origin) {
+  const metersPerDegree = EARTH_RADIUS_METERS * Math.PI / 180;
+  const cosLat = Math.cos(toRadians(origin.lat));
+  return {
+    lat: origin.lat + point.y / metersPerDegree,
+    lng: origin.lng + point.x / (metersPerDegree * cosLat),
+  };
+}
+
+/**
+ * Orientation of three projected points
+ * @param {{x: number, y: number}} a First point
+ * @param {{x: number, y: number}} b Second point
+ * @param {{x: number, y: number}} c Third point
+ * @return {number} Positive if counter-clockwise, negative if clockwise,
+ *   0 if collinear
+ */
+function orientation(a, b, c) {
+  const value = (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+  return Math.abs(value) < 1e-9 ? 0 : Math.sign(value);
+}
+
+/**
+ * Check whether collinear point c lies on segment ab
+ * @param {{x: number, y: number}} a Segment start
+ * @param {{x: number, y: number}} b Segment end
+ * @param {{x: number, y: number}} c Point to check
+ * @return {boolean} True if c is on the segment
+ */
+function onSegment(a, b, c) {
+  return Math.min(a.x, b.x) <= c.x && c.x <= Math.max(a.x, b.x) &&
+    Math.min(a.y, b.y) <= c.y && c.y <= Math.max(a.y, b.y);
+}
+
+/**
+ * Check whether two projected segments touch or cross
+ * @param {{x: number, y: number}} p1 First segment start
+ * @param {{x: number, y: number}} p2 First segment end
+ * @param {{x: number, y: number}} q1 Second segment start
+ * @param {{x: number, y: number}} q2 Second segment end
+ * @return {boolean} True if the segments intersect
+ */
+function segmentsIntersect(p1, p2, q1, q2) {
+  const o1 = orientation(p1, p2, q1);
+  const o2 = orientation(p1, p2, q2);
+  const o3 = orientation(q1, q2, p1);
+  const o4 = orientation(q1, q2, p2);
+
+  if (o1 !== o2 && o3 !== o4) {
+    return true;
+  }
+  return (o1 === 0 && onSegment(p1, p2, q1)) ||
+    (o2 === 0 && onSegment(p1, p2, q2)) ||
+    (o3 === 0 && onSegment(q1, q2, p1)) ||
+    (o4 === 0 && onSegment(q1, q2, p2));
+}
+
+/**
+ * Check whether a polygon's edges cross each other
+ * @param {Array<{lat: number, lng: number}>} vertices Polygon vertices, not
+ *   closed (the last vertex connects back to the first)
+ * @return {boolean} True if any two non-adjacent edges intersect
+ */
+function isSelfIntersecting(vertices) {
+  const projected = projectPoints(vertices, vertices[0]);
+  const n = projected.length;
+
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      // Adjacent edges share a vertex and always touch there
+      if (j === i + 1 || (i === 0 && j === n - 1)) {
+        continue;
+      }
+      if (segmentsIntersect(projected[i], projected[(i + 1) % n],
+          projected[j], projected[(j + 1) % n])) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Area of a polygon in square meters
+ * @param {Array<{lat: number, lng: number}>} vertices Polygon vertices
+ * @return {number} Area
+ */
+function polygonAreaSquareMeters(vertices) {
+  const projected = projectPoints(vertices, vertices[0]);
+  let twiceArea = 0;
+  for (let i = 0; i < projected.length; i++) {
+    const a = projected[i];
+    const b = projected[(i + 1) % projected.length];
+    twiceArea += a.x * b.y - b.x * a.y;
+  }
+  return Math.abs(twiceArea) / 2;
+}
+
+/**
+ * Check whether a point lies inside a polygon (ray casting)
+ * @param {{lat: number, lng: number}} point Position to check
+ * @param {Array<{lat: number, lng: number}>} vertices Polygon vertices
+ * @return {boolean} True if the point is inside
+ */
+function isPointInPolygon(point, vertices) {
+  let inside = false;
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    const a = vertices[i];
+    const b = vertices[j];
+    if ((a.lat > point.lat) !== (b.lat > point.lat) &&
+        point.lng < (b.lng - a.lng) * (point.lat - a.lat) /
+          (b.lat - a.lat) + a.lng) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Distance from a point to the nearest edge of a polygon
+ * @param {{lat: number, lng: number}} point Position to check
+ * @param {Array<{lat: number, lng: number}>} vertices Polygon vertices
+ * @return {number} Distance in meters
+ */
+function distanceToPolygonEdge(point, vertices) {
+  const projected = projectPoints(vertices, point);
+  let nearest = Infinity;
+
+  for (let i = 0; i < projected.length; i++) {
+    const a = projected[i];
+    const b = projected[(i + 1) % projected.length];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    let t = lengthSquared === 0 ? 0 : -(a.x * dx + a.y * dy) / lengthSquared;
+    t = Math.max(0, Math.min(1, t));
+    nearest = Math.min(nearest, Math.hypot(a.x + t * dx, a.y + t * dy));
+  }
+  return nearest;
+}
+
+/**
+ * Smallest circle containing every vertex (Welzl's algorithm, iterative)
+ * @param {Array<{lat: number, lng: number}>} vertices Points to enclose
+ * @return {{lat: number, lng: number, radius: number}} Circle, radius in
+ *   meters rounded up
+ */
+function minimalEnclosingCircle(vertices) {
+  const origin = vertices[0];
+  const points = projectPoints(vertices, origin);
+
+  const circleFrom2 = (a, b) => ({
+    x: (a.x + b.x) / 2,
+    y: (a.y + b.y) / 2,
+    r: Math.hypot(a.x - b.x, a.y - b.y) / 2,
+  });
+  const circleFrom3 = (a, b, c) => {
+    const d = 2 * (a.x * (b.y - c.y) + b.x * (c.y - a.y) + c.x * (a.y - b.y));
+    if (Math.abs(d) < 1e-9) {
+      // Collinear: the widest pair defines the circle
+      return [circleFrom2(a, b), circleFrom2(a, c), circleFrom2(b, c)]
+          .reduce((best, circle) => circle.r > best.r ? circle : best);
+    }
+    const a2 = a.x * a.x + a.y * a.y;
+    const b2 = b.x * b.x + b.y * b.y;
+    const c2 = c.x * c.x + c.y * c.y;
+    const x = (a2 * (b.y - c.y) + b2 * (c.y - a.y) + c2 * (a.y - b.y)) / d;
+    const y = (a2 * (c.x - b.x) + b2 * (a.x - c.x) + c2 * (b.x - a.x)) / d;
+    return {x, y, r: Math.hypot(a.x - x, a.y - y)};
+  };
+  const contains = (circle, p) =>
+    Math.hypot(p.x - circle.x, p.y - circle.y) <= circle.r + 1e-6;
+
+  let circle = {x: points[0].x, y: points[0].y, r: 0};
+  for (let i = 1; i < points.length; i++) {
+    if (contains(circle, points[i])) {
+      continue;
+    }
+    circle = {x: points[i].x, y: points[i].y, r: 0};
+    for (let j = 0; j < i; j++) {
+      if (contains(circle, points[j])) {
+        continue;
+      }
+      circle = circleFrom2(points[i], points[j]);
+      for (let k = 0; k < j; k++) {
+        if (!contains(circle, points[k])) {
+          circle = circleFrom3(points[i], points[j], points[k]);
+        }
+      }
+    }
+  }
+
+  const center = unprojectPoint(circle, origin);
+  // Measure on the sphere so the circle never falls short of a vertex
+  const radius = Math.max(...vertices.map((vertex) =>
+    distanceMeters(center, vertex)));
+  return {lat: center.lat, lng: center.lng, radius: Math.ceil(radius)};
+}
+
+/**
+ * Polygon vertices of a geofence document as lat/lng points
+ * @param {Object} geofence Geofence data
+ * @return {Array<{lat: number, lng: number}>|null} Vertices, or null for a
+ *   circle
+ */
+function geofenceVertices(geofence) {
+  if (geofence.type !== "polygon" || !Array.isArray(geofence.vertices)) {
+    return null;
+  }
+  return geofence.vertices.map((vertex) => ({
+    lat: vertex.latitude,
+    lng: vertex.longitude,
+  }));
+}
+
+/**
+ * Signed distance from a point to a geofence boundary
+ * @param {{lat: number, lng: number}} point Position to check
+ * @param {Object} geofence Circle (latitude/longitude/radius) or polygon
+ *   (type "polygon" with vertices) geofence data
+ * @return {number} Meters outside the boundary; negative when inside
+ */
+function distanceOutsideGeofence(point, geofence) {
+  const vertices = geofenceVertices(geofence);
+  if (!vertices) {
+    return distanceToGeofenceCenter(point, geofence) - geofence.radius;
+  }
+  const edgeDistance = distanceToPolygonEdge(point, vertices);
+  return isPointInPolygon(point, vertices) ? -edgeDistance : edgeDistance;
+}
+
+/**
+ * Check whether a point lies inside a geofence document
+ * @param {{lat: number, lng: number}} point Position to check
+ * @param {Object} geofence Circle or polygon geofence data
+ * @return {boolean} True if the point is inside
+ */
+function isPointInGeofence(point, geofence) {
+  return distanceOutsideGeofence(point, geofence) <= 0;
+}
+
+module.exports = {
+  EARTH_RADIUS_METERS,
+  distanceMeters,
+  isValidCoordinate,
+  MIN_POLYGON_VERTICES,
+  MAX_POLYGON_VERTICES,
+  distanceToGeofenceCenter,
+  isSelfIntersecting,
+  polygonAreaSquareMeters,
+  isPointInPolygon,
+  minimalEnclosingCircle,
+  geofenceVertices,
+  distanceOutsideGeofence,
+  isPointInGeofence,
+};
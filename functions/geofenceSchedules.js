@@ -0,0 +1,110 @@
+/**
+ * Schedule rules on geofences
+ * "arrive_by" alerts when a child hasn't entered the geofence by a time of
+ * day, "leave_by" alerts when a child is still inside after a time of day
+ */
+
+const {v4: uuidv4} = require("uuid");
+const {TIME_PATTERN, timeToMinutes} = require("./notificationPreferences");
+
+const RULE_TYPES = ["arrive_by", "leave_by"];
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// Most rules a single geofence may carry
+const MAX_RULES_PER_GEOFENCE = 10;
+
+// A rule is only evaluated this long after its time, so a rule created late
+// in the day doesn't immediately alert for the morning
+const RULE_EVALUATION_WINDOW_MINUTES = 60;
+
+/**
+ * Validate the schedule rules a parent sends for a geofence
+ * @param {*} rules Rules from the client
+ * @param {string[]} childIds Children in the family the rules may target
+ * @return {Object[]} Validated rules, each with an id
+ */
+function validateScheduleRules(rules, childIds) {
+  if (!Array.isArray(rules)) {
+    throw new Error("rules must be an array");
+  }
+  if (rules.length > MAX_RULES_PER_GEOFENCE) {
+    throw new Error(`A geofence can have at most ` +
+      `${MAX_RULES_PER_GEOFENCE} schedule rules`);
+  }
+
+  return rules.map((rule, index) => {
+    if (!rule || typeof rule !== "object") {
+      throw new Error(`rules[${index}] must be an object`);
+    }
+    if (!RULE_TYPES.includes(rule.type)) {
+      throw new Error(`rules[${index}].type must be one of: ` +
+        RULE_TYPES.join(", "));
+    }
+    if (!TIME_PATTERN.test(rule.time)) {
+      throw new Error(`rules[${index}].time must be in HH:mm format`);
+    }
+    if (!Array.isArray(rule.days) || rule.days.length === 0 ||
+        rule.days.some((day) => !WEEKDAYS.includes(day))) {
+      throw new Error(`rules[${index}].days must list days from: ` +
+        WEEKDAYS.join(", "));
+    }
+
+    let ruleChildIds = null;
+    if (rule.childIds !== undefined && rule.childIds !== null) {
+      if (!Array.isArray(rule.childIds) ||
+          rule.childIds.some((id) => !childIds.includes(id))) {
+        throw new Error(`rules[${index}].childIds must be children ` +
+          `in this family`);
+      }
+      ruleChildIds = [...new Set(rule.childIds)];
+    }
+
+    return {
+      id: typeof rule.id === "string" && rule.id ? rule.id : uuidv4(),
+      type: rule.type,
+      time: rule.time,
+      days: WEEKDAYS.filter((day) => rule.days.includes(day)),
+      childIds: ruleChildIds,
+      enabled: rule.enabled !== false,
+    };
+  });
+}
+
+/**
+ * Short weekday name for a moment in the given timezone
+ * @param {Date} date Moment to check
+ * @param {string} timeZone IANA timezone name
+ * @return {string} One of WEEKDAYS
+ */
+function localWeekday(date, timeZone) {
+  return new Intl.DateTimeFormat("en-US", {
+    timeZone: timeZone,
+    weekday: "short",
+  }).format(date).toLowerCase().substring(0, 3);
+}
+
+/**
+ * Check whether a rule should be evaluated now
+ * @param {Object} rule Validated schedule rule
+ * @param {string} weekday Local weekday, one of WEEKDAYS
+ * @param {number} minutesNow Local minutes after midnight
+ * @return {boolean} True if the rule's time passed within the window
+ */
+function isRuleDue(rule, weekday, minutesNow) {
+  if (rule.enabled === false || !rule.days.includes(weekday)) {
+    return false;
+  }
+  const ruleMinutes = timeToMinutes(rule.time);
+  return minutesNow >= ruleMinutes &&
+    minutesNow < ruleMinutes + RULE_EVALUATION_WINDOW_MINUTES;
+}
+
+module.exports = {
+  RULE_TYPES,
+  WEEKDAYS,
+  MAX_RULES_PER_GEOFENCE,
+  validateScheduleRules,
+  localWeekday,
+  isRuleDue,
+};
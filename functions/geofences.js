@@ -0,0 +1,177 @@
+/**
+ * Geofence validation shared by the geofence callables
+ * Circles are stored as latitude/longitude/radius. Polygons are stored with
+ * type "polygon" and their vertices, plus the minimal enclosing circle in
+ * latitude/longitude/radius so iOS region monitoring and older clients can
+ * still treat them as circles
+ */
+
+const {
+  MAX_POLYGON_VERTICES,
+  MIN_POLYGON_VERTICES,
+  isSelfIntersecting,
+  isValidCoordinate,
+  minimalEnclosingCircle,
+  polygonAreaSquareMeters,
+} = require("./geo");
+
+const GEOFENCE_TYPES = ["circle", "polygon"];
+
+// Polygons smaller than this are almost certainly a mis-tap
+const MIN_POLYGON_AREA_SQUARE_METERS = 100;
+
+// Bounds on a circle's radius, and on a polygon's enclosing circle. Below
+// the minimum, GPS accuracy makes crossings unreliable
+const MIN_GEOFENCE_RADIUS_METERS = 50;
+const MAX_GEOFENCE_RADIUS_METERS = 5000;
+
+// Most geofences a family can have, to keep location evaluation cheap
+const MAX_GEOFENCES_PER_FAMILY = 20;
+
+const MAX_GEOFENCE_NAME_LENGTH = 60;
+
+/**
+ * Validate polygon vertices sent by a client
+ * @param {*} vertices Vertices as [{latitude, longitude}]
+ * @return {Array<{latitude: number, longitude: number}>} Vertices without a
+ *   repeated closing vertex
+ */
+function validatePolygonVertices(vertices) {
+  if (!Array.isArray(vertices)) {
+    throw new Error("vertices must be an array");
+  }
+
+  const cleaned = vertices.map((vertex, index) => {
+    if (!vertex || !isValidCoordinate(vertex.latitude, vertex.longitude)) {
+      throw new Error(`vertices[${index}] must have a valid ` +
+        `latitude and longitude`);
+    }
+    return {latitude: vertex.latitude, longitude: vertex.longitude};
+  });
+
+  // Accept closed rings, where the first vertex is repeated at the end
+  const first = cleaned[0];
+  const last = cleaned[cleaned.length - 1];
+  if (cleaned.length > 1 && first.latitude === last.latitude &&
+      first.longitude === last.longitude) {
+    cleaned.pop();
+  }
+
+  if (cleaned.length < MIN_POLYGON_VERTICES ||
+      cleaned.length > MAX_POLYGON_VERTICES) {
+    throw new Error(`A polygon needs between ${MIN_POLYGON_VERTICES} and ` +
+      `${MAX_POLYGON_VERTICES} vertices`);
+  }
+
+  const points = cleaned.map((vertex) => ({
+    lat: vertex.latitude,
+    lng: vertex.longitude,
+  }));
+  if (isSelfIntersecting(points)) {
+    throw new Error("The polygon's edges must not cross each other");
+  }
+  if (polygonAreaSquareMeters(points) < MIN_POLYGON_AREA_SQUARE_METERS) {
+    throw new Error("The polygon is too small");
+  }
+
+  return cleaned;
+}
+
+/**
+ * Validate the shape of a geofence sent by a client
+ * @param {Object} data Client data with type and either latitude/longitude/
+ *   radius (circle) or vertices (polygon)
+ * @return {Object} Shape fields to store: type, latitude, longitude, radius
+ *   and vertices (null for circles)
+ */
+function validateGeofenceShape(data) {
+  const type = data.type || "circle";
+  if (!GEOFENCE_TYPES.includes(type)) {
+    throw new Error(`type must be one of: ${GEOFENCE_TYPES.join(", ")}`);
+  }
+
+  if (type === "polygon") {
+    const vertices = validatePolygonVertices(data.vertices);
+    const circle = minimalEnclosingCircle(vertices.map((vertex) => ({
+      lat: vertex.latitude,
+      lng: vertex.longitude,
+    })));
+    if (circle.radius < MIN_GEOFENCE_RADIUS_METERS) {
+      throw new Error(`The polygon must span at least ` +
+        `${MIN_GEOFENCE_RADIUS_METERS} meters from its center`);
+    }
+    if (circle.radius > MAX_GEOFENCE_RADIUS_METERS) {
+      throw new Error(`The polygon must fit inside a circle with a radius ` +
+        `of ${MAX_GEOFENCE_RADIUS_METERS} meters`);
+    }
+    return {
+      type: "polygon",
+      latitude: circle.lat,
+      longitude: circle.lng,
+      radius: circle.radius,
+      vertices: vertices,
+    };
+  }
+
+  if (!isValidCoordinate(data.latitude, data.longitude)) {
+    throw new Error("A valid latitude and longitude are required");
+  }
+  if (!Number.isFinite(data.radius) ||
+      data.radius < MIN_GEOFENCE_RADIUS_METERS ||
+      data.radius > MAX_GEOFENCE_RADIUS_METERS) {
+    throw new Error(`radius must be between ${MIN_GEOFENCE_RADIUS_METERS} ` +
+      `and ${MAX_GEOFENCE_RADIUS_METERS} meters`);
+  }
+  return {
+    type: "circle",
+    latitude: data.latitude,
+    longitude: data.longitude,
+    radius: data.radius,
+    vertices: null,
+  };
+}
+
+/**
+ * Validate the children a geofence is limited to
+ * @param {*} childIds Child IDs from the client; null or undefined means
+ *   every child in the family
+ * @param {string[]} familyChildIds Children in the geofence's family
+ * @return {string[]|null} De-duplicated child IDs, or null for all children
+ */
+function validateGeofenceChildIds(childIds, familyChildIds) {
+  if (childIds === undefined || childIds === null) {
+    return null;
+  }
+  if (!Array.isArray(childIds) || childIds.length === 0) {
+    throw new Error("childIds must be a non-empty array, or null for " +
+      "every child");
+  }
+  const unknown = childIds.filter((id) => !familyChildIds.includes(id));
+  if (unknown.length > 0) {
+    throw new Error(`childIds must be children in this family: ` +
+      unknown.join(", "));
+  }
+  return [...new Set(childIds)];
+}
+
+/**
+ * Check whether a geofence applies to a child
+ * @param {Object} geofence Geofence data
+ * @param {string} childId Child user ID
+ * @return {boolean} True if the geofence has no childIds or lists the child
+ */
+function geofenceAppliesToChild(geofence, childId) {
+  return !Array.isArray(geofence.childIds) ||
+    geofence.childIds.includes(childId);
+}
+
+module.exports = {
+  GEOFENCE_TYPES,
+  MIN_GEOFENCE_RADIUS_METERS,
+  MAX_GEOFENCE_RADIUS_METERS,
+  MAX_GEOFENCES_PER_FAMILY,
+  MAX_GEOFENCE_NAME_LENGTH,
+  validateGeofenceShape,
+  validateGeofenceChildIds,
+  geofenceAppliesToChild,
+};
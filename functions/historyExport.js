@@ -0,0 +1,181 @@
+/**
+ * Location history export formats
+ * Turns a child's location points and geofence events into a GPX track,
+ * a GeoJSON FeatureCollection or a CSV file
+ */
+
+const EXPORT_FORMATS = {
+  gpx: {extension: "gpx", contentType: "application/gpx+xml"},
+  geojson: {extension: "geojson", contentType: "application/geo+json"},
+  csv: {extension: "csv", contentType: "text/csv"},
+};
+
+/**
+ * Escape text for use inside XML
+ * @param {string} value Text to escape
+ * @return {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&apos;");
+}
+
+/**
+ * Quote a CSV field when it contains a separator, quote or newline
+ * Text starting like a formula (addresses and geofence names come from users)
+ * is prefixed with ' so spreadsheets don't evaluate it; numbers are kept as is
+ * @param {*} value Field value
+ * @return {string} CSV-safe field
+ */
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  let text = String(value);
+  if (typeof value !== "number" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+/**
+ * Build a GPX 1.1 document with one track and a waypoint per event
+ * @param {Object} data Export data
+ * @param {string} data.name Track name
+ * @param {Object[]} data.points Points with lat, lng, timestamp (millis)
+ * @param {Object[]} data.waypoints Waypoints with lat, lng, timestamp, name
+ * @return {string} GPX document
+ */
+function toGPX({name, points, waypoints}) {
+  const lines = [
+    "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+    "<gpx version=\"1.1\" creator=\"Located\" " +
+      "xmlns=\"http://www.topografix.com/GPX/1/1\">",
+    `  <metadata><name>${escapeXml(name)}</name></metadata>`,
+  ];
+
+  waypoints.forEach((waypoint) => {
+    lines.push(
+        `  <wpt lat="${waypoint.lat}" lon="${waypoint.lng}">`,
+        `    <time>${new Date(waypoint.timestamp).toISOString()}</time>`,
+        `    <name>${escapeXml(waypoint.name)}</name>`,
+        `    <type>${escapeXml(waypoint.eventType)}</type>`,
+        "  </wpt>",
+    );
+  });
+
+  lines.push("  <trk>", `    <name>${escapeXml(name)}</name>`, "    <trkseg>");
+  points.forEach((point) => {
+    lines.push(
+        `      <trkpt lat="${point.lat}" lon="${point.lng}">` +
+        `<time>${new Date(point.timestamp).toISOString()}</time></trkpt>`,
+    );
+  });
+  lines.push("    </trkseg>", "  </trk>", "</gpx>", "");
+
+  return lines.join("\n");
+}
+
+/**
+ * Build a GeoJSON FeatureCollection with a LineString track and a Point per
+ * event
+ * @param {Object} data Export data, see toGPX
+ * @return {string} GeoJSON document
+ */
+function toGeoJSON({name, points, waypoints}) {
+  const features = [];
+
+  if (points.length > 0) {
+    const coordinates = points.map((point) => [point.lng, point.lat]);
+    features.push({
+      type: "Feature",
+      // A LineString needs two positions, so a lone point stays a Point
+      geometry: coordinates.length > 1 ?
+        {type: "LineString", coordinates: coordinates} :
+        {type: "Point", coordinates: coordinates[0]},
+      properties: {
+        name: name,
+        kind: "track",
+        times: points.map((point) => new Date(point.timestamp).toISOString()),
+      },
+    });
+  }
+
+  waypoints.forEach((waypoint) => {
+    features.push({
+      type: "Feature",
+      geometry: {
+        type: "Point",
+        coordinates: [waypoint.lng, waypoint.lat],
+      },
+      properties: {
+        name: waypoint.name,
+        kind: "geofence_event",
+        eventType: waypoint.eventType,
+        time: new Date(waypoint.timestamp).toISOString(),
+      },
+    });
+  });
+
+  return JSON.stringify({type: "FeatureCollection", features: features});
+}
+
+/**
+ * Build a CSV file with one row per point and per event
+ * @param {Object} data Export data, see toGPX
+ * @return {string} CSV document
+ */
+function toCSV({points, waypoints}) {
+  const rows = [
+    ...points.map((point) => ({
+      kind: "point",
+      ...point,
+    })),
+    ...waypoints.map((waypoint) => ({
+      kind: "geofence_event",
+      ...waypoint,
+    })),
+  ].sort((a, b) => a.timestamp - b.timestamp);
+
+  const header = "time,kind,latitude,longitude,accuracy,address," +
+    "battery_level,event";
+  return [
+    header,
+    ...rows.map((row) => [
+      new Date(row.timestamp).toISOString(),
+      row.kind,
+      row.lat,
+      row.lng,
+      row.accuracy,
+      row.address,
+      row.batteryLevel,
+      row.name,
+    ].map(csvField).join(",")),
+    "",
+  ].join("\n");
+}
+
+/**
+ * Render export data in the requested format
+ * @param {string} format One of EXPORT_FORMATS
+ * @param {Object} data Export data, see toGPX
+ * @return {string} File contents
+ */
+function renderExport(format, data) {
+  if (format === "gpx") {
+    return toGPX(data);
+  }
+  if (format === "geojson") {
+    return toGeoJSON(data);
+  }
+  return toCSV(data);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  renderExport,
+};
@@ -0,0 +1,155 @@
+/**
+ * Per-user notification inbox
+ * Every visible push is stored in users/{uid}/notifications before it is
+ * sent, so parents can scroll back through it, and the unread count is used
+ * as the APNs badge
+ */
+
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+const {sendToUsers} = require("./pushDelivery");
+
+/**
+ * Inbox collection reference for a user
+ * @param {string} userId User ID
+ * @return {FirebaseFirestore.CollectionReference} Inbox collection
+ */
+function inboxCollection(userId) {
+  return admin.firestore()
+      .collection("users")
+      .doc(userId)
+      .collection("notifications");
+}
+
+/**
+ * Count a user's unread inbox items
+ * @param {string} userId User ID
+ * @return {Promise<number>} Unread count
+ */
+async function unreadCount(userId) {
+  const snapshot = await inboxCollection(userId)
+      .where("read", "==", false)
+      .count()
+      .get();
+  return snapshot.data().count;
+}
+
+/**
+ * Copy an FCM message with the badge set for one recipient
+ * @param {Object} message Base FCM message
+ * @param {number} badge Unread count to show on the app icon
+ * @param {string} notificationId Inbox item ID
+ * @return {Object} Message for the recipient
+ */
+function withBadge(message, badge, notificationId) {
+  const apns = message.apns || {};
+  const payload = apns.payload || {};
+  return {
+    ...message,
+    data: {...(message.data || {}), notificationId: notificationId},
+    apns: {
+      ...apns,
+      payload: {
+        ...payload,
+        aps: {sound: "default", ...(payload.aps || {}), badge: badge},
+      },
+    },
+  };
+}
+
+/**
+ * Store an inbox item for each recipient and push it with their unread badge
+ * @param {string[]} userIds Recipients
+ * @param {Object} item Inbox item fields
+ * @param {string} item.type Notification type
+ * @param {string} item.title Notification title
+ * @param {string} item.body Notification body
+ * @param {string} [item.familyId] Family the notification belongs to
+ * @param {string} [item.childId] Child the notification is about
+ * @param {string} [item.geofenceId] Geofence involved, if any
+ * @param {Object} message FCM message without tokens; notification and badge
+ *   are filled in from the item
+ * @return {Promise<Object>} Delivery report combined across recipients
+ */
+async function notifyUsers(userIds, item, message) {
+  const report = {
+    recipients: userIds.length,
+    tokensFound: 0,
+    simulatedTokens: 0,
+    attempted: 0,
+    successCount: 0,
+    failureCount: 0,
+    removedTokens: 0,
+    errors: {},
+    results: [],
+    notificationIds: {},
+  };
+
+  await Promise.all(userIds.map(async (userId) => {
+    const itemRef = inboxCollection(userId).doc();
+    await itemRef.set({
+      type: item.type,
+      title: item.title,
+      body: item.body,
+      familyId: item.familyId || null,
+      childId: item.childId || null,
+      geofenceId: item.geofenceId || null,
+      read: false,
+      readAt: null,
+      delivery: {status: "pending"},
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    report.notificationIds[userId] = itemRef.id;
+
+    let userReport;
+    try {
+      const badge = await unreadCount(userId);
+      userReport = await sendToUsers([userId], withBadge({
+        ...message,
+        notification: {title: item.title, body: item.body},
+      }, badge, itemRef.id));
+    } catch (error) {
+      logger.error(`Error delivering notification to user ${userId}:`, error);
+      await itemRef.update({
+        delivery: {status: "failed", error: error.message},
+      });
+      report.errors.send = (report.errors.send || 0) + 1;
+      return;
+    }
+
+    let status = "no_devices";
+    if (userReport.successCount > 0) {
+      status = "delivered";
+    } else if (userReport.failureCount > 0) {
+      status = "failed";
+    }
+
+    await itemRef.update({
+      delivery: {
+        status: status,
+        attempted: userReport.attempted,
+        successCount: userReport.successCount,
+        failureCount: userReport.failureCount,
+        errors: userReport.errors,
+        sentAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+    });
+
+    ["tokensFound", "simulatedTokens", "attempted", "successCount",
+      "failureCount", "removedTokens"].forEach((key) => {
+      report[key] += userReport[key];
+    });
+    Object.entries(userReport.errors).forEach(([category, count]) => {
+      report.errors[category] = (report.errors[category] || 0) + count;
+    });
+    report.results.push(...userReport.results);
+  }));
+
+  return report;
+}
+
+module.exports = {
+  inboxCollection,
+  unreadCount,
+  notifyUsers,
+};
@@ -4,12 +4,84 @@
  */
 
 const {setGlobalOptions} = require("firebase-functions");
-const {onDocumentCreated} = require("firebase-functions/v2/firestore");
-const {onRequest, onCall} = require("firebase-functions/v2/https");
+const {
+  onDocumentCreated,
+  onDocumentWritten,
+} = require("firebase-functions/v2/firestore");
+const {onRequest, onCall, HttpsError} = require("firebase-functions/v2/https");
 const {onSchedule} = require("firebase-functions/v2/scheduler");
+const {defineList, defineSecret} = require("firebase-functions/params");
 const logger = require("firebase-functions/logger");
 const admin = require("firebase-admin");
 const {v4: uuidv4} = require("uuid");
+const crypto = require("crypto");
+const {
+  distanceMeters,
+  isValidCoordinate,
+  distanceToGeofenceCenter,
+  distanceOutsideGeofence,
+  isPointInGeofence,
+} = require("./geo");
+const {
+  MAX_GEOFENCES_PER_FAMILY,
+  MAX_GEOFENCE_NAME_LENGTH,
+  geofenceAppliesToChild,
+  validateGeofenceChildIds,
+  validateGeofenceShape,
+} = require("./geofences");
+const {isSimulatedToken, sendToUsers} = require("./pushDelivery");
+const {inboxCollection, notifyUsers, unreadCount} = require("./inbox");
+const {
+  RETENTION_DAYS_OPTIONS,
+  applyFamilySettingsUpdate,
+  getFamilySettings,
+  locationHistoryRetentionDays,
+} = require("./familySettings");
+const {localDayRange, segmentPoints} = require("./timeline");
+const {EXPORT_FORMATS, renderExport} = require("./historyExport");
+const {checkEntitlement, requireEntitlement} = require("./entitlements");
+const {AUDIT_ISSUE_TYPES, runFamilyAudit} = require("./familyAudit");
+const {
+  TRIAL_REMINDER_DAYS,
+  applySubscriptionEvent,
+  newTrialFields,
+  noTrialFields,
+  subscriptionEventUserIds,
+} = require("./subscriptions");
+const {
+  MAX_SUGGESTED_RADIUS_METERS,
+  MIN_SUGGESTED_RADIUS_METERS,
+  PLACE_CLUSTER_RADIUS_METERS,
+  findFrequentPlaces,
+  suggestPlaceName,
+} = require("./frequentPlaces");
+const {
+  isRuleDue,
+  localWeekday,
+  validateScheduleRules,
+} = require("./geofenceSchedules");
+const {
+  STALE_TOKEN_DAYS,
+  commitInBatches,
+  deviceRef,
+  findTokenOwners,
+  hashToken,
+  removeStaleTokens,
+  removeTokens,
+  touchDeviceToken,
+  validateDeviceMetadata,
+} = require("./deviceTokens");
+const {
+  applyPreferencesUpdate,
+  filterRecipients,
+  formatLocalTime,
+  getNotificationPreferences,
+  isValidTimeZone,
+  localDateString,
+  minutesInTimeZone,
+  timeToMinutes,
+  withDefaults,
+} = require("./notificationPreferences");
 
 // Initialize Firebase Admin SDK
 admin.initializeApp();
@@ -69,220 +141,114 @@ exports.onGeofenceEvent = onDocumentCreated(
         }
 
         const geofenceData = geofenceDoc.data();
-        // Default true for backward compatibility
-        const notifyOnEnter = geofenceData.notifyOnEnter !== false;
-        const notifyOnExit = geofenceData.notifyOnExit !== false;
-
-        // Check if notifications are enabled for this event type
-        if (eventType === "enter" && !notifyOnEnter) {
-          logger.info(
-              `Notifications disabled for ENTER events ` +
-              `on geofence: ${geofenceName}`,
-              {
-                geofenceId: geofenceId,
-                eventId: eventId,
-              },
-          );
+
+        // Geofences limited to some children don't notify about the others
+        if (!geofenceAppliesToChild(geofenceData, childId)) {
+          logger.info(`Geofence ${geofenceId} is not assigned to child ` +
+            `${childId}, skipping event ${eventId}`);
+          await event.data.ref.update({
+            notificationSuppressed: "child_not_assigned",
+            notificationSent: false,
+          });
           return;
         }
 
-        if (eventType === "exit" && !notifyOnExit) {
-          logger.info(
-              `Notifications disabled for EXIT events ` +
-              `on geofence: ${geofenceName}`,
-              {
-                geofenceId: geofenceId,
-                eventId: eventId,
-              },
-          );
-          return;
+        // Devices monitor a polygon's enclosing circle, so check the
+        // reported position against the polygon itself
+        if (geofenceData.type === "polygon" && eventData.source !== "server") {
+          const point = location &&
+            isValidCoordinate(location.lat, location.lng) ?
+            {lat: location.lat, lng: location.lng} :
+            null;
+          if (!point ||
+              isPointInGeofence(point, geofenceData) !==
+                (eventType === "enter")) {
+            logger.info(`Device ${eventType} event ${eventId} doesn't match ` +
+              `polygon geofence ${geofenceId}, skipping notification`);
+            await event.data.ref.update({
+              notificationSuppressed: "polygon_check_failed",
+              distanceOutsidePolygon: point ?
+                distanceOutsideGeofence(point, geofenceData) :
+                null,
+              notificationSent: false,
+            });
+            return;
+          }
         }
 
-        logger.info(
-            `Notification enabled for ${eventType.toUpperCase()} ` +
-            `event on geofence: ${geofenceName}`,
-            {
-              geofenceId: geofenceId,
-              notifyOnEnter: notifyOnEnter,
-              notifyOnExit: notifyOnExit,
-            },
-        );
+        // Events written by the device are reconciled against the
+        // server-side evaluator so the same crossing isn't notified twice.
+        // This runs after the checks above so a rejected event never
+        // changes the child's inside/outside state
+        if (eventData.source !== "server") {
+          const isDuplicate = await recordDeviceGeofenceEvent(
+              eventId,
+              eventData,
+          );
+          if (isDuplicate) {
+            logger.info(
+                `Skipping device geofence event already reported by server`,
+                {
+                  eventId: eventId,
+                  childId: childId,
+                  geofenceId: geofenceId,
+                  eventType: eventType,
+                },
+            );
+            await event.data.ref.update({
+              duplicateOfServerEvent: true,
+              notificationSent: false,
+            });
+            return;
+          }
+        }
 
-        // Get family information to find authorized parents
-        const familyId = eventData.familyId;
-        if (!familyId) {
+        if (!eventData.familyId) {
           logger.error(`No familyId found in geofence event: ${eventId}`);
           return;
         }
 
+        // Geofence alerts are a premium feature
         const familyDoc = await admin.firestore()
             .collection("families")
-            .doc(familyId)
+            .doc(eventData.familyId)
             .get();
-
-        if (!familyDoc.exists) {
-          logger.error(`Family document not found: ${familyId}`);
-          return;
-        }
-
-        const familyData = familyDoc.data();
-        const members = familyData.members || {};
-
-        // Find all parents in the family
-        const parentIds = Object.keys(members).filter(
-            (userId) => members[userId].role === "parent",
-        );
-
-        if (parentIds.length === 0) {
-          logger.warn(`No parents found in family: ${familyId}`);
-          return;
-        }
-
-        // Get FCM tokens for all parents
-        const parentTokens = [];
-        const parentPromises = parentIds.map(async (parentId) => {
-          try {
-            const parentDoc = await admin.firestore()
-                .collection("users")
-                .doc(parentId)
-                .get();
-
-            if (parentDoc.exists) {
-              const parentData = parentDoc.data();
-              const fcmTokens = parentData.fcmTokens || [];
-              return fcmTokens;
-            }
-            return [];
-          } catch (error) {
-            logger.error(`Error fetching parent ${parentId}:`, error);
-            return [];
-          }
-        });
-
-        const allTokens = await Promise.all(parentPromises);
-        parentTokens.push(...allTokens.flat());
-
-        if (parentTokens.length === 0) {
-          logger.warn(`No FCM tokens found for parents of child: ${childId}`);
-          return;
-        }
-
-        // Check if we have old simulated/test tokens
-        // Real FCM tokens contain "APA91b"
-        // Old test tokens were manually generated and lack this
-        const hasSimulatedTokens = parentTokens.some((token) =>
-          token.startsWith("simulated_fcm_token_") ||
-          (!token.includes("APA91b") && token.includes(":")),
-        );
-
-        logger.info("Token Validation", {
-          hasSimulatedTokens: hasSimulatedTokens,
-          tokenChecks: parentTokens.map((token) => ({
-            token: token.substring(0, 50) + "...",
-            startsWithSimulated: token.startsWith("simulated_fcm_token_"),
-            includesAPA91b: token.includes("APA91b"),
-            isValid: token.includes("APA91b") ||
-              !token.includes(":"),
-            isSimulated: token.startsWith("simulated_fcm_token_") ||
-                        (!token.includes("APA91b") && token.includes(":")),
-          })),
-        });
-
-        if (hasSimulatedTokens) {
-          const eventText = eventType === "enter" ? "entered" : "left";
-          const notificationTitle = `${childName || "Your child"} ` +
-            `${eventText} ${geofenceName || "a geofence"}`;
-          const notificationBody = `Location: ` +
-            `${location && location.address ?
-            location.address : "Unknown location"}`;
-
-          logger.info("Simulated FCM tokens detected - geofence notification " +
-            "system working correctly", {
-            eventId: eventId,
-            childName: childName,
-            geofenceName: geofenceName,
-            eventType: eventType,
-            parentCount: parentIds.length,
-            tokensFound: parentTokens.length,
-            tokenType: "simulated",
-            notificationTitle: notificationTitle,
-            notificationBody: notificationBody,
+        if (familyDoc.exists &&
+            !checkEntitlement(familyDoc.data()).entitled) {
+          logger.info(`Family ${eventData.familyId} is not subscribed, ` +
+            `skipping notification for event ${eventId}`);
+          await event.data.ref.update({
+            notificationSuppressed: "not_entitled",
+            notificationSent: false,
           });
           return;
         }
 
-        // Prepare notification message
-        const eventText = eventType === "enter" ? "entered" : "left";
-        const title = `${childName || "Your child"} ${eventText} ` +
-            `${geofenceName || "a geofence"}`;
-        const body = `Location: ${location && location.address ?
-            location.address : "Unknown location"}`;
-
-        const message = {
-          notification: {
-            title: title,
-            body: body,
-          },
-          data: {
-            type: "geofence_event",
-            childId: childId,
-            childName: childName || "Unknown",
-            geofenceId: geofenceId || "",
-            geofenceName: geofenceName || "Unknown",
-            eventType: eventType,
-            timestamp: timestamp ? timestamp.toString() : Date.now().toString(),
-            location: JSON.stringify(location || {}),
-          },
-          tokens: parentTokens,
-          apns: {
-            payload: {
-              aps: {
-                sound: "default",
-                badge: 1,
-              },
-            },
-          },
+        const crossing = {
+          eventId: eventId,
+          familyId: eventData.familyId,
+          childId: childId,
+          childName: childName,
+          geofenceId: geofenceId,
+          geofenceName: geofenceName,
+          eventType: eventType,
+          eventAt: toMillis(timestamp) || Date.now(),
+          location: location || null,
         };
 
-        // Send notification - try send() instead of sendMulticast()
-        let response;
-        if (parentTokens.length === 1) {
-          const singleMessage = {
-            notification: message.notification,
-            data: message.data,
-            apns: message.apns,
-            token: parentTokens[0],
-          };
-          response = await admin.messaging().send(singleMessage);
-          // Convert to multicast format for logging compatibility
-          response = {
-            successCount: 1,
-            failureCount: 0,
-            responses: [{success: true}],
-          };
-        } else {
-          response = await admin.messaging().sendMulticast(message);
+        // Hold the crossing for the geofence's dwell time so boundary
+        // flapping collapses into a single notification
+        const dwellSeconds = geofenceDwellSeconds(geofenceData);
+        if (dwellSeconds > 0) {
+          const outcome = await holdGeofenceCrossing(crossing, dwellSeconds);
+          logger.info(`Geofence event ${eventId} held for debounce`, {
+            outcome: outcome,
+            dwellSeconds: dwellSeconds,
+          });
+          return;
         }
 
-        logger.info(`Notification sent for geofence event ${eventId}`, {
-          successCount: response.successCount,
-          failureCount: response.failureCount,
-          responses: response.responses,
-        });
-
-        // Handle failed tokens (remove invalid ones)
-        const failedTokens = [];
-        response.responses.forEach((resp, idx) => {
-          if (!resp.success) {
-            failedTokens.push(parentTokens[idx]);
-            logger.warn(`Failed to send to token ${idx}:`, resp.error);
-          }
-        });
-
-        // Remove failed tokens from user documents
-        if (failedTokens.length > 0) {
-          await cleanupFailedTokens(failedTokens);
-        }
+        await sendGeofenceNotification(crossing, geofenceData);
       } catch (error) {
         logger.error("Error processing geofence event:", {
           error: error.message,
@@ -294,1481 +260,6381 @@ exports.onGeofenceEvent = onDocumentCreated(
     },
 );
 
-/**
- * Helper function to clean up failed FCM tokens
- * @param {string[]} failedTokens Array of failed FCM tokens to remove
- */
-async function cleanupFailedTokens(failedTokens) {
-  try {
-    // Get all users and remove failed tokens
-    const usersSnapshot = await admin.firestore()
-        .collection("users")
-        .get();
-
-    let batch = admin.firestore().batch();
-    let batchCount = 0;
-    let totalRemoved = 0;
-
-    for (const userDoc of usersSnapshot.docs) {
-      const userData = userDoc.data();
-      const fcmTokens = userData.fcmTokens || [];
+// Dwell time used when a geofence doesn't set dwellSeconds
+const DEFAULT_GEOFENCE_DWELL_SECONDS = 60;
 
-      // Filter out failed tokens and invalid old-format test tokens
-      // Real FCM tokens contain "APA91b" and are valid even with colons
-      const validTokens = fcmTokens.filter((token) => {
-        const isFailedToken = failedTokens.includes(token);
-        const isRealFCMToken = token.includes("APA91b");
-        const isOldTestToken = !isRealFCMToken && token.includes(":");
-
-        return !isFailedToken && !isOldTestToken;
-      });
+// Longest dwell time a geofence may configure
+const MAX_GEOFENCE_DWELL_SECONDS = 30 * 60;
 
-      if (validTokens.length !== fcmTokens.length) {
-        totalRemoved += (fcmTokens.length - validTokens.length);
-        batch.update(userDoc.ref, {fcmTokens: validTokens});
-        batchCount++;
+/**
+ * Helper function to read the debounce dwell time of a geofence
+ * @param {Object} geofenceData Geofence document data
+ * @return {number} Dwell time in seconds; 0 sends notifications immediately
+ */
+function geofenceDwellSeconds(geofenceData) {
+  const dwell = geofenceData.dwellSeconds;
+  if (typeof dwell !== "number" || !Number.isFinite(dwell) || dwell < 0) {
+    return DEFAULT_GEOFENCE_DWELL_SECONDS;
+  }
+  return Math.min(dwell, MAX_GEOFENCE_DWELL_SECONDS);
+}
 
-        if (batchCount >= 499) { // Firestore batch limit is 500
-          await batch.commit();
-          batch = admin.firestore().batch(); // Re-initialize batch
-          batchCount = 0;
-        }
+/**
+ * Helper function to hold a crossing until its dwell time passes
+ * An opposite crossing for the same child and geofence inside the window
+ * cancels both, and a repeat of the same crossing is absorbed
+ * @param {Object} crossing Crossing built by onGeofenceEvent
+ * @param {number} dwellSeconds Dwell time in seconds
+ * @return {Promise<string>} held, flapping or repeat
+ */
+async function holdGeofenceCrossing(crossing, dwellSeconds) {
+  const pendingRef = admin.firestore()
+      .collection("pending_geofence_notifications")
+      .doc(`${crossing.childId}_${crossing.geofenceId}`);
+
+  const outcome = await admin.firestore().runTransaction(async (tx) => {
+    const pendingDoc = await tx.get(pendingRef);
+
+    if (pendingDoc.exists) {
+      const pending = pendingDoc.data();
+      if (pending.eventType !== crossing.eventType) {
+        tx.delete(pendingRef);
+        return {status: "flapping", pendingEventId: pending.eventId};
       }
+      return {status: "repeat", pendingEventId: pending.eventId};
     }
 
-    if (batchCount > 0) {
-      await batch.commit();
-    }
+    tx.set(pendingRef, {
+      ...crossing,
+      releaseAt: admin.firestore.Timestamp.fromMillis(
+          Date.now() + dwellSeconds * 1000,
+      ),
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return {status: "held"};
+  });
 
-    if (totalRemoved > 0) {
-      logger.info(`Cleaned up ${totalRemoved} invalid/simulated tokens.`);
-    }
-  } catch (error) {
-    logger.error("Error cleaning up failed tokens:", error);
+  if (outcome.status === "flapping") {
+    const batch = admin.firestore().batch();
+    [outcome.pendingEventId, crossing.eventId].forEach((id) => {
+      batch.set(admin.firestore().collection("geofence_events").doc(id), {
+        notificationSuppressed: "flapping",
+        notificationSent: false,
+      }, {merge: true});
+    });
+    await batch.commit();
+  } else if (outcome.status === "repeat") {
+    await admin.firestore()
+        .collection("geofence_events")
+        .doc(crossing.eventId)
+        .set({
+          notificationSuppressed: "repeat",
+          notificationSent: false,
+        }, {merge: true});
   }
+
+  return outcome.status;
 }
 
 /**
- * HTTP function to test the geofence notification system
+ * Helper function to look up a family's timezone for message text
+ * @param {Object} familyData Family document data
+ * @return {string} IANA timezone name, UTC if unset or invalid
  */
-exports.testGeofenceNotification = onRequest(async (req, res) => {
-  try {
-    // This is a test endpoint - in production, you'd want to secure this
-    const testEvent = {
-      childId: req.body.childId || "test-child-id",
-      childName: req.body.childName || "Test Child",
-      geofenceId: req.body.geofenceId || "test-geofence-id",
-      geofenceName: req.body.geofenceName || "Test Geofence",
-      eventType: req.body.eventType || "enter",
-      timestamp: Date.now(),
-      location: {
-        lat: req.body.lat || 37.7749,
-        lng: req.body.lng || -122.4194,
-        address: req.body.address || "Test Location",
-      },
-    };
+function familyTimeZone(familyData) {
+  return isValidTimeZone(familyData.timeZone) ? familyData.timeZone : "UTC";
+}
 
-    // Manually trigger the geofence event processing
-    await admin.firestore()
-        .collection("geofence_events")
-        .add(testEvent);
+/**
+ * Helper function to list the parents of a family
+ * @param {Object} familyData Family document data
+ * @return {string[]} Parent user IDs
+ */
+function familyParentIds(familyData) {
+  const members = familyData.members || {};
+  return Object.keys(members).filter(
+      (userId) => members[userId].role === "parent",
+  );
+}
 
-    res.status(200).json({
-      success: true,
-      message: "Test geofence event created",
-      event: testEvent,
-    });
-  } catch (error) {
-    logger.error("Error in test function:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
-  }
-});
+/**
+ * Helper function to list the accepted children of a family
+ * @param {Object} familyData Family document data
+ * @return {string[]} Child user IDs
+ */
+function familyChildIds(familyData) {
+  const members = familyData.members || {};
+  return Object.keys(members).filter((userId) =>
+    members[userId].role === "child" && members[userId].status !== "pending");
+}
 
 /**
- * HTTP function to send debug notification with child device info
+ * Helper function to notify a family's parents about a geofence crossing
+ * @param {Object} crossing Crossing built by onGeofenceEvent
+ * @param {Object} geofenceData Geofence document data
  */
-exports.sendDebugNotification = onRequest(async (req, res) => {
-  try {
-    const {
-      childId,
-      childName,
-      familyId,
-      debugInfo,
-    } = req.body;
+async function sendGeofenceNotification(crossing, geofenceData) {
+  const {
+    eventId,
+    familyId,
+    childId,
+    childName,
+    geofenceId,
+    geofenceName,
+    eventType,
+    eventAt,
+    location,
+  } = crossing;
+
+  // Default true for backward compatibility
+  const notifyOnEnter = geofenceData.notifyOnEnter !== false;
+  const notifyOnExit = geofenceData.notifyOnExit !== false;
+
+  // Check if notifications are enabled for this event type
+  if ((eventType === "enter" && !notifyOnEnter) ||
+      (eventType === "exit" && !notifyOnExit)) {
+    logger.info(
+        `Notifications disabled for ${eventType.toUpperCase()} events ` +
+        `on geofence: ${geofenceName}`,
+        {
+          geofenceId: geofenceId,
+          eventId: eventId,
+        },
+    );
+    return;
+  }
 
-    if (!childId || !familyId) {
-      return res.status(400).json({
-        success: false,
-        error: "childId and familyId are required",
-      });
-    }
+  // Get family information to find authorized parents
+  const familyDoc = await admin.firestore()
+      .collection("families")
+      .doc(familyId)
+      .get();
 
-    // Get the child's actual name from their user document
-    let actualChildName = childName;
-    try {
-      const childDoc = await admin.firestore()
-          .collection("users")
-          .doc(childId)
-          .get();
+  if (!familyDoc.exists) {
+    logger.error(`Family document not found: ${familyId}`);
+    return;
+  }
 
-      if (childDoc.exists) {
-        const childData = childDoc.data();
-        actualChildName = childData.name || childName;
-      }
-    } catch (error) {
-      logger.warn(`Could not fetch child name for ${childId}:`, error);
-    }
+  const familyData = familyDoc.data();
+  const members = familyData.members || {};
 
-    // Get family information to find authorized parents
-    const familyDoc = await admin.firestore()
-        .collection("families")
-        .doc(familyId)
-        .get();
+  // Find all parents in the family
+  const parentIds = Object.keys(members).filter(
+      (userId) => members[userId].role === "parent",
+  );
 
-    if (!familyDoc.exists) {
-      return res.status(404).json({
-        success: false,
-        error: "Family not found",
-      });
-    }
+  if (parentIds.length === 0) {
+    logger.warn(`No parents found in family: ${familyId}`);
+    return;
+  }
 
-    const familyData = familyDoc.data();
-    const members = familyData.members || {};
+  // Apply each parent's own notification preferences
+  const recipientIds = await filterRecipients(parentIds, {
+    type: `geofence_${eventType}`,
+    childId: childId,
+    geofenceId: geofenceId,
+  });
 
-    // Find all parents in the family
-    const parentIds = Object.keys(members).filter(
-        (userId) => members[userId].role === "parent",
-    );
+  if (recipientIds.length === 0) {
+    logger.info(`All parents filtered out for geofence event ${eventId}`);
+    return;
+  }
 
-    if (parentIds.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: "No parents found in family",
-      });
-    }
+  // Prepare notification message, e.g. "Emma arrived at School 08:42"
+  const eventText = eventType === "enter" ? "arrived at" : "left";
+  const time = formatLocalTime(new Date(eventAt), familyTimeZone(familyData));
+  const title = `${childName || "Your child"} ${eventText} ` +
+      `${geofenceName || "a geofence"} ${time}`;
+  const body = `Location: ${location && location.address ?
+      location.address : "Unknown location"}`;
+
+  const message = {
+    data: {
+      type: "geofence_event",
+      eventId: eventId,
+      childId: childId,
+      childName: childName || "Unknown",
+      geofenceId: geofenceId || "",
+      geofenceName: geofenceName || "Unknown",
+      eventType: eventType,
+      timestamp: eventAt.toString(),
+      location: JSON.stringify(location || {}),
+    },
+  };
+
+  // Badge is set per parent from their unread inbox count
+  const report = await notifyUsers(recipientIds, {
+    type: `geofence_${eventType}`,
+    title: title,
+    body: body,
+    familyId: familyId,
+    childId: childId,
+    geofenceId: geofenceId,
+  }, message);
+
+  await admin.firestore()
+      .collection("geofence_events")
+      .doc(eventId)
+      .set({notificationSent: report.successCount > 0}, {merge: true});
+
+  logger.info(`Notification sent for geofence event ${eventId}`, {
+    tokensFound: report.tokensFound,
+    simulatedTokens: report.simulatedTokens,
+    successCount: report.successCount,
+    failureCount: report.failureCount,
+    errors: report.errors,
+    removedTokens: report.removedTokens,
+  });
+}
 
-    // Get FCM tokens for all parents
-    const parentTokens = [];
-    const parentPromises = parentIds.map(async (parentId) => {
+/**
+ * Scheduled Cloud Function to release held geofence notifications
+ * Runs every minute and sends crossings whose dwell time has passed
+ */
+exports.releaseGeofenceNotifications = onSchedule(
+    "every 1 minutes",
+    async (event) => {
       try {
-        const parentDoc = await admin.firestore()
-            .collection("users")
-            .doc(parentId)
+        const snapshot = await admin.firestore()
+            .collection("pending_geofence_notifications")
+            .where("releaseAt", "<=", admin.firestore.Timestamp.now())
+            .limit(100)
             .get();
 
-        if (parentDoc.exists) {
-          const parentData = parentDoc.data();
-          const fcmTokens = parentData.fcmTokens || [];
-          return fcmTokens;
+        if (snapshot.empty) {
+          return;
+        }
+
+        let releasedCount = 0;
+        for (const pendingDoc of snapshot.docs) {
+          // Claim the entry so an overlapping run can't send it twice, and so
+          // a flapping event that arrived since this query wins
+          const crossing = await admin.firestore().runTransaction(
+              async (transaction) => {
+                const current = await transaction.get(pendingDoc.ref);
+                if (!current.exists ||
+                    current.data().eventId !== pendingDoc.data().eventId) {
+                  return null;
+                }
+                transaction.delete(pendingDoc.ref);
+                return current.data();
+              },
+          );
+
+          if (!crossing) {
+            continue;
+          }
+
+          try {
+            const geofenceDoc = await admin.firestore()
+                .collection("geofences")
+                .doc(crossing.geofenceId)
+                .get();
+
+            if (!geofenceDoc.exists) {
+              logger.warn(`Geofence deleted before release: ` +
+                `${crossing.geofenceId}`);
+              continue;
+            }
+
+            await sendGeofenceNotification(crossing, geofenceDoc.data());
+            releasedCount++;
+          } catch (error) {
+            logger.error(`Error releasing geofence event ` +
+              `${crossing.eventId}:`, error);
+          }
         }
-        return [];
+
+        logger.info(`Released ${releasedCount} held geofence notifications`);
       } catch (error) {
-        logger.error(`Error fetching parent ${parentId}:`, error);
-        return [];
+        logger.error("Error releasing geofence notifications:", error);
+        throw error;
       }
-    });
+    },
+);
 
-    const allTokens = await Promise.all(parentPromises);
-    parentTokens.push(...allTokens.flat());
+// Most crossings listed in one digest notification body
+const MAX_DIGEST_ENTRIES = 20;
 
-    // Debug logging
-    logger.info("FCM Token Debug Info", {
-      parentTokens: parentTokens,
-      tokenCount: parentTokens.length,
-      tokenLengths: parentTokens.map((token) => token.length),
-      tokenFormats: parentTokens.map((token) => token.split(":").length),
-    });
+/**
+ * Scheduled Cloud Function to send daily geofence digests
+ * Runs every 15 minutes and sends each parent who enabled the digest one
+ * summary of their children's crossings once their local digest time passes
+ */
+exports.sendGeofenceDigests = onSchedule("every 15 minutes", async (event) => {
+  try {
+    const snapshot = await admin.firestore()
+        .collection("notification_preferences")
+        .where("digest.enabled", "==", true)
+        .get();
 
-    if (parentTokens.length === 0) {
-      return res.status(200).json({
-        success: true,
-        message: "No FCM tokens found for parents - notification not sent",
-        successCount: 0,
-        failureCount: 0,
-        debugInfo: {
-          childId: childId,
-          childName: childName,
-          familyId: familyId,
-          parentCount: parentIds.length,
-          tokensFound: 0,
-        },
-      });
+    let sentCount = 0;
+    for (const preferencesDoc of snapshot.docs) {
+      try {
+        const sent = await sendGeofenceDigest(
+            preferencesDoc.id,
+            preferencesDoc.data(),
+        );
+        if (sent) {
+          sentCount++;
+        }
+      } catch (error) {
+        logger.error(`Error sending digest to ${preferencesDoc.id}:`, error);
+      }
     }
 
-    // Check if we have old simulated/test tokens
-    // Old test tokens don't start with standard FCM prefixes
-    // Real FCM tokens have format: instanceId:APA91b...
-    const invalidTokens = parentTokens.filter((token) => {
-      // Real FCM tokens contain "APA91b"
-      const isRealFCMToken = token.includes("APA91b");
-      // Old test tokens were manually generated and lack APA91b
-      return !isRealFCMToken && token.includes(":");
-    });
-
-    // For real FCM tokens, we'll try to send actual notifications
-    logger.info("Token Validation", {
-      hasInvalidTokens: invalidTokens.length > 0,
-      invalidTokens: invalidTokens, // Log which tokens are invalid
-      tokenChecks: parentTokens.map((token) => ({
-        token: token.substring(0, 50) + "...",
-        includesColon: token.includes(":"),
-        includesAPA91b: token.includes("APA91b"),
-        isValid: token.includes("APA91b") ||
-          !token.includes(":"),
-      })),
-    });
+    logger.info(`Sent ${sentCount} geofence digests`);
+  } catch (error) {
+    logger.error("Error sending geofence digests:", error);
+    throw error;
+  }
+});
 
-    if (invalidTokens.length > 0) {
-      return res.status(200).json({
-        success: true,
-        message: "Invalid (old-format) FCM tokens detected.",
-        successCount: parentTokens.length,
-        failureCount: 0,
-        debugInfo: {
-          childId: childId,
-          childName: childName,
-          familyId: familyId,
-          parentCount: parentIds.length,
-          tokensFound: parentTokens.length,
-          tokenType: "invalid_format",
-          invalidTokens: invalidTokens, // Include in response
-          notificationTitle: `Debug Info from ${actualChildName || "Child"}`,
-          notificationBody: `Child: ${actualChildName || "Unknown"} | ` +
-            `Device: ` +
-            `${debugInfo && debugInfo.deviceModel ?
-            debugInfo.deviceModel : "Unknown"} | Battery: ` +
-            `${Math.round((debugInfo && debugInfo.batteryLevel ?
-            debugInfo.batteryLevel : 0) * 100)}% | Location: ` +
-            `${debugInfo && debugInfo.latitude ?
-            debugInfo.latitude.toFixed(4) : "0.0000"}, ` +
-            `${debugInfo && debugInfo.longitude ?
-            debugInfo.longitude.toFixed(4) : "0.0000"}`,
-        },
-      });
-    }
+/**
+ * Helper function to send one parent's daily digest if it is due
+ * @param {string} userId Parent user ID
+ * @param {Object} storedPreferences Stored notification preferences data
+ * @return {Promise<boolean>} True if a digest was sent
+ */
+async function sendGeofenceDigest(userId, storedPreferences) {
+  const preferences = withDefaults(storedPreferences);
+  const {digest} = preferences;
+  const now = new Date();
+  const today = localDateString(now, digest.timeZone);
+
+  if (storedPreferences.lastDigestDate === today ||
+      minutesInTimeZone(now, digest.timeZone) < timeToMinutes(digest.time)) {
+    return false;
+  }
 
-    // For real FCM tokens, try to send actual notifications
-    // This will attempt to send real notifications to the devices
+  const preferencesRef = admin.firestore()
+      .collection("notification_preferences")
+      .doc(userId);
+  const markSent = () => preferencesRef.set({
+    lastDigestDate: today,
+    lastDigestAt: admin.firestore.Timestamp.fromDate(now),
+  }, {merge: true});
+
+  if (!preferences.enabled || !preferences.eventTypes.geofence_digest) {
+    await markSent();
+    return false;
+  }
 
-    // Prepare debug notification message
-    const title = `Debug Info from ${actualChildName || childName || "Child"}`;
-    const deviceModel = debugInfo && debugInfo.deviceModel ?
-        debugInfo.deviceModel : "Unknown";
-    const batteryLevel = debugInfo && debugInfo.batteryLevel ?
-        debugInfo.batteryLevel : 0;
-    const latitude = debugInfo && debugInfo.latitude ?
-        debugInfo.latitude.toFixed(4) : "0.0000";
-    const longitude = debugInfo && debugInfo.longitude ?
-        debugInfo.longitude.toFixed(4) : "0.0000";
-    const body = `Child: ${actualChildName || "Unknown"} | Device: ` +
-        `${deviceModel} | Battery: ` +
-        `${Math.round(batteryLevel * 100)}% | Location: ` +
-        `${latitude}, ${longitude}`;
+  const userDoc = await admin.firestore().collection("users").doc(userId).get();
+  const familyId = userDoc.exists ? userDoc.data().familyId : null;
+  if (!familyId) {
+    await markSent();
+    return false;
+  }
 
-    const message = {
-      notification: {
-        title: title,
-        body: body,
-      },
-      data: {
-        type: "debug_notification",
-        childId: childId,
-        childName: childName || "Unknown",
-        timestamp: Date.now().toString(),
-        debugInfo: JSON.stringify(debugInfo || {}),
-      },
-      tokens: parentTokens,
-    };
+  const familyDoc = await admin.firestore()
+      .collection("families")
+      .doc(familyId)
+      .get();
+  const members = familyDoc.exists ? familyDoc.data().members || {} : {};
+  if (!members[userId] || members[userId].role !== "parent") {
+    await markSent();
+    return false;
+  }
 
-    // Send notification
-    let response;
-    try {
-      response = await admin.messaging().sendMulticast(message);
-    } catch (error) {
-      logger.error(`FCM Error for child ${childId}:`, error);
+  const since = storedPreferences.lastDigestAt ||
+    admin.firestore.Timestamp.fromMillis(now.getTime() - 24 * 60 * 60 * 1000);
+
+  const eventsSnapshot = await admin.firestore()
+      .collection("geofence_events")
+      .where("familyId", "==", familyId)
+      .where("timestamp", ">", since)
+      .orderBy("timestamp", "desc")
+      .get();
+
+  const crossings = eventsSnapshot.docs
+      .map((doc) => doc.data())
+      .filter((data) =>
+        !data.notificationSuppressed &&
+        !data.duplicateOfServerEvent &&
+        preferences.eventTypes[`geofence_${data.eventType}`] !== false &&
+        !preferences.mutedChildIds.includes(data.childId) &&
+        !preferences.mutedGeofenceIds.includes(data.geofenceId))
+      .reverse();
+
+  if (crossings.length === 0) {
+    await markSent();
+    return false;
+  }
 
-      // Check if it's a token validation error
-      if (error.code === "messaging/unknown-error" ||
-          error.message.includes("404") ||
-          error.message.includes("batch")) {
-        return res.status(200).json({
-          success: true,
-          message: "FCM service error - likely invalid tokens",
-          successCount: 0,
-          failureCount: parentTokens.length,
-          error: "FCM service returned 404 - tokens may be invalid",
-          debugInfo: {
-            childId: childId,
-            childName: childName,
-            familyId: familyId,
-            parentCount: parentIds.length,
-            tokensFound: parentTokens.length,
-            tokensAttempted: parentTokens, // Include the invalid tokens
-            fcmError: error.message,
-          },
-        });
+  // One line per child, e.g. "Emma: arrived School 08:42, left School 15:10"
+  const byChild = {};
+  crossings.slice(-MAX_DIGEST_ENTRIES).forEach((data) => {
+    const name = (members[data.childId] && members[data.childId].name) ||
+      data.childName || "Your child";
+    const verb = data.eventType === "enter" ? "arrived" : "left";
+    const time = formatLocalTime(
+        new Date(toMillis(data.timestamp)),
+        digest.timeZone,
+    );
+    byChild[name] = byChild[name] || [];
+    byChild[name].push(`${verb} ${data.geofenceName || "a geofence"} ${time}`);
+  });
+
+  const body = Object.entries(byChild)
+      .map(([name, entries]) => `${name}: ${entries.join(", ")}`)
+      .join("\n");
+
+  await notifyUsers([userId], {
+    type: "geofence_digest",
+    title: `Today's arrivals and departures (${crossings.length})`,
+    body: body,
+    familyId: familyId,
+  }, {
+    data: {
+      type: "geofence_digest",
+      date: today,
+      count: crossings.length.toString(),
+    },
+  });
+
+  await markSent();
+  return true;
+}
+
+// Extra distance beyond the radius before an inside child counts as exited,
+// so GPS jitter at the boundary doesn't produce enter/exit pairs
+const GEOFENCE_EXIT_MARGIN_METERS = 25;
+
+// Fixes less accurate than this are ignored by the server-side evaluator
+const GEOFENCE_MAX_ACCURACY_METERS = 100;
+
+// Device and server events for the same crossing within this window are
+// treated as duplicates
+const GEOFENCE_DUPLICATE_WINDOW_MS = 10 * 60 * 1000;
+
+/**
+ * Cloud Function triggered when a child's current location is written
+ * Resolves a pending location refresh request, then loads the family once to
+ * evaluate the position against its geofences and check the battery level.
+ * Each step catches its own errors so one failing doesn't skip the others
+ */
+exports.processLocationWrite = onDocumentWritten(
+    "locations/{childId}",
+    async (event) => {
+      if (!event.data.after.exists) {
+        return;
       }
 
-      // Re-throw other errors
-      throw error;
-    }
+      const childId = event.params.childId;
+      const locationData = event.data.after.data();
 
-    logger.info(`Debug notification sent for child ${childId}`, {
-      successCount: response.successCount,
-      failureCount: response.failureCount,
-      responses: response.responses,
-    });
+      try {
+        await resolveLocationRefreshRequest(childId, locationData);
+      } catch (error) {
+        logger.error("Error resolving location refresh request:", error);
+      }
 
-    // Handle failed tokens (remove invalid ones)
-    const failedTokens = [];
-    response.responses.forEach((resp, idx) => {
-      if (!resp.success) {
-        failedTokens.push(parentTokens[idx]);
-        logger.warn(`Failed to send to token ${idx}:`, resp.error);
+      let family;
+      try {
+        family = await loadLocationFamily(childId, locationData);
+      } catch (error) {
+        logger.error("Error loading family for location write:", error);
+        return;
+      }
+      if (!family) {
+        return;
       }
-    });
 
-    // Remove failed tokens from user documents
-    if (failedTokens.length > 0) {
-      await cleanupFailedTokens(failedTokens);
-    }
+      await Promise.all([
+        evaluateGeofencesForLocation(
+            childId, locationData, "locations", family,
+        ).catch((error) => {
+          logger.error("Error evaluating geofences for location write:", error);
+        }),
+        checkBatteryLevel(childId, locationData, family).catch((error) => {
+          logger.error("Error checking battery level:", error);
+        }),
+      ]);
+    },
+);
 
-    res.status(200).json({
-      success: true,
-      message: "Debug notification sent",
-      successCount: response.successCount,
-      failureCount: response.failureCount,
-      debugInfo: {
-        childId: childId,
-        childName: childName,
-        familyId: familyId,
-        parentCount: parentIds.length,
-        tokensFound: parentTokens.length,
-      },
-    });
-  } catch (error) {
-    logger.error("Error sending debug notification:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
-  }
-});
+/**
+ * Cloud Function triggered when a location history point is created
+ * Evaluates the point against the family's active geofences. Kept apart from
+ * streamSOSLocation, which doesn't need the family and must keep streaming
+ * to an open incident even if this fails
+ */
+exports.evaluateGeofencesOnLocationHistory = onDocumentCreated(
+    "location_history/{docId}",
+    async (event) => {
+      try {
+        const locationData = event.data.data();
+        if (!locationData.childId) {
+          logger.warn(`No childId in location history: ${event.params.docId}`);
+          return;
+        }
+
+        const family = await loadLocationFamily(
+            locationData.childId, locationData);
+        if (!family) {
+          return;
+        }
+
+        await evaluateGeofencesForLocation(
+            locationData.childId,
+            locationData,
+            "location_history",
+            family,
+        );
+      } catch (error) {
+        logger.error("Error evaluating geofences for location history:", error);
+      }
+    },
+);
 
 /**
- * HTTP function to register FCM tokens for users
+ * Helper function to answer a child's pending location refresh request
+ * Marks it fulfilled if the write arrived before its timeout. Only a location
+ * taken after the request was made counts, so a write that was already in
+ * flight doesn't answer it
+ * @param {string} childId Child user ID
+ * @param {Object} locationData Location document data
  */
-exports.registerFCMToken = onRequest(async (req, res) => {
-  try {
-    const {userId, fcmToken} = req.body;
+async function resolveLocationRefreshRequest(childId, locationData) {
+  const locationAt = toMillis(locationData.timestamp) ||
+    toMillis(locationData.lastUpdated);
+  if (locationAt === null) {
+    return;
+  }
+  const stateRef = admin.firestore()
+      .collection("location_refresh_state")
+      .doc(childId);
+
+  await admin.firestore().runTransaction(async (tx) => {
+    const stateDoc = await tx.get(stateRef);
+    const pendingRequestId = stateDoc.exists ?
+      stateDoc.data().pendingRequestId :
+      null;
+    if (!pendingRequestId) {
+      return;
+    }
 
-    if (!userId || !fcmToken) {
-      return res.status(400).json({
-        success: false,
-        error: "userId and fcmToken are required",
-      });
+    const requestRef = admin.firestore()
+        .collection("location_refresh_requests")
+        .doc(pendingRequestId);
+    const requestDoc = await tx.get(requestRef);
+    const requestData = requestDoc.exists ? requestDoc.data() : null;
+
+    // A location from before the request leaves it pending
+    if (requestData && requestData.status === "pending" &&
+        locationAt <= toMillis(requestData.requestedAt)) {
+      return;
     }
 
-    // Add token to user's FCM tokens array
-    await admin.firestore()
-        .collection("users")
-        .doc(userId)
-        .update({
-          fcmTokens: admin.firestore.FieldValue.arrayUnion(fcmToken),
-        });
+    tx.update(stateRef, {pendingRequestId: null});
 
-    res.status(200).json({
-      success: true,
-      message: "FCM token registered successfully",
-    });
-  } catch (error) {
-    logger.error("Error registering FCM token:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
+    if (!requestData || requestData.status !== "pending") {
+      return;
+    }
+
+    const now = Date.now();
+    const fulfilled = now <= toMillis(requestData.timeoutAt);
+    tx.update(requestRef, {
+      status: fulfilled ? "fulfilled" : "timed_out",
+      respondedAt: admin.firestore.Timestamp.fromMillis(now),
+      responseSeconds: Math.round(
+          (now - toMillis(requestData.requestedAt)) / 1000),
     });
-  }
-});
+  });
+}
+
+// Rise in battery level that counts as charging when the device doesn't say
+const BATTERY_CHARGE_RISE_PERCENT = 5;
 
 /**
- * HTTP function to generate a valid FCM token for testing
+ * Helper function to track a child's battery level and alert on thresholds
+ * State lives in battery_states/{childId}; thresholds that already alerted
+ * are kept until charging is detected
+ * @param {string} childId Child user ID
+ * @param {Object} locationData Location document data
+ * @param {Object} family {familyId, familyData} from loadLocationFamily
  */
-exports.generateFCMToken = onRequest(async (req, res) => {
-  try {
-    const {deviceId} = req.body;
+async function checkBatteryLevel(childId, locationData, family) {
+  const level = locationData.batteryLevel;
+  // Devices report -1 or nothing when the level is unknown
+  if (!Number.isFinite(level) || level < 0 || level > 100) {
+    return;
+  }
 
-    if (!deviceId) {
-      return res.status(400).json({
-        success: false,
-        error: "deviceId is required",
-      });
+  const {familyId, familyData} = family;
+  const settings = getFamilySettings(familyData).battery;
+  if (!settings.enabled) {
+    return;
+  }
+
+  const stateRef = admin.firestore().collection("battery_states").doc(childId);
+
+  const alert = await admin.firestore().runTransaction(async (tx) => {
+    const stateDoc = await tx.get(stateRef);
+    const state = stateDoc.exists ? stateDoc.data() : {};
+
+    let notified = state.notifiedThresholds || [];
+    let lowestLevel = Number.isFinite(state.lowestLevel) ?
+      state.lowestLevel :
+      level;
+
+    const charging = locationData.isCharging === true ||
+      level >= lowestLevel + BATTERY_CHARGE_RISE_PERCENT;
+    if (charging) {
+      // Re-arm every threshold the battery has climbed back above
+      notified = notified.filter((threshold) => threshold >= level);
+      lowestLevel = level;
+    } else {
+      lowestLevel = Math.min(lowestLevel, level);
     }
 
-    // Generate a real FCM token using Firebase REST API
-    // We'll create a valid FCM registration token
-    const timestamp = Date.now();
-    const randomString = Math.random().toString(36).substring(2, 15);
+    // Alert once for the lowest threshold crossed, even if several were
+    // skipped between two writes
+    const crossed = settings.thresholds.filter((threshold) =>
+      level <= threshold && !notified.includes(threshold));
+    const lastAlertMillis = toMillis(state.lastAlertAt);
+    const rateLimited = lastAlertMillis !== null &&
+      Date.now() - lastAlertMillis < settings.minIntervalMinutes * 60 * 1000;
 
-    // Create a real FCM token that will work with FCM
-    // This format is accepted by Firebase Cloud Messaging
-    const fcmToken = `${deviceId}:${randomString}:${timestamp}`;
+    const update = {
+      familyId: familyId,
+      childId: childId,
+      lastLevel: level,
+      lowestLevel: lowestLevel,
+      charging: charging,
+      notifiedThresholds: notified,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
 
-    // For now, we'll use this format which FCM accepts
-    // In a real implementation, this would be generated by the iOS app
-    // using the Firebase SDK, but since we can't use pods, we'll use this
+    // Rate limited crossings stay pending so a later write can alert
+    let result = null;
+    if (crossed.length > 0 && !rateLimited) {
+      update.notifiedThresholds = [...notified, ...crossed];
+      update.lastAlertAt = admin.firestore.FieldValue.serverTimestamp();
+      update.lastAlertThreshold = Math.min(...crossed);
+      result = {threshold: Math.min(...crossed)};
+    }
 
-    res.status(200).json({
-      success: true,
-      fcmToken: fcmToken,
-      message: "FCM token generated successfully",
-    });
-  } catch (error) {
-    logger.error("Error generating FCM token:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
+    tx.set(stateRef, update, {merge: true});
+    return result;
+  });
+
+  if (!alert) {
+    return;
   }
-});
 
-/**
- * HTTP function to clear all invalid, old-format FCM tokens from all users.
- * This is a utility function to be run manually for cleanup.
- * It identifies invalid tokens as old test tokens that don't contain "APA91b".
- */
-exports.cleanupInvalidTokens = onRequest(async (req, res) => {
-  try {
-    logger.info("Starting cleanup of invalid FCM tokens...");
+  const member = (familyData.members || {})[childId] || {};
+  const childName = member.name || "Your child";
 
-    const usersSnapshot = await admin.firestore().collection("users").get();
-    const batch = admin.firestore().batch();
-    let cleanedUsersCount = 0;
-    let cleanedTokensCount = 0;
+  const recipientIds = await filterRecipients(familyParentIds(familyData), {
+    type: "battery_low",
+    childId: childId,
+  });
 
-    for (const userDoc of usersSnapshot.docs) {
-      const userData = userDoc.data();
-      const fcmTokens = userData.fcmTokens || [];
+  if (recipientIds.length === 0) {
+    return;
+  }
 
-      // Filter out invalid old test tokens
-      // Real FCM tokens contain "APA91b" and are valid
-      const validTokens = fcmTokens.filter((token) => {
-        const isRealFCMToken = token.includes("APA91b");
-        const isOldTestToken = !isRealFCMToken && token.includes(":");
-        return !isOldTestToken;
-      });
+  const report = await notifyUsers(recipientIds, {
+    type: "battery_low",
+    title: `${childName}'s battery is low`,
+    body: `Battery at ${level}%`,
+    familyId: familyId,
+    childId: childId,
+  }, {
+    data: {
+      type: "battery_low",
+      childId: childId,
+      batteryLevel: String(level),
+      threshold: String(alert.threshold),
+    },
+  });
+
+  logger.info(`Low battery alert sent for child ${childId}`, {
+    familyId: familyId,
+    batteryLevel: level,
+    threshold: alert.threshold,
+    successCount: report.successCount,
+    failureCount: report.failureCount,
+  });
+}
 
-      if (validTokens.length !== fcmTokens.length) {
-        const removedCount = fcmTokens.length - validTokens.length;
-        cleanedTokensCount += removedCount;
-        cleanedUsersCount++;
+/**
+ * Helper function to convert a Firestore timestamp, Date or number to millis
+ * @param {*} value Timestamp-like value
+ * @return {number|null} Milliseconds since epoch, or null if not convertible
+ */
+function toMillis(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value.toMillis === "function") {
+    return value.toMillis();
+  }
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (typeof value === "number") {
+    return value;
+  }
+  return null;
+}
 
-        batch.update(userDoc.ref, {fcmTokens: validTokens});
-        logger.info(`User ${userDoc.id}: Removing ${removedCount} ` +
-          `invalid tokens.`);
-      }
-    }
+/**
+ * Helper function to format a timestamp-like value for callable responses
+ * @param {*} value Timestamp-like value
+ * @return {string|null} ISO 8601 string, or null if not convertible
+ */
+function toISOString(value) {
+  const millis = toMillis(value);
+  return millis === null ? null : new Date(millis).toISOString();
+}
 
-    if (cleanedUsersCount > 0) {
-      await batch.commit();
-      const message = `Cleanup complete. ` +
-        `Removed ${cleanedTokensCount} tokens from ${cleanedUsersCount} users.`;
-      logger.info(message);
-      res.status(200).json({success: true, message: message});
-    } else {
-      const message = "No invalid tokens found to clean up.";
-      logger.info(message);
-      res.status(200).json({success: true, message: message});
-    }
-  } catch (error) {
-    logger.error("Error clearing invalid FCM tokens:", error);
-    res.status(500).json({success: false, error: error.message});
+/**
+ * Helper function to get the inside/outside state document for a geofence
+ * @param {string} childId Child user ID
+ * @param {string} geofenceId Geofence document ID
+ * @return {FirebaseFirestore.DocumentReference} State document reference
+ */
+function geofenceStateRef(childId, geofenceId) {
+  return admin.firestore()
+      .collection("geofence_states")
+      .doc(`${childId}_${geofenceId}`);
+}
+
+/**
+ * Helper function to resolve the family a location write belongs to
+ * @param {string} childId Child user ID
+ * @param {Object} locationData Location document data
+ * @return {Promise<string|null>} Family ID, or null if the child has none
+ */
+async function resolveLocationFamilyId(childId, locationData) {
+  if (locationData.familyId && locationData.familyId !== "unknown") {
+    return locationData.familyId;
   }
-});
+
+  const userDoc = await admin.firestore()
+      .collection("users")
+      .doc(childId)
+      .get();
+
+  return userDoc.exists ? userDoc.data().familyId || null : null;
+}
 
 /**
- * Callable Cloud Function to create a family invitation
- * Parent calls this to generate an invite code for their child
+ * Helper function to load the family a location write belongs to
+ * @param {string} childId Child user ID
+ * @param {Object} locationData Location document data
+ * @return {Promise<Object|null>} {familyId, familyData}, or null if the
+ *   child has no family
  */
-exports.createInvitation = onCall(async (request) => {
-  try {
-    const {familyId, childName, role = "child"} = request.data;
-    const parentId = request.auth.uid;
+async function loadLocationFamily(childId, locationData) {
+  const familyId = await resolveLocationFamilyId(childId, locationData);
+  if (!familyId) {
+    logger.warn(`No familyId found for child location: ${childId}`);
+    return null;
+  }
 
-    if (!familyId || !childName) {
-      throw new Error("familyId and childName are required");
-    }
+  const familyDoc = await admin.firestore()
+      .collection("families")
+      .doc(familyId)
+      .get();
 
-    // Validate role parameter
-    if (role !== "parent" && role !== "child") {
-      throw new Error("role must be 'parent' or 'child'");
-    }
+  if (!familyDoc.exists) {
+    logger.error(`Family document not found: ${familyId}`);
+    return null;
+  }
 
-    // Verify the user is a parent in this family
-    const familyDoc = await admin.firestore()
-        .collection("families")
-        .doc(familyId)
-        .get();
+  return {familyId: familyId, familyData: familyDoc.data()};
+}
 
-    logger.info(`Looking up family document: ${familyId}`, {
-      exists: familyDoc.exists,
-      hasData: !!familyDoc.data(),
+/**
+ * Helper function to check a child's position against every active geofence
+ * in their family and write enter/exit events for any crossings
+ * @param {string} childId Child user ID
+ * @param {Object} locationData Location data with lat/lng/accuracy/timestamp
+ * @param {string} trigger Collection the position was written to
+ * @param {Object} family {familyId, familyData} from loadLocationFamily
+ */
+async function evaluateGeofencesForLocation(childId, locationData, trigger,
+    family) {
+  const {lat, lng, accuracy, address} = locationData;
+
+  if (!isValidCoordinate(lat, lng)) {
+    logger.warn(`Invalid coordinates for child ${childId}`, {
+      trigger: trigger,
+      lat: lat,
+      lng: lng,
     });
+    return;
+  }
 
-    if (!familyDoc.exists) {
-      logger.error(`Family document not found: ${familyId}`);
-      throw new Error("Family not found");
-    }
+  if (typeof accuracy === "number" && accuracy > GEOFENCE_MAX_ACCURACY_METERS) {
+    logger.info(`Skipping inaccurate location for child ${childId}`, {
+      trigger: trigger,
+      accuracy: accuracy,
+    });
+    return;
+  }
 
-    const familyData = familyDoc.data();
-    const memberData = familyData.members[parentId];
+  const {familyId, familyData} = family;
+  const childMember = (familyData.members || {})[childId];
+  if (!childMember || childMember.role !== "child") {
+    return;
+  }
 
-    if (!memberData || memberData.role !== "parent") {
-      throw new Error("Only parents can create invitations");
-    }
+  const geofencesSnapshot = await admin.firestore()
+      .collection("geofences")
+      .where("familyId", "==", familyId)
+      .where("isActive", "==", true)
+      .get();
 
-    // For parent invitations, skip child-specific checks
-    let existingAcceptedChild = null;
-    let existingPendingChild = null;
+  const geofenceDocs = geofencesSnapshot.docs.filter((geofenceDoc) =>
+    geofenceAppliesToChild(geofenceDoc.data(), childId));
 
-    if (role === "child") {
-      // Check if there's an existing ACCEPTED child with this name
-      existingAcceptedChild = Object.entries(familyData.members || {})
-          .find(([userId, memberData]) =>
-            memberData.role === "child" &&
-            memberData.name === childName &&
-            memberData.status === "accepted");
-
-      // Check if there's an existing PENDING child with this name
-      existingPendingChild = Object.entries(familyData.members || {})
-          .find(([userId, memberData]) =>
-            memberData.role === "child" &&
-            memberData.name === childName &&
-            memberData.status === "pending");
-    }
-
-    // If existing pending child, update it instead of creating new
-    if (existingPendingChild) {
-      const [existingPendingChildId] = existingPendingChild;
-
-      // Generate a unique 6-character alphanumeric invite code
-      const inviteCode = generateInviteCode();
-
-      // Invalidate all existing invitations for this child
-      const existingInvitations = await admin.firestore()
-          .collection("invitations")
-          .where("familyId", "==", familyId)
-          .where("childName", "==", childName)
-          .where("usedBy", "==", null)
-          .get();
-
-      const batch = admin.firestore().batch();
-
-      // Mark old invitations as used
-      existingInvitations.docs.forEach((doc) => {
-        batch.update(doc.ref, {
-          usedBy: existingPendingChildId,
-          usedAt: admin.firestore.FieldValue.serverTimestamp(),
-          invalidatedBy: "reissued_invitation",
-        });
-      });
-
-      // Create new invitation document
-      const invitationData = {
-        familyId: familyId,
-        createdBy: parentId,
-        childName: childName,
-        role: role, // Add role field
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
-        expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
-        usedBy: null,
-        isForExistingChild: true, // This is a reissue
-      };
-
-      // Add new invitation document
-      batch.set(
-          admin.firestore().collection("invitations").doc(inviteCode),
-          invitationData,
-      );
-
-      await batch.commit();
-
-      logger.info(`Reissued invitation for pending child: ${inviteCode}`, {
-        familyId: familyId,
-        childName: childName,
-        existingPendingChildId: existingPendingChildId,
-        invalidatedInvitations: existingInvitations.docs.length,
-      });
+  if (geofenceDocs.length === 0) {
+    return;
+  }
 
-      return {
-        success: true,
-        inviteCode: inviteCode,
-        expiresAt: invitationData.expiresAt,
-        isForExistingChild: true,
-        isReissue: true,
-      };
-    }
+  const context = {
+    childId: childId,
+    childName: childMember.name || "Unknown",
+    familyId: familyId,
+    point: {lat: lat, lng: lng},
+    accuracy: typeof accuracy === "number" ? accuracy : null,
+    address: address || null,
+    locationAt: toMillis(locationData.timestamp) || Date.now(),
+    trigger: trigger,
+  };
+
+  const results = await Promise.all(geofenceDocs.map(
+      (geofenceDoc) => evaluateGeofenceCrossing(geofenceDoc, context)
+          .catch((error) => {
+            logger.error(`Error evaluating geofence ${geofenceDoc.id}:`, error);
+            return null;
+          }),
+  ));
+
+  const crossings = results.filter((result) => result !== null);
+  if (crossings.length > 0) {
+    logger.info(`Server detected geofence crossings for child ${childId}`, {
+      familyId: familyId,
+      trigger: trigger,
+      crossings: crossings,
+    });
+  }
+}
 
-    // Generate a unique 6-character alphanumeric invite code
-    const inviteCode = generateInviteCode();
+/**
+ * Helper function to update the stored state for one geofence and write an
+ * event if the child crossed its boundary
+ * @param {FirebaseFirestore.DocumentSnapshot} geofenceDoc Geofence document
+ * @param {Object} context Location context from evaluateGeofencesForLocation
+ * @return {Promise<Object|null>} The crossing written, or null if none
+ */
+async function evaluateGeofenceCrossing(geofenceDoc, context) {
+  const geofence = geofenceDoc.data();
+  const geofenceId = geofenceDoc.id;
 
-    // Invalidate existing invitations for accepted child
-    if (existingAcceptedChild) {
-      const [existingChildId] = existingAcceptedChild;
+  if (!isValidCoordinate(geofence.latitude, geofence.longitude) ||
+      !(geofence.radius > 0)) {
+    return null;
+  }
 
-      // Mark all existing invitations for this child as used
-      const existingInvitations = await admin.firestore()
-          .collection("invitations")
-          .where("familyId", "==", familyId)
-          .where("childName", "==", childName)
-          .where("usedBy", "==", null)
-          .get();
+  // Polygons carry their enclosing circle, so the center distance is still
+  // meaningful for logging; inside/outside uses the real boundary
+  const distance = distanceToGeofenceCenter(context.point, geofence);
+  const outside = distanceOutsideGeofence(context.point, geofence);
+  const stateRef = geofenceStateRef(context.childId, geofenceId);
 
-      const batch = admin.firestore().batch();
-      existingInvitations.docs.forEach((doc) => {
-        batch.update(doc.ref, {
-          usedBy: existingChildId,
-          usedAt: admin.firestore.FieldValue.serverTimestamp(),
-          invalidatedBy: "new_invitation",
-        });
-      });
+  return admin.firestore().runTransaction(async (transaction) => {
+    const stateDoc = await transaction.get(stateRef);
+    const state = stateDoc.exists ? stateDoc.data() : null;
 
-      if (!existingInvitations.empty) {
-        await batch.commit();
-        const count = existingInvitations.docs.length;
-        const message = `Invalidated ${count} old invitations for child: ` +
-            `${childName}`;
-        logger.info(message);
-      }
+    // Ignore positions older than the last one evaluated (out-of-order writes)
+    if (state && state.lastLocationAt &&
+        context.locationAt < state.lastLocationAt) {
+      return null;
     }
 
-    // Create invitation document
-    const invitationData = {
-      familyId: familyId,
-      createdBy: parentId,
-      childName: childName,
-      role: role, // Add role field
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
-      usedBy: null,
-      isForExistingChild: !!existingAcceptedChild,
+    const wasInside = state ? state.inside === true : null;
+    const inside = wasInside ?
+      outside <= GEOFENCE_EXIT_MARGIN_METERS :
+      outside <= 0;
+
+    const stateUpdate = {
+      childId: context.childId,
+      familyId: context.familyId,
+      geofenceId: geofenceId,
+      inside: inside,
+      distanceMeters: Math.round(distance),
+      lastLocationAt: context.locationAt,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
     };
 
-    // Only create pending child for new children,
-    // not existing ones or parent invitations
-    if (!existingAcceptedChild && role === "child") {
-      // Create pending child as FamilyMember with status: "pending"
-      const pendingChildId = uuidv4();
-      const pendingChildData = {
-        role: "child",
-        name: childName,
-        joinedAt: admin.firestore.FieldValue.serverTimestamp(),
-        imageURL: null,
-        imageBase64: null,
-        hasImage: false,
-        status: "pending",
-      };
-
-      // Use batch to create both documents atomically
-      const batch = admin.firestore().batch();
+    // First observation establishes the baseline without an event, and an
+    // unchanged state means no crossing (or the device already reported it)
+    if (wasInside === null || wasInside === inside) {
+      transaction.set(stateRef, stateUpdate, {merge: true});
+      return null;
+    }
 
-      // Add invitation document
-      batch.set(
-          admin.firestore().collection("invitations").doc(inviteCode),
-          invitationData,
-      );
+    const eventType = inside ? "enter" : "exit";
+    const eventRef = admin.firestore()
+        .collection("geofence_events")
+        .doc(uuidv4());
+    const timestamp = admin.firestore.Timestamp.fromMillis(context.locationAt);
+
+    transaction.set(eventRef, {
+      id: eventRef.id,
+      familyId: context.familyId,
+      childId: context.childId,
+      childName: context.childName,
+      geofenceId: geofenceId,
+      geofenceName: geofence.name || "Unknown",
+      eventType: eventType,
+      timestamp: timestamp,
+      location: {
+        lat: context.point.lat,
+        lng: context.point.lng,
+        accuracy: context.accuracy,
+        address: context.address,
+        timestamp: timestamp,
+      },
+      distanceMeters: Math.round(distance),
+      source: "server",
+      trigger: context.trigger,
+    });
 
-      // Add pending child as FamilyMember in the family
-      batch.update(
-          admin.firestore().collection("families").doc(familyId),
-          {
-            [`members.${pendingChildId}`]: pendingChildData,
-          },
-      );
+    transaction.set(stateRef, {
+      ...stateUpdate,
+      lastTransitionAt: context.locationAt,
+      lastEventId: eventRef.id,
+      lastEventSource: "server",
+    }, {merge: true});
 
-      logger.info(`About to commit batch with pending: ${pendingChildId}`, {
-        familyId: familyId,
-        pendingChildData: pendingChildData,
-      });
+    return {geofenceId: geofenceId, eventType: eventType, eventId: eventRef.id};
+  });
+}
 
-      await batch.commit();
+/**
+ * Helper function to record a device-reported geofence event in the shared
+ * state and detect whether the server already reported the same crossing
+ * @param {string} eventId Geofence event document ID
+ * @param {Object} eventData Geofence event data written by the device
+ * @return {Promise<boolean>} True if the event duplicates a server event
+ */
+async function recordDeviceGeofenceEvent(eventId, eventData) {
+  const {childId, familyId, geofenceId, eventType} = eventData;
+  const inside = eventType === "enter";
+  const eventAt = toMillis(eventData.timestamp) || Date.now();
+  const stateRef = geofenceStateRef(childId, geofenceId);
 
-      logger.info(`Batch committed successfully for: ${inviteCode}`, {
-        familyId: familyId,
-        pendingChildId: pendingChildId,
-      });
+  try {
+    return await admin.firestore().runTransaction(async (transaction) => {
+      const stateDoc = await transaction.get(stateRef);
+      const state = stateDoc.exists ? stateDoc.data() : null;
+
+      const isDuplicate = !!state &&
+        state.inside === inside &&
+        state.lastEventSource === "server" &&
+        Math.abs(eventAt - (state.lastTransitionAt || 0)) <=
+          GEOFENCE_DUPLICATE_WINDOW_MS;
+
+      if (isDuplicate) {
+        return true;
+      }
 
-      logger.info(`Invitation and pending child created: ${inviteCode}`, {
-        familyId: familyId,
-        createdBy: parentId,
-        childName: childName,
-        role: role,
-        pendingChildId: pendingChildId,
-        isForExistingChild: false,
-      });
-    } else {
-      // For existing children or parent invitations,
-      // only create the invitation document
-      await admin.firestore()
-          .collection("invitations")
-          .doc(inviteCode)
-          .set(invitationData);
+      transaction.set(stateRef, {
+        childId: childId,
+        familyId: familyId || null,
+        geofenceId: geofenceId,
+        inside: inside,
+        lastTransitionAt: eventAt,
+        lastEventId: eventId,
+        lastEventSource: "device",
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }, {merge: true});
+
+      return false;
+    });
+  } catch (error) {
+    // Never drop a device notification because the state couldn't be read
+    logger.error(`Error recording device geofence event ${eventId}:`, error);
+    return false;
+  }
+}
 
-      const logMessage = role === "parent" ?
-        `Parent invitation created: ${inviteCode}` :
-        `Invitation created for existing child: ${inviteCode}`;
+/**
+ * HTTP function to test the geofence notification system
+ */
+exports.testGeofenceNotification = onRequest(async (req, res) => {
+  try {
+    // This is a test endpoint - in production, you'd want to secure this
+    const testEvent = {
+      childId: req.body.childId || "test-child-id",
+      childName: req.body.childName || "Test Child",
+      geofenceId: req.body.geofenceId || "test-geofence-id",
+      geofenceName: req.body.geofenceName || "Test Geofence",
+      eventType: req.body.eventType || "enter",
+      timestamp: Date.now(),
+      location: {
+        lat: req.body.lat || 37.7749,
+        lng: req.body.lng || -122.4194,
+        address: req.body.address || "Test Location",
+      },
+    };
 
-      logger.info(logMessage, {
-        familyId: familyId,
-        createdBy: parentId,
-        childName: childName,
-        role: role,
-        isForExistingChild: !!existingAcceptedChild,
-      });
-    }
+    // Manually trigger the geofence event processing
+    await admin.firestore()
+        .collection("geofence_events")
+        .add(testEvent);
 
-    return {
+    res.status(200).json({
       success: true,
-      inviteCode: inviteCode,
-      expiresAt: invitationData.expiresAt,
-      isForExistingChild: !!existingAcceptedChild,
-    };
+      message: "Test geofence event created",
+      event: testEvent,
+    });
   } catch (error) {
-    logger.error("Error creating invitation:", error);
-    throw new Error(`Failed to create invitation: ${error.message}`);
+    logger.error("Error in test function:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
   }
 });
 
 /**
- * Callable Cloud Function to accept a family invitation
- * Child calls this to join a family using an invite code
+ * HTTP function to send debug notification with child device info
  */
-exports.acceptInvitation = onCall(async (request) => {
+exports.sendDebugNotification = onRequest(async (req, res) => {
   try {
-    const {inviteCode} = request.data;
-    const childId = request.auth.uid;
+    const {
+      childId,
+      childName,
+      familyId,
+      debugInfo,
+    } = req.body;
 
-    if (!inviteCode) {
-      throw new Error("inviteCode is required");
+    if (!childId || !familyId) {
+      return res.status(400).json({
+        success: false,
+        error: "childId and familyId are required",
+      });
     }
 
-    // Get invitation document
-    const invitationDoc = await admin.firestore()
-        .collection("invitations")
-        .doc(inviteCode)
+    // Get the child's actual name from their user document
+    let actualChildName = childName;
+    try {
+      const childDoc = await admin.firestore()
+          .collection("users")
+          .doc(childId)
+          .get();
+
+      if (childDoc.exists) {
+        const childData = childDoc.data();
+        actualChildName = childData.name || childName;
+      }
+    } catch (error) {
+      logger.warn(`Could not fetch child name for ${childId}:`, error);
+    }
+
+    // Get family information to find authorized parents
+    const familyDoc = await admin.firestore()
+        .collection("families")
+        .doc(familyId)
         .get();
 
-    if (!invitationDoc.exists) {
-      throw new Error("Invalid invitation code");
+    if (!familyDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: "Family not found",
+      });
     }
 
-    const invitationData = invitationDoc.data();
+    const familyData = familyDoc.data();
+    const members = familyData.members || {};
 
-    // Check if invitation has expired
-    const now = new Date();
-    const expiresAt = invitationData.expiresAt.toDate();
-    if (now > expiresAt) {
-      throw new Error("Invitation has expired");
+    // Find all parents in the family
+    const parentIds = Object.keys(members).filter(
+        (userId) => members[userId].role === "parent",
+    );
+
+    if (parentIds.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "No parents found in family",
+      });
     }
 
-    // Check if invitation has already been used
-    if (invitationData.usedBy) {
-      throw new Error("Invitation has already been used");
+    // Apply each parent's own notification preferences
+    const recipientIds = await filterRecipients(parentIds, {
+      type: "debug_notification",
+      childId: childId,
+    });
+
+    if (recipientIds.length === 0) {
+      return res.status(200).json({
+        success: true,
+        message: "All parents filtered out by notification preferences",
+        successCount: 0,
+        failureCount: 0,
+      });
     }
 
-    // Get user's data (could be child or parent)
-    const userDoc = await admin.firestore()
-        .collection("users")
-        .doc(childId)
-        .get();
+    // Prepare debug notification message
+    const title = `Debug Info from ${actualChildName || childName || "Child"}`;
+    const deviceModel = debugInfo && debugInfo.deviceModel ?
+        debugInfo.deviceModel : "Unknown";
+    const batteryLevel = debugInfo && debugInfo.batteryLevel ?
+        debugInfo.batteryLevel : 0;
+    const latitude = debugInfo && debugInfo.latitude ?
+        debugInfo.latitude.toFixed(4) : "0.0000";
+    const longitude = debugInfo && debugInfo.longitude ?
+        debugInfo.longitude.toFixed(4) : "0.0000";
+    const body = `Child: ${actualChildName || "Unknown"} | Device: ` +
+        `${deviceModel} | Battery: ` +
+        `${Math.round(batteryLevel * 100)}% | Location: ` +
+        `${latitude}, ${longitude}`;
 
-    if (!userDoc.exists) {
-      throw new Error("User not found");
+    const message = {
+      data: {
+        type: "debug_notification",
+        childId: childId,
+        childName: childName || "Unknown",
+        timestamp: Date.now().toString(),
+        debugInfo: JSON.stringify(debugInfo || {}),
+      },
+    };
+
+    const report = await notifyUsers(recipientIds, {
+      type: "debug_notification",
+      title: title,
+      body: body,
+      familyId: familyId,
+      childId: childId,
+    }, message);
+
+    logger.info(`Debug notification sent for child ${childId}`, {
+      tokensFound: report.tokensFound,
+      simulatedTokens: report.simulatedTokens,
+      successCount: report.successCount,
+      failureCount: report.failureCount,
+      errors: report.errors,
+      removedTokens: report.removedTokens,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: report.attempted > 0 ?
+        "Debug notification sent" :
+        "No deliverable FCM tokens found for parents - notification not sent",
+      successCount: report.successCount,
+      failureCount: report.failureCount,
+      debugInfo: {
+        childId: childId,
+        childName: childName,
+        familyId: familyId,
+        parentCount: parentIds.length,
+        tokensFound: report.tokensFound,
+        simulatedTokens: report.simulatedTokens,
+        removedTokens: report.removedTokens,
+        errors: report.errors,
+      },
+    });
+  } catch (error) {
+    logger.error("Error sending debug notification:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Callable Cloud Function to register the caller's device for push messages
+ * Stores the FCM token with platform, app version, locale, timezone and APNs
+ * environment under users/{uid}/devices. Clients call this on every launch
+ * so lastSeenAt stays current.
+ */
+exports.registerDevice = onCall(async (request) => {
+  try {
+    if (!request.auth) {
+      throw new Error("You must be logged in to register a device.");
     }
 
-    const userData = userDoc.data();
-    const userType = userData.userType; // "parent" or "child"
-    // Default to "child" for backward compatibility
-    const invitationRole = invitationData.role || "child";
+    const userId = request.auth.uid;
+    const {fcmToken} = request.data;
 
-    // Validate user type matches invitation role
-    if (userType !== invitationRole) {
-      if (invitationRole === "parent") {
-        throw new Error(
-            "This invitation is for a parent account. " +
-            "Please sign in with a parent account.",
-        );
-      } else {
-        throw new Error(
-            "This invitation is for a child account. " +
-            "Please sign in with a child account.",
-        );
-      }
+    if (!fcmToken || typeof fcmToken !== "string") {
+      throw new Error("fcmToken is required");
     }
 
-    // Keep backward compatibility with variable name
-    const childData = userData;
+    const metadata = validateDeviceMetadata(request.data);
 
-    // Handle parent invitations differently
-    if (invitationRole === "parent") {
-      // Add parent to family
-      await admin.firestore()
-          .collection("families")
-          .doc(invitationData.familyId)
-          .update({
-            [`members.${childId}`]: {
-              role: "parent",
-              name: userData.name,
-              joinedAt: admin.firestore.FieldValue.serverTimestamp(),
-              imageURL: null,
-              imageBase64: null,
-              hasImage: false,
-              status: "accepted",
-            },
-          });
+    // A token belongs to one account; remove it from anyone signed in before
+    const previousOwners = (await findTokenOwners([fcmToken]))
+        .filter((entry) => entry.userId !== userId);
+    await removeTokens(previousOwners, {allOwners: false});
 
-      // Update user's familyId
-      await admin.firestore()
+    // After a reinstall the same device comes back with a new token
+    let replacedTokens = [];
+    if (metadata.deviceId) {
+      const sameDevice = await admin.firestore()
           .collection("users")
-          .doc(childId)
-          .update({
-            familyId: invitationData.familyId,
-          });
+          .doc(userId)
+          .collection("devices")
+          .where("deviceId", "==", metadata.deviceId)
+          .get();
+      replacedTokens = sameDevice.docs
+          .map((doc) => doc.data().token)
+          .filter((token) => token && token !== fcmToken);
+      await removeTokens(
+          replacedTokens.map((token) => ({userId, token})),
+          {allOwners: false},
+      );
+    }
 
-      // Mark invitation as used
-      await admin.firestore()
-          .collection("invitations")
-          .doc(inviteCode)
-          .update({
-            usedBy: childId,
-            usedAt: admin.firestore.FieldValue.serverTimestamp(),
-          });
+    const ref = deviceRef(userId, fcmToken);
+    const existing = await ref.get();
+    const now = admin.firestore.FieldValue.serverTimestamp();
 
-      logger.info(`Parent successfully joined family: ${inviteCode}`, {
-        familyId: invitationData.familyId,
-        parentId: childId,
-        parentName: userData.name,
-      });
+    const batch = admin.firestore().batch();
+    batch.set(ref, {
+      ...metadata,
+      userId: userId,
+      token: fcmToken,
+      tokenHash: hashToken(fcmToken),
+      lastSeenAt: now,
+      lastRefreshedAt: now,
+      ...(existing.exists ? {} : {createdAt: now}),
+    }, {merge: true});
+    batch.update(admin.firestore().collection("users").doc(userId), {
+      fcmTokens: admin.firestore.FieldValue.arrayUnion(fcmToken),
+    });
+    await batch.commit();
+
+    logger.info(`Device registered for user: ${userId}`, {
+      deviceId: ref.id,
+      platform: metadata.platform,
+      appVersion: metadata.appVersion,
+      isNewDevice: !existing.exists,
+      movedFromUsers: previousOwners.map((entry) => entry.userId),
+      replacedTokens: replacedTokens.length,
+    });
+
+    return {
+      success: true,
+      deviceId: ref.id,
+      isNewDevice: !existing.exists,
+      replacedDevices: replacedTokens.length,
+    };
+  } catch (error) {
+    logger.error("Error registering device:", error);
+    throw new Error(`Failed to register device: ${error.message}`);
+  }
+});
+
+/**
+ * Callable Cloud Function to unregister one of the caller's devices
+ * Called on sign-out with the device's FCM token, or with a device ID
+ * returned by listMyDevices to remove another device
+ */
+exports.unregisterDevice = onCall(async (request) => {
+  try {
+    if (!request.auth) {
+      throw new Error("You must be logged in to unregister a device.");
+    }
+
+    const userId = request.auth.uid;
+    const {fcmToken, deviceId} = request.data;
+
+    if (!fcmToken && !deviceId) {
+      throw new Error("fcmToken or deviceId is required");
+    }
+
+    const ref = fcmToken ?
+      deviceRef(userId, fcmToken) :
+      admin.firestore()
+          .collection("users")
+          .doc(userId)
+          .collection("devices")
+          .doc(deviceId);
 
+    const deviceDoc = await ref.get();
+    const token = fcmToken ||
+      (deviceDoc.exists ? deviceDoc.data().token : null);
+
+    if (!token) {
       return {
         success: true,
-        familyId: invitationData.familyId,
-        message: "Successfully joined family as parent",
+        removed: false,
+        message: "Device not found",
       };
     }
 
-    // Check if this is for an existing child
-    if (invitationData.isForExistingChild) {
-      // This is for an existing child - find the existing child in the family
-      const familyDoc = await admin.firestore()
-          .collection("families")
-          .doc(invitationData.familyId)
-          .get();
+    await removeTokens([{userId, token}], {allOwners: false});
 
-      if (!familyDoc.exists) {
-        throw new Error("Family not found");
-      }
+    logger.info(`Device unregistered for user: ${userId}`, {
+      deviceId: ref.id,
+    });
 
-      const familyData = familyDoc.data();
-      const existingChild = Object.entries(familyData.members || {})
-          .find(([userId, memberData]) => {
-            const isChild = memberData.role === "child";
-            const nameMatches = memberData.name === invitationData.childName;
-            return isChild && nameMatches;
-          });
+    return {
+      success: true,
+      removed: true,
+      deviceId: ref.id,
+    };
+  } catch (error) {
+    logger.error("Error unregistering device:", error);
+    throw new Error(`Failed to unregister device: ${error.message}`);
+  }
+});
 
-      if (existingChild) {
-        const [existingChildId] = existingChild;
-        const existingChildData = existingChild[1];
+/**
+ * Callable Cloud Function to list the caller's registered devices
+ * Tokens are not returned; pass fcmToken to flag the calling device
+ */
+exports.listMyDevices = onCall(async (request) => {
+  try {
+    if (!request.auth) {
+      throw new Error("You must be logged in to list devices.");
+    }
 
-        logger.info(`Found existing child for invitation: ${inviteCode}`, {
-          existingChildId: existingChildId,
-          existingChildStatus: existingChildData.status,
-          childName: invitationData.childName,
-          newChildId: childId,
-        });
+    const userId = request.auth.uid;
+    const currentToken = request.data ? request.data.fcmToken : null;
 
-        // Check if this is a pending child
-        if (existingChildData.status === "pending") {
-          logger.info(`Updating pending child: ${existingChildId}`, {
-            oldStatus: "pending",
-            newStatus: "accepted",
-            childId: childId,
-            pendingChildId: existingChildId,
-            authenticatedUserId: childId,
-          });
+    const snapshot = await admin.firestore()
+        .collection("users")
+        .doc(userId)
+        .collection("devices")
+        .get();
 
-          logger.info(`Replacing pending child ID with authenticated user ID`, {
-            oldChildId: existingChildId,
+    const devices = snapshot.docs.map((doc) => {
+      const data = doc.data();
+      return {
+        id: doc.id,
+        platform: data.platform || null,
+        deviceId: data.deviceId || null,
+        appVersion: data.appVersion || null,
+        locale: data.locale || null,
+        timeZone: data.timeZone || null,
+        apnsEnvironment: data.apnsEnvironment || null,
+        createdAt: toISOString(data.createdAt),
+        lastSeenAt: toISOString(data.lastSeenAt),
+        lastRefreshedAt: toISOString(data.lastRefreshedAt),
+        isCurrent: !!currentToken && data.token === currentToken,
+      };
+    }).sort((a, b) => (b.lastSeenAt || "").localeCompare(a.lastSeenAt || ""));
+
+    return {
+      success: true,
+      devices: devices,
+    };
+  } catch (error) {
+    logger.error("Error listing devices:", error);
+    throw new Error(`Failed to list devices: ${error.message}`);
+  }
+});
+
+/**
+ * HTTP function to generate a valid FCM token for testing
+ */
+exports.generateFCMToken = onRequest(async (req, res) => {
+  try {
+    const {deviceId} = req.body;
+
+    if (!deviceId) {
+      return res.status(400).json({
+        success: false,
+        error: "deviceId is required",
+      });
+    }
+
+    // Generate a real FCM token using Firebase REST API
+    // We'll create a valid FCM registration token
+    const timestamp = Date.now();
+    const randomString = Math.random().toString(36).substring(2, 15);
+
+    // Create a real FCM token that will work with FCM
+    // This format is accepted by Firebase Cloud Messaging
+    const fcmToken = `${deviceId}:${randomString}:${timestamp}`;
+
+    // For now, we'll use this format which FCM accepts
+    // In a real implementation, this would be generated by the iOS app
+    // using the Firebase SDK, but since we can't use pods, we'll use this
+
+    res.status(200).json({
+      success: true,
+      fcmToken: fcmToken,
+      message: "FCM token generated successfully",
+    });
+  } catch (error) {
+    logger.error("Error generating FCM token:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * HTTP function to clear all invalid, old-format FCM tokens from all users.
+ * This is a utility function to be run manually for cleanup.
+ * It identifies invalid tokens as old test tokens that don't contain "APA91b".
+ * Users are read a page at a time, and any valid token without a device
+ * document is backfilled so the stale token job can track it.
+ */
+exports.cleanupInvalidTokens = onRequest(async (req, res) => {
+  try {
+    logger.info("Starting cleanup of invalid FCM tokens...");
+
+    const pageSize = 200;
+    let lastDoc = null;
+    let cleanedUsersCount = 0;
+    let cleanedTokensCount = 0;
+    let backfilledCount = 0;
+
+    for (;;) {
+      let query = admin.firestore()
+          .collection("users")
+          .orderBy(admin.firestore.FieldPath.documentId())
+          .limit(pageSize);
+      if (lastDoc) {
+        query = query.startAfter(lastDoc);
+      }
+
+      const usersSnapshot = await query.get();
+      if (usersSnapshot.empty) {
+        break;
+      }
+      lastDoc = usersSnapshot.docs[usersSnapshot.docs.length - 1];
+
+      const invalidEntries = [];
+      const validEntries = [];
+
+      usersSnapshot.docs.forEach((userDoc) => {
+        const fcmTokens = userDoc.data().fcmTokens || [];
+        const invalidTokens = fcmTokens.filter(isSimulatedToken);
+
+        if (invalidTokens.length > 0) {
+          cleanedUsersCount++;
+          logger.info(`User ${userDoc.id}: Removing ` +
+            `${invalidTokens.length} invalid tokens.`);
+        }
+
+        fcmTokens.forEach((token) => {
+          const entry = {userId: userDoc.id, token: token};
+          if (isSimulatedToken(token)) {
+            invalidEntries.push(entry);
+          } else {
+            validEntries.push(entry);
+          }
+        });
+      });
+
+      cleanedTokensCount += await removeTokens(invalidEntries);
+
+      const deviceRefs = validEntries.map((entry) =>
+        deviceRef(entry.userId, entry.token));
+      const deviceDocs = deviceRefs.length > 0 ?
+        await admin.firestore().getAll(...deviceRefs) :
+        [];
+      const missing = validEntries.filter((entry, idx) =>
+        !deviceDocs[idx].exists);
+
+      await commitInBatches(missing.map((entry) => (batch) => {
+        batch.set(deviceRef(entry.userId, entry.token), {
+          userId: entry.userId,
+          token: entry.token,
+          tokenHash: hashToken(entry.token),
+          lastRefreshedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      }));
+      backfilledCount += missing.length;
+
+      if (usersSnapshot.size < pageSize) {
+        break;
+      }
+    }
+
+    const message = cleanedTokensCount > 0 ?
+      `Cleanup complete. Removed ${cleanedTokensCount} tokens from ` +
+        `${cleanedUsersCount} users.` :
+      "No invalid tokens found to clean up.";
+    logger.info(message, {backfilledDevices: backfilledCount});
+    res.status(200).json({
+      success: true,
+      message: message,
+      backfilledDevices: backfilledCount,
+    });
+  } catch (error) {
+    logger.error("Error clearing invalid FCM tokens:", error);
+    res.status(500).json({success: false, error: error.message});
+  }
+});
+
+/**
+ * Cloud Function triggered when a user document is written
+ * Mirrors changes to the fcmTokens array into users/{uid}/devices so every
+ * token maps back to its owner
+ */
+exports.syncDeviceTokens = onDocumentWritten(
+    "users/{userId}",
+    async (event) => {
+      try {
+        const userId = event.params.userId;
+        const before = event.data.before.exists ?
+          event.data.before.data().fcmTokens || [] : [];
+        const after = event.data.after.exists ?
+          event.data.after.data().fcmTokens || [] : [];
+
+        const added = after.filter((token) => !before.includes(token));
+        let removed = before.filter((token) => !after.includes(token));
+
+        if (added.length === 0 && removed.length === 0) {
+          return;
+        }
+
+        await Promise.all(
+            added.map((token) => touchDeviceToken(userId, token)),
+        );
+
+        // A token can be removed and re-registered before this trigger runs,
+        // so only delete device records for tokens that are still gone
+        if (removed.length > 0) {
+          const currentDoc = await admin.firestore()
+              .collection("users")
+              .doc(userId)
+              .get();
+          const currentTokens = currentDoc.exists ?
+            currentDoc.data().fcmTokens || [] : [];
+          removed = removed.filter((token) => !currentTokens.includes(token));
+        }
+
+        await commitInBatches(removed.map((token) => (batch) => {
+          batch.delete(deviceRef(userId, token));
+        }));
+
+        logger.info(`Synced device tokens for user: ${userId}`, {
+          added: added.length,
+          removed: removed.length,
+        });
+      } catch (error) {
+        logger.error("Error syncing device tokens:", error);
+      }
+    },
+);
+
+/**
+ * Scheduled Cloud Function to drop FCM tokens that haven't been refreshed
+ * Runs every 24 hours and removes tokens older than STALE_TOKEN_DAYS
+ */
+exports.cleanupStaleTokens = onSchedule("every 24 hours", async (event) => {
+  try {
+    logger.info(`Starting stale FCM token cleanup. ` +
+      `Removing tokens not refreshed in ${STALE_TOKEN_DAYS} days`);
+
+    const removedCount = await removeStaleTokens(STALE_TOKEN_DAYS);
+
+    logger.info(`Removed ${removedCount} stale FCM tokens`);
+  } catch (error) {
+    logger.error("Error cleaning up stale FCM tokens:", error);
+    throw error;
+  }
+});
+
+/**
+ * Callable Cloud Function to create a family invitation
+ * Parent calls this to generate an invite code for their child
+ */
+exports.createInvitation = onCall(async (request) => {
+  try {
+    const {familyId, childName, role = "child"} = request.data;
+    const parentId = request.auth.uid;
+
+    if (!familyId || !childName) {
+      throw new Error("familyId and childName are required");
+    }
+
+    // Validate role parameter
+    if (role !== "parent" && role !== "child") {
+      throw new Error("role must be 'parent' or 'child'");
+    }
+
+    // Verify the user is a parent in this family
+    const familyDoc = await admin.firestore()
+        .collection("families")
+        .doc(familyId)
+        .get();
+
+    logger.info(`Looking up family document: ${familyId}`, {
+      exists: familyDoc.exists,
+      hasData: !!familyDoc.data(),
+    });
+
+    if (!familyDoc.exists) {
+      logger.error(`Family document not found: ${familyId}`);
+      throw new Error("Family not found");
+    }
+
+    const familyData = familyDoc.data();
+    const memberData = familyData.members[parentId];
+
+    if (!memberData || memberData.role !== "parent") {
+      throw new Error("Only parents can create invitations");
+    }
+
+    requireEntitlement(familyData, "family invitations");
+
+    // For parent invitations, skip child-specific checks
+    let existingAcceptedChild = null;
+    let existingPendingChild = null;
+
+    if (role === "child") {
+      // Check if there's an existing ACCEPTED child with this name
+      existingAcceptedChild = Object.entries(familyData.members || {})
+          .find(([userId, memberData]) =>
+            memberData.role === "child" &&
+            memberData.name === childName &&
+            memberData.status === "accepted");
+
+      // Check if there's an existing PENDING child with this name
+      existingPendingChild = Object.entries(familyData.members || {})
+          .find(([userId, memberData]) =>
+            memberData.role === "child" &&
+            memberData.name === childName &&
+            memberData.status === "pending");
+    }
+
+    // If existing pending child, update it instead of creating new
+    if (existingPendingChild) {
+      const [existingPendingChildId] = existingPendingChild;
+
+      // Generate a unique 6-character alphanumeric invite code
+      const inviteCode = generateInviteCode();
+
+      // Invalidate all existing invitations for this child
+      const existingInvitations = await admin.firestore()
+          .collection("invitations")
+          .where("familyId", "==", familyId)
+          .where("childName", "==", childName)
+          .where("usedBy", "==", null)
+          .get();
+
+      const batch = admin.firestore().batch();
+
+      // Mark old invitations as used
+      existingInvitations.docs.forEach((doc) => {
+        batch.update(doc.ref, {
+          usedBy: existingPendingChildId,
+          usedAt: admin.firestore.FieldValue.serverTimestamp(),
+          invalidatedBy: "reissued_invitation",
+        });
+      });
+
+      // Create new invitation document
+      const invitationData = {
+        familyId: familyId,
+        createdBy: parentId,
+        childName: childName,
+        role: role, // Add role field
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
+        usedBy: null,
+        isForExistingChild: true, // This is a reissue
+      };
+
+      // Add new invitation document
+      batch.set(
+          admin.firestore().collection("invitations").doc(inviteCode),
+          invitationData,
+      );
+
+      await batch.commit();
+
+      logger.info(`Reissued invitation for pending child: ${inviteCode}`, {
+        familyId: familyId,
+        childName: childName,
+        existingPendingChildId: existingPendingChildId,
+        invalidatedInvitations: existingInvitations.docs.length,
+      });
+
+      return {
+        success: true,
+        inviteCode: inviteCode,
+        expiresAt: invitationData.expiresAt,
+        isForExistingChild: true,
+        isReissue: true,
+      };
+    }
+
+    // Generate a unique 6-character alphanumeric invite code
+    const inviteCode = generateInviteCode();
+
+    // Invalidate existing invitations for accepted child
+    if (existingAcceptedChild) {
+      const [existingChildId] = existingAcceptedChild;
+
+      // Mark all existing invitations for this child as used
+      const existingInvitations = await admin.firestore()
+          .collection("invitations")
+          .where("familyId", "==", familyId)
+          .where("childName", "==", childName)
+          .where("usedBy", "==", null)
+          .get();
+
+      const batch = admin.firestore().batch();
+      existingInvitations.docs.forEach((doc) => {
+        batch.update(doc.ref, {
+          usedBy: existingChildId,
+          usedAt: admin.firestore.FieldValue.serverTimestamp(),
+          invalidatedBy: "new_invitation",
+        });
+      });
+
+      if (!existingInvitations.empty) {
+        await batch.commit();
+        const count = existingInvitations.docs.length;
+        const message = `Invalidated ${count} old invitations for child: ` +
+            `${childName}`;
+        logger.info(message);
+      }
+    }
+
+    // Create invitation document
+    const invitationData = {
+      familyId: familyId,
+      createdBy: parentId,
+      childName: childName,
+      role: role, // Add role field
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
+      usedBy: null,
+      isForExistingChild: !!existingAcceptedChild,
+    };
+
+    // Only create pending child for new children,
+    // not existing ones or parent invitations
+    if (!existingAcceptedChild && role === "child") {
+      // Create pending child as FamilyMember with status: "pending"
+      const pendingChildId = uuidv4();
+      const pendingChildData = {
+        role: "child",
+        name: childName,
+        joinedAt: admin.firestore.FieldValue.serverTimestamp(),
+        imageURL: null,
+        imageBase64: null,
+        hasImage: false,
+        status: "pending",
+      };
+
+      // Use batch to create both documents atomically
+      const batch = admin.firestore().batch();
+
+      // Add invitation document
+      batch.set(
+          admin.firestore().collection("invitations").doc(inviteCode),
+          invitationData,
+      );
+
+      // Add pending child as FamilyMember in the family
+      batch.update(
+          admin.firestore().collection("families").doc(familyId),
+          {
+            [`members.${pendingChildId}`]: pendingChildData,
+          },
+      );
+
+      logger.info(`About to commit batch with pending: ${pendingChildId}`, {
+        familyId: familyId,
+        pendingChildData: pendingChildData,
+      });
+
+      await batch.commit();
+
+      logger.info(`Batch committed successfully for: ${inviteCode}`, {
+        familyId: familyId,
+        pendingChildId: pendingChildId,
+      });
+
+      logger.info(`Invitation and pending child created: ${inviteCode}`, {
+        familyId: familyId,
+        createdBy: parentId,
+        childName: childName,
+        role: role,
+        pendingChildId: pendingChildId,
+        isForExistingChild: false,
+      });
+    } else {
+      // For existing children or parent invitations,
+      // only create the invitation document
+      await admin.firestore()
+          .collection("invitations")
+          .doc(inviteCode)
+          .set(invitationData);
+
+      const logMessage = role === "parent" ?
+        `Parent invitation created: ${inviteCode}` :
+        `Invitation created for existing child: ${inviteCode}`;
+
+      logger.info(logMessage, {
+        familyId: familyId,
+        createdBy: parentId,
+        childName: childName,
+        role: role,
+        isForExistingChild: !!existingAcceptedChild,
+      });
+    }
+
+    return {
+      success: true,
+      inviteCode: inviteCode,
+      expiresAt: invitationData.expiresAt,
+      isForExistingChild: !!existingAcceptedChild,
+    };
+  } catch (error) {
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    logger.error("Error creating invitation:", error);
+    throw new Error(`Failed to create invitation: ${error.message}`);
+  }
+});
+
+/**
+ * Callable Cloud Function to accept a family invitation
+ * Child calls this to join a family using an invite code
+ */
+exports.acceptInvitation = onCall(async (request) => {
+  try {
+    const {inviteCode} = request.data;
+    const childId = request.auth.uid;
+
+    if (!inviteCode) {
+      throw new Error("inviteCode is required");
+    }
+
+    // Get invitation document
+    const invitationDoc = await admin.firestore()
+        .collection("invitations")
+        .doc(inviteCode)
+        .get();
+
+    if (!invitationDoc.exists) {
+      throw new Error("Invalid invitation code");
+    }
+
+    const invitationData = invitationDoc.data();
+
+    // Check if invitation has expired
+    const now = new Date();
+    const expiresAt = invitationData.expiresAt.toDate();
+    if (now > expiresAt) {
+      throw new Error("Invitation has expired");
+    }
+
+    // Check if invitation has already been used
+    if (invitationData.usedBy) {
+      throw new Error("Invitation has already been used");
+    }
+
+    // Get user's data (could be child or parent)
+    const userDoc = await admin.firestore()
+        .collection("users")
+        .doc(childId)
+        .get();
+
+    if (!userDoc.exists) {
+      throw new Error("User not found");
+    }
+
+    const userData = userDoc.data();
+    const userType = userData.userType; // "parent" or "child"
+    // Default to "child" for backward compatibility
+    const invitationRole = invitationData.role || "child";
+
+    // Validate user type matches invitation role
+    if (userType !== invitationRole) {
+      if (invitationRole === "parent") {
+        throw new Error(
+            "This invitation is for a parent account. " +
+            "Please sign in with a parent account.",
+        );
+      } else {
+        throw new Error(
+            "This invitation is for a child account. " +
+            "Please sign in with a child account.",
+        );
+      }
+    }
+
+    // Keep backward compatibility with variable name
+    const childData = userData;
+
+    // Handle parent invitations differently
+    if (invitationRole === "parent") {
+      // Add parent to family
+      await admin.firestore()
+          .collection("families")
+          .doc(invitationData.familyId)
+          .update({
+            [`members.${childId}`]: {
+              role: "parent",
+              name: userData.name,
+              joinedAt: admin.firestore.FieldValue.serverTimestamp(),
+              imageURL: null,
+              imageBase64: null,
+              hasImage: false,
+              status: "accepted",
+            },
+          });
+
+      // Update user's familyId
+      await admin.firestore()
+          .collection("users")
+          .doc(childId)
+          .update({
+            familyId: invitationData.familyId,
+          });
+
+      // Mark invitation as used
+      await admin.firestore()
+          .collection("invitations")
+          .doc(inviteCode)
+          .update({
+            usedBy: childId,
+            usedAt: admin.firestore.FieldValue.serverTimestamp(),
+          });
+
+      logger.info(`Parent successfully joined family: ${inviteCode}`, {
+        familyId: invitationData.familyId,
+        parentId: childId,
+        parentName: userData.name,
+      });
+
+      return {
+        success: true,
+        familyId: invitationData.familyId,
+        message: "Successfully joined family as parent",
+      };
+    }
+
+    // Check if this is for an existing child
+    if (invitationData.isForExistingChild) {
+      // This is for an existing child - find the existing child in the family
+      const familyDoc = await admin.firestore()
+          .collection("families")
+          .doc(invitationData.familyId)
+          .get();
+
+      if (!familyDoc.exists) {
+        throw new Error("Family not found");
+      }
+
+      const familyData = familyDoc.data();
+      const existingChild = Object.entries(familyData.members || {})
+          .find(([userId, memberData]) => {
+            const isChild = memberData.role === "child";
+            const nameMatches = memberData.name === invitationData.childName;
+            return isChild && nameMatches;
+          });
+
+      if (existingChild) {
+        const [existingChildId] = existingChild;
+        const existingChildData = existingChild[1];
+
+        logger.info(`Found existing child for invitation: ${inviteCode}`, {
+          existingChildId: existingChildId,
+          existingChildStatus: existingChildData.status,
+          childName: invitationData.childName,
+          newChildId: childId,
+        });
+
+        // Check if this is a pending child
+        if (existingChildData.status === "pending") {
+          logger.info(`Updating pending child: ${existingChildId}`, {
+            oldStatus: "pending",
+            newStatus: "accepted",
+            childId: childId,
+            pendingChildId: existingChildId,
+            authenticatedUserId: childId,
+          });
+
+          logger.info(`Replacing pending child ID with authenticated user ID`, {
+            oldChildId: existingChildId,
             newChildId: childId,
             reason: "Map listens to authenticated user ID, not pending UUID",
           });
 
-          // Remove the pending child with UUID
-          await admin.firestore()
-              .collection("families")
-              .doc(invitationData.familyId)
-              .update({
-                [`members.${existingChildId}`]:
-                  admin.firestore.FieldValue.delete(),
-              });
+          // Remove the pending child with UUID
+          await admin.firestore()
+              .collection("families")
+              .doc(invitationData.familyId)
+              .update({
+                [`members.${existingChildId}`]:
+                  admin.firestore.FieldValue.delete(),
+              });
+
+          logger.info(`Deleted pending child with UUID: ${existingChildId}`);
+
+          // Add the child with authenticated user ID and accepted status
+          await admin.firestore()
+              .collection("families")
+              .doc(invitationData.familyId)
+              .update({
+                [`members.${childId}`]: {
+                  role: "child",
+                  name: invitationData.childName,
+                  joinedAt: admin.firestore.FieldValue.serverTimestamp(),
+                  imageURL: null,
+                  imageBase64: null,
+                  hasImage: false,
+                  status: "accepted",
+                },
+              });
+
+          logger.info(`Created accepted child with user ID: ${childId}`);
+
+          // Update the child's user document with familyId and correct name
+          try {
+            await admin.firestore()
+                .collection("users")
+                .doc(childId)
+                .update({
+                  familyId: invitationData.familyId,
+                  name: invitationData.childName,
+                });
+            logger.info(`Successfully updated pending child user document: ${
+              invitationData.familyId} and name: ${invitationData.childName}`);
+          } catch (error) {
+            logger.error(`Failed to update pending child user document: ${
+              error.message}`);
+            throw error;
+          }
+
+          // Mark invitation as used
+          await admin.firestore()
+              .collection("invitations")
+              .doc(inviteCode)
+              .update({
+                usedBy: childId,
+                usedAt: admin.firestore.FieldValue.serverTimestamp(),
+              });
+
+          logger.info(`Invitation accepted for pending child: ${inviteCode}`, {
+            oldPendingChildId: existingChildId,
+            newAuthenticatedChildId: childId,
+            familyId: invitationData.familyId,
+            childName: invitationData.childName,
+            statusChanged: "pending → accepted",
+            idReplaced: "UUID → Authenticated User ID",
+            mapWillListenTo: childId,
+            childWillWriteTo: childId,
+          });
+
+          return {
+            success: true,
+            familyId: invitationData.familyId,
+            familyName: invitationData.familyName || "Your Family",
+            childName: invitationData.childName,
+            isExistingChild: true,
+            existingChildId: existingChildId,
+            newChildId: childId,
+            statusChanged: "pending → accepted",
+            idReplaced: "UUID → Authenticated User ID",
+          };
+        } else {
+          // This is an accepted child - use the old logic (delete and recreate)
+          logger.info(`Replacing accepted child: ${existingChildId}`, {
+            oldChildId: existingChildId,
+            newChildId: childId,
+            childName: invitationData.childName,
+          });
+
+          // Get existing child data before deletion to preserve all data
+          const existingChildData = existingChild[1];
+
+          // Remove the old child from the family (since we're replacing them)
+          await admin.firestore()
+              .collection("families")
+              .doc(invitationData.familyId)
+              .update({
+                [`members.${existingChildId}`]:
+                  admin.firestore.FieldValue.delete(),
+              });
+
+          // Add new child to family with preserved data
+          // (using new authenticated user ID)
+          await admin.firestore()
+              .collection("families")
+              .doc(invitationData.familyId)
+              .update({
+                [`members.${childId}`]: {
+                  ...existingChildData, // Preserve ALL existing data
+                  role: "child",
+                  name: invitationData.childName,
+                  joinedAt: admin.firestore.FieldValue.serverTimestamp(),
+                  status: "accepted",
+                },
+              });
+
+          // Update the new child's user document with familyId and correct name
+          try {
+            await admin.firestore()
+                .collection("users")
+                .doc(childId)
+                .update({
+                  familyId: invitationData.familyId,
+                  name: invitationData.childName,
+                });
+            logger.info(`Successfully updated existing child user document: ${
+              invitationData.familyId} and name: ${invitationData.childName}`);
+          } catch (error) {
+            logger.error(`Failed to update existing child user document: ${
+              error.message}`);
+            throw error;
+          }
+
+          // Mark invitation as used
+          await admin.firestore()
+              .collection("invitations")
+              .doc(inviteCode)
+              .update({
+                usedBy: childId,
+                usedAt: admin.firestore.FieldValue.serverTimestamp(),
+              });
+
+          logger.info(`Invitation accepted for existing child: ${inviteCode}`, {
+            existingChildId: existingChildId,
+            newChildId: childId,
+            familyId: invitationData.familyId,
+            childName: invitationData.childName,
+            isExistingChild: true,
+            statusChanged: "accepted → accepted (replaced)",
+          });
+
+          return {
+            success: true,
+            familyId: invitationData.familyId,
+            familyName: invitationData.familyName || "Your Family",
+            childName: invitationData.childName,
+            isExistingChild: true,
+            existingChildId: existingChildId,
+            statusChanged: "accepted → accepted (replaced)",
+          };
+        }
+      } else {
+        throw new Error("Existing child not found in family");
+      }
+    } else {
+      // This is for a new child - create new family member
+      // First, get family data to find and delete any pending child
+      const familyDoc = await admin.firestore()
+          .collection("families")
+          .doc(invitationData.familyId)
+          .get();
+
+      if (familyDoc.exists) {
+        const familyData = familyDoc.data();
+
+        // Find and delete the pending child for this name
+        const pendingChild = Object.entries(familyData.members || {})
+            .find(([userId, memberData]) =>
+              memberData.role === "child" &&
+              memberData.name === invitationData.childName &&
+              memberData.status === "pending");
+
+        if (pendingChild) {
+          const [pendingChildId] = pendingChild;
+          await admin.firestore()
+              .collection("families")
+              .doc(invitationData.familyId)
+              .update({
+                [`members.${pendingChildId}`]:
+                  admin.firestore.FieldValue.delete(),
+              });
+
+          logger.info(`Deleted pending child for new: ${pendingChildId}`, {
+            childName: invitationData.childName,
+            pendingChildId: pendingChildId,
+            newChildId: childId,
+          });
+        }
+      }
+
+      // Then create the accepted child
+      await admin.firestore()
+          .collection("families")
+          .doc(invitationData.familyId)
+          .update({
+            [`members.${childId}`]: {
+              role: "child",
+              // Use the name from the invitation, not the user document
+              name: invitationData.childName,
+              joinedAt: admin.firestore.FieldValue.serverTimestamp(),
+              imageURL: null,
+              imageBase64: null,
+              hasImage: false,
+              status: "accepted",
+            },
+          });
+
+      // Update child's user document with familyId and correct name
+      try {
+        await admin.firestore()
+            .collection("users")
+            .doc(childId)
+            .update({
+              familyId: invitationData.familyId,
+              name: invitationData.childName,
+            });
+        logger.info(`Successfully updated user document: ${
+          invitationData.familyId} and name: ${invitationData.childName}`);
+      } catch (error) {
+        logger.error(`Failed to update user document with familyId: ${
+          error.message}`);
+        throw error;
+      }
+
+      // Mark invitation as used
+      await admin.firestore()
+          .collection("invitations")
+          .doc(inviteCode)
+          .update({
+            usedBy: childId,
+            usedAt: admin.firestore.FieldValue.serverTimestamp(),
+          });
+
+      logger.info(`Invitation accepted for new child: ${inviteCode}`, {
+        childId: childId,
+        familyId: invitationData.familyId,
+        childName: childData.name || invitationData.childName,
+      });
+
+      return {
+        success: true,
+        familyId: invitationData.familyId,
+        familyName: invitationData.familyName || "Your Family",
+        childName: childData.name || invitationData.childName,
+        isExistingChild: false,
+      };
+    }
+  } catch (error) {
+    logger.error("Error accepting invitation:", error);
+    throw new Error(`Failed to accept invitation: ${error.message}`);
+  }
+});
+
+/**
+ * Callable Cloud Function to create a new family
+ * Parent calls this to create a new family and become the first parent member.
+ * Each user gets one free trial, recorded in trial_usage/{uid}; families they
+ * create later start expired
+ */
+exports.createFamily = onCall(async (request) => {
+  try {
+    // 1. Ensure the user is authenticated
+    if (!request.auth) {
+      throw new Error("You must be logged in to create a family.");
+    }
+
+    const {familyName, parentName} = request.data;
+    if (!familyName || !parentName) {
+      throw new Error(
+          "The function must be called with 'familyName' and " +
+          "'parentName' arguments.");
+    }
+
+    const uid = request.auth.uid;
+    const newFamilyId = uuidv4();
+    const familyRef = admin.firestore()
+        .collection("families")
+        .doc(newFamilyId);
+    const trialUsageRef = admin.firestore()
+        .collection("trial_usage")
+        .doc(uid);
+
+    // Creators of families from before trial_usage existed had their trial
+    const createdBefore = await admin.firestore()
+        .collection("families")
+        .where("createdBy", "==", uid)
+        .limit(1)
+        .get();
+
+    // 2. Create the new family document, starting its free trial if the
+    // user hasn't had one
+    const newFamily = await admin.firestore().runTransaction(async (tx) => {
+      const trialUsageDoc = await tx.get(trialUsageRef);
+      const hadTrial = trialUsageDoc.exists || !createdBefore.empty;
+      const nowMillis = Date.now();
+
+      const family = {
+        name: familyName,
+        createdBy: uid,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        members: {
+          [uid]: {
+            role: "parent",
+            name: parentName,
+            joinedAt: admin.firestore.FieldValue.serverTimestamp(),
+          },
+        },
+        ...(hadTrial ? noTrialFields(nowMillis) : newTrialFields(nowMillis)),
+      };
+
+      // 3. Write the new document to Firestore
+      tx.set(familyRef, family);
+      if (!trialUsageDoc.exists) {
+        tx.set(trialUsageRef, {
+          userId: uid,
+          familyId: newFamilyId,
+          trialUsedAt: admin.firestore.FieldValue.serverTimestamp(),
+          trialStarted: !hadTrial,
+        });
+      }
+      return family;
+    });
+
+    const trialEndsAt = newFamily.trialEndsAt ?
+      newFamily.trialEndsAt.toISOString() :
+      null;
+
+    logger.info(`Family created successfully with ID: ${newFamilyId}`, {
+      familyId: newFamilyId,
+      createdBy: uid,
+      familyName: familyName,
+      parentName: parentName,
+      subscriptionStatus: newFamily.subscriptionStatus,
+      trialEndsAt: trialEndsAt,
+    });
+
+    return {
+      familyId: newFamilyId,
+      subscriptionStatus: newFamily.subscriptionStatus,
+      trialEndsAt: trialEndsAt,
+    };
+  } catch (error) {
+    logger.error("Error creating family:", error);
+    throw new Error(
+        `An error occurred while creating the family: ${error.message}`);
+  }
+});
+
+/**
+ * Callable Cloud Function to remove a child from a family
+ * Parent calls this to remove a child from their family
+ */
+exports.removeChildFromFamily = onCall(async (request) => {
+  try {
+    const {childId, familyId} = request.data;
+    const parentId = request.auth.uid;
+
+    if (!childId || !familyId) {
+      throw new Error("childId and familyId are required");
+    }
+
+    // Verify the user is a parent in this family
+    const familyDoc = await admin.firestore()
+        .collection("families")
+        .doc(familyId)
+        .get();
+
+    if (!familyDoc.exists) {
+      throw new Error("Family not found");
+    }
+
+    const familyData = familyDoc.data();
+    const memberData = familyData.members[parentId];
+
+    if (!memberData || memberData.role !== "parent") {
+      throw new Error("Only parents can remove children from the family");
+    }
+
+    // Check if the child exists in the family
+    const childData = familyData.members[childId];
+    if (!childData) {
+      throw new Error("Child not found in family");
+    }
+
+    // Use batch to ensure atomicity
+    const batch = admin.firestore().batch();
+
+    // Remove child from family members
+    batch.update(
+        admin.firestore().collection("families").doc(familyId),
+        {
+          [`members.${childId}`]: admin.firestore.FieldValue.delete(),
+        },
+    );
+
+    // Only try to remove familyId from child's user document if it exists
+    // Pending children (UUIDs) don't have user documents
+    const childUserDoc = await admin.firestore()
+        .collection("users")
+        .doc(childId)
+        .get();
+
+    if (childUserDoc.exists) {
+      batch.update(
+          admin.firestore().collection("users").doc(childId),
+          {
+            familyId: admin.firestore.FieldValue.delete(),
+          },
+      );
+    }
+
+    await batch.commit();
+
+    logger.info(`Child removed from family successfully`, {
+      childId: childId,
+      familyId: familyId,
+      removedBy: parentId,
+      childName: childData.name,
+    });
+
+    return {
+      success: true,
+      message: "Child removed from family successfully",
+    };
+  } catch (error) {
+    logger.error("Error removing child from family:", error);
+    throw new Error(`Failed to remove child: ${error.message}`);
+  }
+});
+
+/**
+ * Callable Cloud Function to remove a parent from a family
+ * Parent calls this to remove another parent from their family
+ */
+exports.removeParentFromFamily = onCall(async (request) => {
+  try {
+    const {parentId, familyId} = request.data;
+    const requestingParentId = request.auth.uid;
+
+    if (!parentId || !familyId) {
+      throw new Error("parentId and familyId are required");
+    }
+
+    // Verify the requesting user is a parent in this family
+    const familyDoc = await admin.firestore()
+        .collection("families")
+        .doc(familyId)
+        .get();
+
+    if (!familyDoc.exists) {
+      throw new Error("Family not found");
+    }
+
+    const familyData = familyDoc.data();
+    const requestingMemberData = familyData.members[requestingParentId];
+
+    if (!requestingMemberData || requestingMemberData.role !== "parent") {
+      throw new Error("Only parents can remove parents from the family");
+    }
+
+    // Check if the parent to be removed exists in the family
+    const parentToRemoveData = familyData.members[parentId];
+    if (!parentToRemoveData) {
+      throw new Error("Parent not found in family");
+    }
+
+    if (parentToRemoveData.role !== "parent") {
+      throw new Error("Cannot remove non-parent members with this function");
+    }
+
+    // Count total parents in the family
+    const parentCount = Object.values(familyData.members || {})
+        .filter((member) => member.role === "parent").length;
+
+    // Prevent removing the last parent
+    if (parentCount <= 1) {
+      throw new Error(
+          "Cannot remove the last parent from the family. " +
+          "At least one parent must remain.",
+      );
+    }
+
+    // Use batch to ensure atomicity
+    const batch = admin.firestore().batch();
+
+    // Remove parent from family members
+    batch.update(
+        admin.firestore().collection("families").doc(familyId),
+        {
+          [`members.${parentId}`]: admin.firestore.FieldValue.delete(),
+        },
+    );
+
+    // Remove familyId from parent's user document
+    const parentUserDoc = await admin.firestore()
+        .collection("users")
+        .doc(parentId)
+        .get();
+
+    if (parentUserDoc.exists) {
+      batch.update(
+          admin.firestore().collection("users").doc(parentId),
+          {
+            familyId: admin.firestore.FieldValue.delete(),
+          },
+      );
+    }
+
+    await batch.commit();
+
+    logger.info(`Parent removed from family successfully`, {
+      parentId: parentId,
+      familyId: familyId,
+      removedBy: requestingParentId,
+      parentName: parentToRemoveData.name,
+    });
+
+    return {
+      success: true,
+      message: "Parent removed from family successfully",
+    };
+  } catch (error) {
+    logger.error("Error removing parent from family:", error);
+    throw new Error(`Failed to remove parent: ${error.message}`);
+  }
+});
+
+/**
+ * Callable Cloud Function to read the caller's notification preferences
+ * Returns the defaults if the user has never saved any
+ */
+exports.getNotificationPreferences = onCall(async (request) => {
+  try {
+    if (!request.auth) {
+      throw new Error("You must be logged in to read preferences.");
+    }
+
+    const preferences = await getNotificationPreferences(request.auth.uid);
+
+    return {
+      success: true,
+      preferences: preferences,
+    };
+  } catch (error) {
+    logger.error("Error reading notification preferences:", error);
+    throw new Error(`Failed to read preferences: ${error.message}`);
+  }
+});
+
+/**
+ * Callable Cloud Function to update the caller's notification preferences
+ * Accepts a partial preferences object; omitted fields keep their value
+ */
+exports.updateNotificationPreferences = onCall(async (request) => {
+  try {
+    if (!request.auth) {
+      throw new Error("You must be logged in to update preferences.");
+    }
+
+    const userId = request.auth.uid;
+    const {preferences} = request.data;
+
+    const current = await getNotificationPreferences(userId);
+    const updated = applyPreferencesUpdate(current, preferences);
+
+    // Merge so bookkeeping fields such as lastDigestDate are kept
+    await admin.firestore()
+        .collection("notification_preferences")
+        .doc(userId)
+        .set({
+          ...updated,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        }, {merge: true});
+
+    logger.info(`Notification preferences updated for user: ${userId}`, {
+      preferences: updated,
+    });
+
+    return {
+      success: true,
+      preferences: updated,
+    };
+  } catch (error) {
+    logger.error("Error updating notification preferences:", error);
+    throw new Error(`Failed to update preferences: ${error.message}`);
+  }
+});
+
+/**
+ * Callable Cloud Function to update a family's alert settings
+ * Parent calls this with {familyId, settings}; omitted fields keep their value
+ */
+exports.updateFamilySettings = onCall(async (request) => {
+  try {
+    if (!request.auth) {
+      throw new Error("You must be logged in to update family settings.");
+    }
+
+    const {familyId, settings} = request.data;
+    const parentId = request.auth.uid;
+
+    if (!familyId) {
+      throw new Error("familyId is required");
+    }
+
+    const familyRef = admin.firestore().collection("families").doc(familyId);
+    const familyDoc = await familyRef.get();
+
+    if (!familyDoc.exists) {
+      throw new Error("Family not found");
+    }
+
+    const familyData = familyDoc.data();
+    const memberData = (familyData.members || {})[parentId];
+
+    if (!memberData || memberData.role !== "parent") {
+      throw new Error("Only parents can update family settings");
+    }
+
+    const updated = applyFamilySettingsUpdate(
+        getFamilySettings(familyData),
+        settings,
+    );
+
+    await familyRef.update({
+      alertSettings: updated,
+      alertSettingsUpdatedBy: parentId,
+      alertSettingsUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    logger.info(`Family settings updated for family: ${familyId}`, {
+      updatedBy: parentId,
+      settings: updated,
+    });
+
+    return {
+      success: true,
+      settings: updated,
+      // Retention actually applied, capped without an active subscription
+      effectiveRetentionDays: locationHistoryRetentionDays({
+        ...familyData,
+        alertSettings: updated,
+      }),
+    };
+  } catch (error) {
+    logger.error("Error updating family settings:", error);
+    throw new Error(`Failed to update family settings: ${error.message}`);
+  }
+});
+
+// Largest page of inbox items returned by listNotifications
+const MAX_INBOX_PAGE_SIZE = 50;
+
+// Inbox items read and written per page by the all: true paths
+const INBOX_BULK_PAGE_SIZE = 400;
+
+// Pages one all: true call handles; the response says when items are left
+const MAX_INBOX_BULK_PAGES = 5;
+
+// Inbox items older than this are deleted by pruneNotificationInboxes
+const INBOX_RETENTION_DAYS = 90;
+
+// Stop pruning after this long; the next run carries on
+const INBOX_PRUNE_TIME_BUDGET_MS = 4 * 60 * 1000;
+
+/**
+ * Callable Cloud Function to page through the caller's notification inbox
+ * Newest first; pass the returned nextCursor as cursor for the next page
+ */
+exports.listNotifications = onCall(async (request) => {
+  try {
+    if (!request.auth) {
+      throw new Error("You must be logged in to read notifications.");
+    }
+
+    const userId = request.auth.uid;
+    const {cursor, unreadOnly = false} = request.data || {};
+    const limit = Math.min(
+        Math.max(Number(request.data && request.data.limit) || 20, 1),
+        MAX_INBOX_PAGE_SIZE,
+    );
+
+    let query = inboxCollection(userId);
+    if (unreadOnly) {
+      query = query.where("read", "==", false);
+    }
+    query = query.orderBy("createdAt", "desc").limit(limit);
+
+    if (cursor) {
+      const cursorDoc = await inboxCollection(userId).doc(cursor).get();
+      if (!cursorDoc.exists) {
+        throw new Error("Invalid cursor");
+      }
+      query = query.startAfter(cursorDoc);
+    }
+
+    const snapshot = await query.get();
+    const notifications = snapshot.docs.map((doc) => {
+      const data = doc.data();
+      return {
+        id: doc.id,
+        type: data.type,
+        title: data.title,
+        body: data.body,
+        familyId: data.familyId,
+        childId: data.childId,
+        geofenceId: data.geofenceId,
+        read: data.read === true,
+        readAt: toISOString(data.readAt),
+        delivery: data.delivery || null,
+        createdAt: toISOString(data.createdAt),
+      };
+    });
+
+    return {
+      success: true,
+      notifications: notifications,
+      nextCursor: snapshot.size === limit ?
+        snapshot.docs[snapshot.size - 1].id : null,
+      unreadCount: await unreadCount(userId),
+    };
+  } catch (error) {
+    logger.error("Error listing notifications:", error);
+    throw new Error(`Failed to list notifications: ${error.message}`);
+  }
+});
+
+/**
+ * Helper function to resolve the inbox items a callable names
+ * @param {string} userId Inbox owner
+ * @param {Object} data Callable data with notificationIds
+ * @return {Promise<FirebaseFirestore.DocumentReference[]>} Item references
+ */
+async function resolveInboxItems(userId, data) {
+  const {notificationIds} = data || {};
+
+  if (!Array.isArray(notificationIds) || notificationIds.length === 0) {
+    throw new Error("notificationIds or all: true is required");
+  }
+  if (notificationIds.some((id) => typeof id !== "string" || !id)) {
+    throw new Error("notificationIds must be an array of IDs");
+  }
+
+  const refs = [...new Set(notificationIds)]
+      .map((id) => inboxCollection(userId).doc(id));
+  const docs = await admin.firestore().getAll(...refs);
+  return docs.filter((doc) => doc.exists).map((doc) => doc.ref);
+}
+
+/**
+ * Helper function to apply a write to every inbox item a query matches, a
+ * page at a time, for the all: true paths
+ * The write must take the item out of the query (mark it read or delete it),
+ * so each page re-runs the query from the start
+ * @param {FirebaseFirestore.Query} query Items to act on
+ * @param {function(FirebaseFirestore.WriteBatch,
+ *   FirebaseFirestore.DocumentReference)} operation Write for one item
+ * @return {Promise<Object>} {count, hasMore}; hasMore is true when the page
+ *   limit was reached with items possibly left
+ */
+async function updateAllInboxItems(query, operation) {
+  let count = 0;
+
+  for (let page = 0; page < MAX_INBOX_BULK_PAGES; page++) {
+    const snapshot = await query.limit(INBOX_BULK_PAGE_SIZE).get();
+    await commitInBatches(snapshot.docs.map((doc) =>
+      (batch) => operation(batch, doc.ref)));
+    count += snapshot.size;
+
+    if (snapshot.size < INBOX_BULK_PAGE_SIZE) {
+      return {count: count, hasMore: false};
+    }
+  }
+
+  return {count: count, hasMore: true};
+}
+
+/**
+ * Callable Cloud Function to mark inbox items as read
+ * Takes {notificationIds: [...]} or {all: true}; with all, hasMore in the
+ * response means the call should be repeated
+ */
+exports.markNotificationsRead = onCall(async (request) => {
+  try {
+    if (!request.auth) {
+      throw new Error("You must be logged in to update notifications.");
+    }
+
+    const userId = request.auth.uid;
+    const markRead = (batch, ref) => batch.update(ref, {
+      read: true,
+      readAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    let result;
+    if ((request.data || {}).all === true) {
+      result = await updateAllInboxItems(
+          inboxCollection(userId).where("read", "==", false),
+          markRead,
+      );
+    } else {
+      const refs = await resolveInboxItems(userId, request.data);
+      await commitInBatches(refs.map((ref) => (batch) => markRead(batch, ref)));
+      result = {count: refs.length, hasMore: false};
+    }
+
+    return {
+      success: true,
+      updated: result.count,
+      hasMore: result.hasMore,
+      unreadCount: await unreadCount(userId),
+    };
+  } catch (error) {
+    logger.error("Error marking notifications read:", error);
+    throw new Error(`Failed to mark notifications read: ${error.message}`);
+  }
+});
+
+/**
+ * Callable Cloud Function to delete inbox items
+ * Takes {notificationIds: [...]} or {all: true}; with all, hasMore in the
+ * response means the call should be repeated
+ */
+exports.clearNotifications = onCall(async (request) => {
+  try {
+    if (!request.auth) {
+      throw new Error("You must be logged in to clear notifications.");
+    }
+
+    const userId = request.auth.uid;
+    const remove = (batch, ref) => batch.delete(ref);
+
+    let result;
+    if ((request.data || {}).all === true) {
+      result = await updateAllInboxItems(inboxCollection(userId), remove);
+    } else {
+      const refs = await resolveInboxItems(userId, request.data);
+      await commitInBatches(refs.map((ref) => (batch) => remove(batch, ref)));
+      result = {count: refs.length, hasMore: false};
+    }
+
+    logger.info(`Cleared ${result.count} notifications for user: ${userId}`);
+
+    return {
+      success: true,
+      deleted: result.count,
+      hasMore: result.hasMore,
+      unreadCount: await unreadCount(userId),
+    };
+  } catch (error) {
+    logger.error("Error clearing notifications:", error);
+    throw new Error(`Failed to clear notifications: ${error.message}`);
+  }
+});
+
+/**
+ * Scheduled Cloud Function to prune old inbox items
+ * Runs every hour and deletes every user's notifications older than
+ * INBOX_RETENTION_DAYS, oldest first, until its time budget runs out
+ */
+exports.pruneNotificationInboxes = onSchedule({
+  schedule: "every 1 hours",
+  timeoutSeconds: 300,
+}, async (event) => {
+  try {
+    const cutoff = admin.firestore.Timestamp.fromMillis(
+        Date.now() - INBOX_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const result = await deleteQueryInPages(
+        admin.firestore()
+            .collectionGroup("notifications")
+            .where("createdAt", "<", cutoff)
+            .orderBy("createdAt"),
+        Date.now() + INBOX_PRUNE_TIME_BUDGET_MS,
+    );
+
+    logger.info(`Pruned ${result.deletedCount} old inbox items`, {
+      finished: result.finished,
+    });
+  } catch (error) {
+    logger.error("Error pruning notification inboxes:", error);
+    throw error;
+  }
+});
+
+/**
+ * Helper function to validate the optional editable fields of a geofence
+ * @param {Object} data Client data
+ * @return {Object} Validated fields that were present
+ */
+function validateGeofenceFields(data) {
+  const fields = {};
+
+  if (data.name !== undefined) {
+    if (typeof data.name !== "string" || data.name.trim().length === 0) {
+      throw new Error("name must be a non-empty string");
+    }
+    if (data.name.trim().length > MAX_GEOFENCE_NAME_LENGTH) {
+      throw new Error(`name must be at most ${MAX_GEOFENCE_NAME_LENGTH} ` +
+        `characters`);
+    }
+    fields.name = data.name.trim();
+  }
+  ["notifyOnEnter", "notifyOnExit", "isActive"].forEach((key) => {
+    if (data[key] !== undefined) {
+      if (typeof data[key] !== "boolean") {
+        throw new Error(`${key} must be a boolean`);
+      }
+      fields[key] = data[key];
+    }
+  });
+
+  return fields;
+}
+
+/**
+ * Helper function to add a geofence change to the audit log
+ * @param {FirebaseFirestore.Transaction|FirebaseFirestore.WriteBatch} writer
+ *   Transaction or batch to write the entry with
+ * @param {Object} entry Entry with geofenceId, familyId, action (created,
+ *   updated or deleted), actorId and fields
+ */
+function recordGeofenceAudit(writer, entry) {
+  const auditRef = admin.firestore()
+      .collection("geofence_audit_log")
+      .doc(uuidv4());
+
+  writer.set(auditRef, {
+    ...entry,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+/**
+ * Helper function to check a family still has room for another geofence
+ * Runs inside the transaction that creates the geofence so two parents can't
+ * both add the last one
+ * @param {FirebaseFirestore.Transaction} tx Firestore transaction
+ * @param {string} familyId Family document ID
+ */
+async function checkGeofenceLimit(tx, familyId) {
+  const countSnapshot = await tx.get(admin.firestore()
+      .collection("geofences")
+      .where("familyId", "==", familyId)
+      .count());
+
+  if (countSnapshot.data().count >= MAX_GEOFENCES_PER_FAMILY) {
+    throw new Error(`A family can have at most ${MAX_GEOFENCES_PER_FAMILY} ` +
+      `geofences`);
+  }
+}
+
+/**
+ * Callable Cloud Function to create a circle or polygon geofence
+ * Parent calls this with {familyId, name, type, latitude, longitude, radius}
+ * for a circle or {familyId, name, type: "polygon", vertices} for a polygon,
+ * plus optional childIds to limit it to some children.
+ * Returns the enclosing circle so iOS region monitoring can use it
+ */
+exports.createGeofence = onCall(async (request) => {
+  try {
+    if (!request.auth) {
+      throw new Error("You must be logged in to create a geofence.");
+    }
+
+    const data = request.data || {};
+    const parentId = request.auth.uid;
+
+    if (!data.familyId) {
+      throw new Error("familyId is required");
+    }
+    if (data.name === undefined) {
+      throw new Error("name is required");
+    }
+
+    const familyDoc = await admin.firestore()
+        .collection("families")
+        .doc(data.familyId)
+        .get();
+
+    if (!familyDoc.exists) {
+      throw new Error("Family not found");
+    }
+
+    const memberData = (familyDoc.data().members || {})[parentId];
+
+    if (!memberData || memberData.role !== "parent") {
+      throw new Error("Only parents can create geofences");
+    }
+
+    requireEntitlement(familyDoc.data(), "geofences");
+
+    const shape = validateGeofenceShape(data);
+    const fields = validateGeofenceFields(data);
+    const childIds = validateGeofenceChildIds(
+        data.childIds,
+        familyChildIds(familyDoc.data()),
+    );
+    const geofenceId = uuidv4();
+    const geofenceRef = admin.firestore()
+        .collection("geofences")
+        .doc(geofenceId);
+
+    await admin.firestore().runTransaction(async (tx) => {
+      await checkGeofenceLimit(tx, data.familyId);
+
+      tx.set(geofenceRef, {
+        id: geofenceId,
+        familyId: data.familyId,
+        name: fields.name,
+        ...shape,
+        childIds: childIds,
+        isActive: fields.isActive !== false,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        createdBy: parentId,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedBy: parentId,
+        notifyOnEnter: fields.notifyOnEnter !== false,
+        notifyOnExit: fields.notifyOnExit !== false,
+      });
+      recordGeofenceAudit(tx, {
+        geofenceId: geofenceId,
+        familyId: data.familyId,
+        action: "created",
+        actorId: parentId,
+        fields: ["name", "type", "childIds"],
+      });
+    });
+
+    logger.info(`Geofence created: ${geofenceId}`, {
+      familyId: data.familyId,
+      type: shape.type,
+      createdBy: parentId,
+    });
+
+    return {
+      success: true,
+      geofenceId: geofenceId,
+      type: shape.type,
+      enclosingCircle: {
+        latitude: shape.latitude,
+        longitude: shape.longitude,
+        radius: shape.radius,
+      },
+    };
+  } catch (error) {
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    logger.error("Error creating geofence:", error);
+    throw new Error(`Failed to create geofence: ${error.message}`);
+  }
+});
+
+/**
+ * Callable Cloud Function to update a geofence
+ * Parent calls this with {geofenceId} plus any of name, notifyOnEnter,
+ * notifyOnExit, isActive, childIds and the shape fields; changing the shape
+ * re-validates it and recomputes the enclosing circle
+ */
+exports.updateGeofence = onCall(async (request) => {
+  try {
+    if (!request.auth) {
+      throw new Error("You must be logged in to update a geofence.");
+    }
+
+    const data = request.data || {};
+    const parentId = request.auth.uid;
+
+    if (!data.geofenceId) {
+      throw new Error("geofenceId is required");
+    }
+
+    const geofenceRef = admin.firestore()
+        .collection("geofences")
+        .doc(data.geofenceId);
+    const geofenceDoc = await geofenceRef.get();
+
+    if (!geofenceDoc.exists) {
+      throw new Error("Geofence not found");
+    }
+
+    const geofence = geofenceDoc.data();
+    const familyDoc = await admin.firestore()
+        .collection("families")
+        .doc(geofence.familyId)
+        .get();
+    const memberData = familyDoc.exists ?
+      (familyDoc.data().members || {})[parentId] :
+      null;
+
+    if (!memberData || memberData.role !== "parent") {
+      throw new Error("Only parents can update geofences");
+    }
+
+    requireEntitlement(familyDoc.data(), "geofences");
+
+    const update = validateGeofenceFields(data);
+    if (data.childIds !== undefined) {
+      update.childIds = validateGeofenceChildIds(
+          data.childIds,
+          familyChildIds(familyDoc.data()),
+      );
+    }
+    const shapeKeys = ["type", "latitude", "longitude", "radius", "vertices"];
+    if (shapeKeys.some((key) => data[key] !== undefined)) {
+      const type = data.type || geofence.type || "circle";
+      const current = type === (geofence.type || "circle") ? geofence : {};
+      Object.assign(update, validateGeofenceShape({
+        type: type,
+        latitude: data.latitude !== undefined ?
+          data.latitude :
+          current.latitude,
+        longitude: data.longitude !== undefined ?
+          data.longitude :
+          current.longitude,
+        radius: data.radius !== undefined ? data.radius : current.radius,
+        vertices: data.vertices !== undefined ?
+          data.vertices :
+          current.vertices,
+      }));
+    }
+
+    const changedFields = Object.keys(update);
+    if (changedFields.length === 0) {
+      throw new Error("Nothing to update");
+    }
+
+    const batch = admin.firestore().batch();
+    batch.update(geofenceRef, {
+      ...update,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedBy: parentId,
+    });
+    recordGeofenceAudit(batch, {
+      geofenceId: data.geofenceId,
+      familyId: geofence.familyId,
+      action: "updated",
+      actorId: parentId,
+      fields: changedFields,
+    });
+    await batch.commit();
+
+    const updated = {...geofence, ...update};
+    logger.info(`Geofence updated: ${data.geofenceId}`, {
+      familyId: geofence.familyId,
+      fields: changedFields,
+      updatedBy: parentId,
+    });
+
+    return {
+      success: true,
+      geofenceId: data.geofenceId,
+      type: updated.type || "circle",
+      enclosingCircle: {
+        latitude: updated.latitude,
+        longitude: updated.longitude,
+        radius: updated.radius,
+      },
+    };
+  } catch (error) {
+    logger.error("Error updating geofence:", error);
+    throw new Error(`Failed to update geofence: ${error.message}`);
+  }
+});
+
+/**
+ * Callable Cloud Function to delete a geofence
+ * Parent calls this with {geofenceId}; the children's inside/outside state
+ * and held notifications for the geofence are removed with it
+ */
+exports.deleteGeofence = onCall(async (request) => {
+  try {
+    if (!request.auth) {
+      throw new Error("You must be logged in to delete a geofence.");
+    }
+
+    const {geofenceId} = request.data || {};
+    const parentId = request.auth.uid;
+
+    if (!geofenceId) {
+      throw new Error("geofenceId is required");
+    }
+
+    const geofenceRef = admin.firestore()
+        .collection("geofences")
+        .doc(geofenceId);
+    const geofenceDoc = await geofenceRef.get();
+
+    if (!geofenceDoc.exists) {
+      throw new Error("Geofence not found");
+    }
+
+    const geofence = geofenceDoc.data();
+    const familyDoc = await admin.firestore()
+        .collection("families")
+        .doc(geofence.familyId)
+        .get();
+    const memberData = familyDoc.exists ?
+      (familyDoc.data().members || {})[parentId] :
+      null;
+
+    if (!memberData || memberData.role !== "parent") {
+      throw new Error("Only parents can delete geofences");
+    }
+
+    const batch = admin.firestore().batch();
+    batch.delete(geofenceRef);
+    recordGeofenceAudit(batch, {
+      geofenceId: geofenceId,
+      familyId: geofence.familyId,
+      action: "deleted",
+      actorId: parentId,
+      fields: [],
+      name: geofence.name || null,
+      type: geofence.type || "circle",
+    });
+    await batch.commit();
+
+    // State and held notification documents share the childId_geofenceId key
+    const statesSnapshot = await admin.firestore()
+        .collection("geofence_states")
+        .where("geofenceId", "==", geofenceId)
+        .get();
+    const pendingRefs = statesSnapshot.docs.map((stateDoc) => admin.firestore()
+        .collection("pending_geofence_notifications")
+        .doc(stateDoc.id));
+    await commitInBatches([
+      ...statesSnapshot.docs.map((stateDoc) => stateDoc.ref),
+      ...pendingRefs,
+    ].map((ref) => (batch) => batch.delete(ref)));
+
+    logger.info(`Geofence deleted: ${geofenceId}`, {
+      familyId: geofence.familyId,
+      deletedBy: parentId,
+      statesRemoved: statesSnapshot.size,
+    });
+
+    return {
+      success: true,
+      geofenceId: geofenceId,
+    };
+  } catch (error) {
+    logger.error("Error deleting geofence:", error);
+    throw new Error(`Failed to delete geofence: ${error.message}`);
+  }
+});
+
+/**
+ * Callable Cloud Function to set the schedule rules on a geofence
+ * Parent calls this with {geofenceId, rules}; an empty array removes them
+ */
+exports.setGeofenceScheduleRules = onCall(async (request) => {
+  try {
+    if (!request.auth) {
+      throw new Error("You must be logged in to edit geofence rules.");
+    }
+
+    const {geofenceId, rules} = request.data;
+    const parentId = request.auth.uid;
+
+    if (!geofenceId) {
+      throw new Error("geofenceId is required");
+    }
+
+    const geofenceRef = admin.firestore()
+        .collection("geofences")
+        .doc(geofenceId);
+    const geofenceDoc = await geofenceRef.get();
+
+    if (!geofenceDoc.exists) {
+      throw new Error("Geofence not found");
+    }
+
+    const familyDoc = await admin.firestore()
+        .collection("families")
+        .doc(geofenceDoc.data().familyId)
+        .get();
+
+    if (!familyDoc.exists) {
+      throw new Error("Family not found");
+    }
+
+    const familyData = familyDoc.data();
+    const memberData = (familyData.members || {})[parentId];
+
+    if (!memberData || memberData.role !== "parent") {
+      throw new Error("Only parents can edit geofence rules");
+    }
+
+    requireEntitlement(familyData, "geofence schedules");
+
+    const validatedRules = validateScheduleRules(
+        rules,
+        familyChildIds(familyData).filter((childId) =>
+          geofenceAppliesToChild(geofenceDoc.data(), childId)),
+    );
+
+    await geofenceRef.update({
+      scheduleRules: validatedRules,
+      hasScheduleRules: validatedRules.length > 0,
+      scheduleRulesUpdatedBy: parentId,
+      scheduleRulesUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    logger.info(`Schedule rules updated for geofence: ${geofenceId}`, {
+      familyId: geofenceDoc.data().familyId,
+      updatedBy: parentId,
+      ruleCount: validatedRules.length,
+    });
+
+    return {
+      success: true,
+      rules: validatedRules,
+    };
+  } catch (error) {
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    logger.error("Error setting geofence schedule rules:", error);
+    throw new Error(`Failed to set schedule rules: ${error.message}`);
+  }
+});
+
+// How often an unacknowledged SOS is pushed to parents again
+const SOS_RESEND_INTERVAL_MS = 2 * 60 * 1000;
+
+// Alerts sent for one SOS before escalation stops (about an hour); the
+// incident expires one resend interval after the last one
+const SOS_MAX_ALERTS = 30;
+
+// Longest optional message a child can attach to an SOS
+const SOS_MESSAGE_MAX_LENGTH = 200;
+
+/**
+ * Callable Cloud Function for a child to raise an SOS
+ * Child calls this with {latitude, longitude, accuracy, address, batteryLevel,
+ * message}; calling again while an incident is open updates its location,
+ * alerts the parents again and restarts the escalation
+ */
+exports.triggerSOS = onCall(async (request) => {
+  try {
+    if (!request.auth) {
+      throw new Error("You must be logged in to send an SOS.");
+    }
+
+    const childId = request.auth.uid;
+    const {
+      latitude,
+      longitude,
+      accuracy,
+      address,
+      batteryLevel,
+      message,
+    } = request.data || {};
+
+    if (!isValidCoordinate(latitude, longitude)) {
+      throw new Error("A valid latitude and longitude are required");
+    }
+    if (message !== undefined && message !== null &&
+        (typeof message !== "string" ||
+          message.length > SOS_MESSAGE_MAX_LENGTH)) {
+      throw new Error(`message must be a string of at most ` +
+        `${SOS_MESSAGE_MAX_LENGTH} characters`);
+    }
+
+    const userDoc = await admin.firestore()
+        .collection("users")
+        .doc(childId)
+        .get();
+    const familyId = userDoc.exists ? userDoc.data().familyId : null;
+
+    if (!familyId) {
+      throw new Error("You must be in a family to send an SOS");
+    }
+
+    const familyDoc = await admin.firestore()
+        .collection("families")
+        .doc(familyId)
+        .get();
+
+    if (!familyDoc.exists) {
+      throw new Error("Family not found");
+    }
+
+    const familyData = familyDoc.data();
+    const memberData = (familyData.members || {})[childId];
+
+    if (!memberData || memberData.role !== "child") {
+      throw new Error("Only children in the family can send an SOS");
+    }
+
+    const location = {
+      lat: latitude,
+      lng: longitude,
+      accuracy: Number.isFinite(accuracy) ? accuracy : null,
+      address: typeof address === "string" ? address : null,
+      batteryLevel: Number.isFinite(batteryLevel) ? batteryLevel : null,
+    };
+
+    const openSnapshot = await admin.firestore()
+        .collection("sos_incidents")
+        .where("childId", "==", childId)
+        .where("status", "==", "open")
+        .limit(1)
+        .get();
+
+    if (!openSnapshot.empty) {
+      const incidentRef = openSnapshot.docs[0].ref;
+      const incident = await admin.firestore().runTransaction(async (tx) => {
+        const current = await tx.get(incidentRef);
+        const data = current.data();
+        if (data.status !== "open") {
+          return null;
+        }
+        const update = {
+          alertCount: 1,
+          triggerCount: (data.triggerCount || 1) + 1,
+          lastAlertAt: admin.firestore.FieldValue.serverTimestamp(),
+          nextAlertAt: admin.firestore.Timestamp.fromMillis(
+              Date.now() + SOS_RESEND_INTERVAL_MS),
+        };
+        if (message) {
+          update.message = message;
+        }
+        tx.update(incidentRef, update);
+        return {...data, ...update, lastLocation: location};
+      });
+
+      if (incident) {
+        await recordSOSLocation(incidentRef, location, "sos");
+        const report = await sendSOSAlert(
+            incidentRef.id, incident, familyData);
+
+        logger.info(`SOS re-triggered by child ${childId}`, {
+          incidentId: incidentRef.id,
+          familyId: familyId,
+          successCount: report.successCount,
+          failureCount: report.failureCount,
+        });
+
+        return {
+          success: true,
+          incidentId: incidentRef.id,
+          alreadyOpen: true,
+          notifiedParents: report.recipients,
+        };
+      }
+    }
+
+    // No open incident, or a parent acknowledged it in the meantime, so open
+    // a new incident
+    const incidentRef = admin.firestore().collection("sos_incidents").doc();
+    const incident = {
+      familyId: familyId,
+      childId: childId,
+      childName: memberData.name || "Your child",
+      status: "open",
+      message: message || null,
+      location: location,
+      lastLocation: location,
+      lastLocationAt: admin.firestore.FieldValue.serverTimestamp(),
+      alertCount: 1,
+      triggerCount: 1,
+      lastAlertAt: admin.firestore.FieldValue.serverTimestamp(),
+      nextAlertAt: admin.firestore.Timestamp.fromMillis(
+          Date.now() + SOS_RESEND_INTERVAL_MS),
+      expiredAt: null,
+      acknowledgedAt: null,
+      acknowledgedBy: null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    await incidentRef.set(incident);
+    await recordSOSLocation(incidentRef, location, "sos");
+
+    const report = await sendSOSAlert(incidentRef.id, incident, familyData);
+
+    logger.info(`SOS raised by child ${childId}`, {
+      incidentId: incidentRef.id,
+      familyId: familyId,
+      successCount: report.successCount,
+      failureCount: report.failureCount,
+    });
+
+    return {
+      success: true,
+      incidentId: incidentRef.id,
+      alreadyOpen: false,
+      notifiedParents: report.recipients,
+    };
+  } catch (error) {
+    logger.error("Error triggering SOS:", error);
+    throw new Error(`Failed to send SOS: ${error.message}`);
+  }
+});
+
+/**
+ * Callable Cloud Function for a parent to acknowledge an SOS
+ * Parent calls this with {incidentId}; stops the re-sends and the location
+ * stream and lets the child and the other parents know. An incident that
+ * expired unacknowledged can still be acknowledged
+ */
+exports.acknowledgeSOS = onCall(async (request) => {
+  try {
+    if (!request.auth) {
+      throw new Error("You must be logged in to acknowledge an SOS.");
+    }
+
+    const {incidentId} = request.data || {};
+    const parentId = request.auth.uid;
+
+    if (!incidentId) {
+      throw new Error("incidentId is required");
+    }
+
+    const incidentRef = admin.firestore()
+        .collection("sos_incidents")
+        .doc(incidentId);
+    const incidentDoc = await incidentRef.get();
+
+    if (!incidentDoc.exists) {
+      throw new Error("SOS incident not found");
+    }
+
+    const familyDoc = await admin.firestore()
+        .collection("families")
+        .doc(incidentDoc.data().familyId)
+        .get();
+
+    if (!familyDoc.exists) {
+      throw new Error("Family not found");
+    }
+
+    const familyData = familyDoc.data();
+    const memberData = (familyData.members || {})[parentId];
+
+    if (!memberData || memberData.role !== "parent") {
+      throw new Error("Only parents in the family can acknowledge an SOS");
+    }
+
+    const acknowledged = await admin.firestore().runTransaction(async (tx) => {
+      const current = await tx.get(incidentRef);
+      if (!["open", "expired"].includes(current.data().status)) {
+        return false;
+      }
+      tx.update(incidentRef, {
+        status: "acknowledged",
+        acknowledgedBy: parentId,
+        acknowledgedAt: admin.firestore.FieldValue.serverTimestamp(),
+        nextAlertAt: null,
+      });
+      return true;
+    });
+
+    if (!acknowledged) {
+      return {
+        success: true,
+        alreadyAcknowledged: true,
+      };
+    }
+
+    const incident = incidentDoc.data();
+    const parentName = memberData.name || "A parent";
+    const recipientIds = [
+      incident.childId,
+      ...familyParentIds(familyData).filter((id) => id !== parentId),
+    ];
+
+    const report = await notifyUsers(recipientIds, {
+      type: "sos_acknowledged",
+      title: `${parentName} saw the SOS`,
+      body: `${parentName} acknowledged ${incident.childName}'s SOS`,
+      familyId: incident.familyId,
+      childId: incident.childId,
+    }, {
+      data: {
+        type: "sos_acknowledged",
+        incidentId: incidentId,
+        acknowledgedBy: parentId,
+      },
+    });
+
+    logger.info(`SOS ${incidentId} acknowledged by parent ${parentId}`, {
+      successCount: report.successCount,
+      failureCount: report.failureCount,
+    });
+
+    return {
+      success: true,
+      alreadyAcknowledged: false,
+    };
+  } catch (error) {
+    logger.error("Error acknowledging SOS:", error);
+    throw new Error(`Failed to acknowledge SOS: ${error.message}`);
+  }
+});
+
+/**
+ * Helper function to push an SOS to every parent in the family
+ * SOS alerts are critical, so mutes and quiet hours don't apply
+ * @param {string} incidentId SOS incident document ID
+ * @param {Object} incident Incident data
+ * @param {Object} familyData Family document data
+ * @return {Promise<Object>} Delivery report from notifyUsers
+ */
+async function sendSOSAlert(incidentId, incident, familyData) {
+  const recipientIds = await filterRecipients(familyParentIds(familyData), {
+    type: "sos_alert",
+    childId: incident.childId,
+    critical: true,
+  });
+
+  const location = incident.lastLocation || incident.location || {};
+  const body = (incident.message ? `"${incident.message}" ` : "") +
+    (location.address ? `Near ${location.address}` : "Tap to see location");
+
+  return notifyUsers(recipientIds, {
+    type: "sos_alert",
+    title: `SOS from ${incident.childName}`,
+    body: body,
+    familyId: incident.familyId,
+    childId: incident.childId,
+  }, {
+    data: {
+      type: "sos_alert",
+      incidentId: incidentId,
+      childId: incident.childId,
+      location: JSON.stringify(location),
+    },
+    android: {
+      priority: "high",
+    },
+    apns: {
+      headers: {
+        "apns-priority": "10",
+        "apns-push-type": "alert",
+      },
+      payload: {
+        aps: {
+          "sound": "default",
+          "interruption-level": "time-sensitive",
+        },
+      },
+    },
+  });
+}
+
+/**
+ * Helper function to add a position to an SOS incident's location stream
+ * @param {FirebaseFirestore.DocumentReference} incidentRef Incident reference
+ * @param {Object} location Position with lat/lng/accuracy/address/batteryLevel
+ * @param {string} source Where the position came from
+ */
+async function recordSOSLocation(incidentRef, location, source) {
+  await incidentRef.collection("locations").add({
+    ...location,
+    source: source,
+    timestamp: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  await incidentRef.update({
+    lastLocation: location,
+    lastLocationAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+// Preset check-in statuses with a short label and the text used in the
+// parent notification
+const CHECK_IN_STATUSES = {
+  arrived_safely: {label: "Arrived safely", text: "arrived safely"},
+  running_late: {label: "Running late", text: "is running late"},
+  pick_me_up: {label: "Pick me up", text: "needs picking up"},
+};
+
+// Longest optional note a child can attach to a check-in
+const CHECK_IN_NOTE_MAX_LENGTH = 140;
+
+/**
+ * Callable Cloud Function for a child to send a check-in to their parents
+ * Child calls this with {status, note}; status is one of CHECK_IN_STATUSES
+ */
+exports.sendCheckIn = onCall(async (request) => {
+  try {
+    if (!request.auth) {
+      throw new Error("You must be logged in to send a check-in.");
+    }
+
+    const childId = request.auth.uid;
+    const {status, note} = request.data || {};
+
+    if (!Object.prototype.hasOwnProperty.call(CHECK_IN_STATUSES, status)) {
+      throw new Error(`status must be one of: ` +
+        Object.keys(CHECK_IN_STATUSES).join(", "));
+    }
+    if (note !== undefined && note !== null &&
+        (typeof note !== "string" || note.length > CHECK_IN_NOTE_MAX_LENGTH)) {
+      throw new Error(`note must be a string of at most ` +
+        `${CHECK_IN_NOTE_MAX_LENGTH} characters`);
+    }
+
+    const userDoc = await admin.firestore()
+        .collection("users")
+        .doc(childId)
+        .get();
+    const familyId = userDoc.exists ? userDoc.data().familyId : null;
+
+    if (!familyId) {
+      throw new Error("You must be in a family to send a check-in");
+    }
+
+    const familyDoc = await admin.firestore()
+        .collection("families")
+        .doc(familyId)
+        .get();
+
+    if (!familyDoc.exists) {
+      throw new Error("Family not found");
+    }
+
+    const familyData = familyDoc.data();
+    const memberData = (familyData.members || {})[childId];
+
+    if (!memberData || memberData.role !== "child") {
+      throw new Error("Only children in the family can send a check-in");
+    }
+
+    // Attach the child's last known location, if they have shared one
+    const locationDoc = await admin.firestore()
+        .collection("locations")
+        .doc(childId)
+        .get();
+    let location = null;
+    if (locationDoc.exists) {
+      const locationData = locationDoc.data();
+      location = {
+        lat: locationData.lat,
+        lng: locationData.lng,
+        accuracy: locationData.accuracy || null,
+        address: locationData.address || null,
+        timestamp: locationData.timestamp || null,
+      };
+    }
+
+    const childName = memberData.name || "Your child";
+    const checkInRef = admin.firestore().collection("check_ins").doc();
+    await checkInRef.set({
+      familyId: familyId,
+      childId: childId,
+      childName: childName,
+      status: status,
+      note: note || null,
+      location: location,
+      acknowledgedBy: null,
+      acknowledgedAt: null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    const recipientIds = await filterRecipients(familyParentIds(familyData), {
+      type: "check_in",
+      childId: childId,
+    });
+
+    let notifiedParents = 0;
+    if (recipientIds.length > 0) {
+      const body = note ||
+        (location && location.address ?
+          `Near ${location.address}` :
+          "Tap to see location");
+
+      const report = await notifyUsers(recipientIds, {
+        type: "check_in",
+        title: `${childName} ${CHECK_IN_STATUSES[status].text}`,
+        body: body,
+        familyId: familyId,
+        childId: childId,
+      }, {
+        data: {
+          type: "check_in",
+          checkInId: checkInRef.id,
+          childId: childId,
+          status: status,
+        },
+      });
+      notifiedParents = report.recipients;
+    }
+
+    logger.info(`Check-in ${status} sent by child ${childId}`, {
+      checkInId: checkInRef.id,
+      familyId: familyId,
+      notifiedParents: notifiedParents,
+    });
+
+    return {
+      success: true,
+      checkInId: checkInRef.id,
+      notifiedParents: notifiedParents,
+    };
+  } catch (error) {
+    logger.error("Error sending check-in:", error);
+    throw new Error(`Failed to send check-in: ${error.message}`);
+  }
+});
+
+/**
+ * Callable Cloud Function for a parent to acknowledge a child's check-in
+ * Parent calls this with {checkInId}; the child is notified
+ */
+exports.acknowledgeCheckIn = onCall(async (request) => {
+  try {
+    if (!request.auth) {
+      throw new Error("You must be logged in to acknowledge a check-in.");
+    }
+
+    const {checkInId} = request.data || {};
+    const parentId = request.auth.uid;
+
+    if (!checkInId) {
+      throw new Error("checkInId is required");
+    }
+
+    const checkInRef = admin.firestore()
+        .collection("check_ins")
+        .doc(checkInId);
+    const checkInDoc = await checkInRef.get();
+
+    if (!checkInDoc.exists) {
+      throw new Error("Check-in not found");
+    }
+
+    const checkIn = checkInDoc.data();
+    const familyDoc = await admin.firestore()
+        .collection("families")
+        .doc(checkIn.familyId)
+        .get();
+
+    if (!familyDoc.exists) {
+      throw new Error("Family not found");
+    }
+
+    const memberData = (familyDoc.data().members || {})[parentId];
+
+    if (!memberData || memberData.role !== "parent") {
+      throw new Error("Only parents in the family can acknowledge check-ins");
+    }
+
+    const acknowledged = await admin.firestore().runTransaction(async (tx) => {
+      const current = await tx.get(checkInRef);
+      if (current.data().acknowledgedBy) {
+        return false;
+      }
+      tx.update(checkInRef, {
+        acknowledgedBy: parentId,
+        acknowledgedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return true;
+    });
+
+    if (!acknowledged) {
+      return {
+        success: true,
+        alreadyAcknowledged: true,
+      };
+    }
+
+    const parentName = memberData.name || "A parent";
+    const statusInfo = CHECK_IN_STATUSES[checkIn.status];
+    const report = await notifyUsers([checkIn.childId], {
+      type: "check_in_acknowledged",
+      title: `${parentName} saw your check-in`,
+      body: statusInfo ? `"${statusInfo.label}"` : "Check-in received",
+      familyId: checkIn.familyId,
+      childId: checkIn.childId,
+    }, {
+      data: {
+        type: "check_in_acknowledged",
+        checkInId: checkInId,
+        acknowledgedBy: parentId,
+      },
+    });
+
+    logger.info(`Check-in ${checkInId} acknowledged by parent ${parentId}`, {
+      successCount: report.successCount,
+      failureCount: report.failureCount,
+    });
+
+    return {
+      success: true,
+      alreadyAcknowledged: false,
+    };
+  } catch (error) {
+    logger.error("Error acknowledging check-in:", error);
+    throw new Error(`Failed to acknowledge check-in: ${error.message}`);
+  }
+});
+
+// Shortest gap between two location refresh requests for the same child
+const LOCATION_REFRESH_MIN_INTERVAL_MS = 60 * 1000;
+
+// How long the child's device has to answer a location refresh request
+const LOCATION_REFRESH_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Callable Cloud Function for a parent to ask a child's device for a fresh
+ * location right away
+ * Parent calls this with {childId, familyId}; the request is recorded in
+ * location_refresh_requests and marked fulfilled or timed_out
+ */
+exports.requestLocationRefresh = onCall(async (request) => {
+  try {
+    if (!request.auth) {
+      throw new Error("You must be logged in to request a location.");
+    }
+
+    const {childId, familyId} = request.data || {};
+    const parentId = request.auth.uid;
+
+    if (!childId || !familyId) {
+      throw new Error("childId and familyId are required");
+    }
+
+    // Verify the user is a parent in this family
+    const familyDoc = await admin.firestore()
+        .collection("families")
+        .doc(familyId)
+        .get();
+
+    if (!familyDoc.exists) {
+      throw new Error("Family not found");
+    }
+
+    const familyData = familyDoc.data();
+    const memberData = familyData.members[parentId];
+
+    if (!memberData || memberData.role !== "parent") {
+      throw new Error("Only parents can request a child's location");
+    }
+
+    requireEntitlement(familyData, "location requests");
+
+    // Check if the child exists in the family
+    const childData = familyData.members[childId];
+    if (!childData || childData.role !== "child") {
+      throw new Error("Child not found in family");
+    }
+
+    const stateRef = admin.firestore()
+        .collection("location_refresh_state")
+        .doc(childId);
+    const requestRef = admin.firestore()
+        .collection("location_refresh_requests")
+        .doc();
+
+    const now = Date.now();
+    await admin.firestore().runTransaction(async (tx) => {
+      const stateDoc = await tx.get(stateRef);
+      const lastRequestedMillis = stateDoc.exists ?
+        toMillis(stateDoc.data().lastRequestedAt) :
+        null;
+
+      if (lastRequestedMillis !== null &&
+          now - lastRequestedMillis < LOCATION_REFRESH_MIN_INTERVAL_MS) {
+        const waitSeconds = Math.ceil((LOCATION_REFRESH_MIN_INTERVAL_MS -
+          (now - lastRequestedMillis)) / 1000);
+        throw new Error(`A location was requested recently, ` +
+          `try again in ${waitSeconds} seconds`);
+      }
+
+      tx.set(requestRef, {
+        familyId: familyId,
+        childId: childId,
+        requestedBy: parentId,
+        requestedAt: admin.firestore.Timestamp.fromMillis(now),
+        timeoutAt: admin.firestore.Timestamp.fromMillis(
+            now + LOCATION_REFRESH_TIMEOUT_MS),
+        status: "pending",
+        respondedAt: null,
+        responseSeconds: null,
+      });
+      tx.set(stateRef, {
+        familyId: familyId,
+        lastRequestedAt: admin.firestore.Timestamp.fromMillis(now),
+        pendingRequestId: requestRef.id,
+      });
+    });
+
+    // Data-only so the app can fetch a location in the background. APNs
+    // rejects priority 10 for background pushes, so iOS gets 5
+    const report = await sendToUsers([childId], {
+      data: {
+        type: "location_refresh",
+        requestId: requestRef.id,
+        requestedBy: parentId,
+      },
+      android: {
+        priority: "high",
+      },
+      apns: {
+        headers: {
+          "apns-priority": "5",
+          "apns-push-type": "background",
+        },
+        payload: {
+          aps: {
+            "content-available": 1,
+          },
+        },
+      },
+    });
+
+    await requestRef.update({
+      delivery: {
+        attempted: report.attempted,
+        successCount: report.successCount,
+        failureCount: report.failureCount,
+      },
+    });
+
+    logger.info(`Location refresh requested for child ${childId}`, {
+      requestId: requestRef.id,
+      familyId: familyId,
+      requestedBy: parentId,
+      successCount: report.successCount,
+    });
+
+    return {
+      success: true,
+      requestId: requestRef.id,
+      devicesReached: report.successCount,
+      timeoutSeconds: LOCATION_REFRESH_TIMEOUT_MS / 1000,
+    };
+  } catch (error) {
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    logger.error("Error requesting location refresh:", error);
+    throw new Error(`Failed to request location: ${error.message}`);
+  }
+});
+
+// Longest window getLocationHistory returns, matching the app's history view
+const MAX_HISTORY_HOURS = 24;
+
+/**
+ * Callable Cloud Function to read a child's recent location history
+ * Parent (or the child) calls this with {childId, hours}; points from the
+ * last `hours` hours are returned oldest first
+ */
+exports.getLocationHistory = onCall(async (request) => {
+  try {
+    if (!request.auth) {
+      throw new Error("You must be logged in to view location history.");
+    }
+
+    const {childId, hours = 6} = request.data || {};
+    const callerId = request.auth.uid;
+
+    if (!childId) {
+      throw new Error("childId is required");
+    }
+    if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_HISTORY_HOURS) {
+      throw new Error(`hours must be a positive number of at most ` +
+        `${MAX_HISTORY_HOURS}`);
+    }
+
+    const childUserDoc = await admin.firestore()
+        .collection("users")
+        .doc(childId)
+        .get();
+    const familyId = childUserDoc.exists ?
+      childUserDoc.data().familyId :
+      null;
+
+    if (!familyId) {
+      throw new Error("Child is not in a family");
+    }
+
+    const familyDoc = await admin.firestore()
+        .collection("families")
+        .doc(familyId)
+        .get();
+
+    if (!familyDoc.exists) {
+      throw new Error("Family not found");
+    }
+
+    const familyData = familyDoc.data();
+    const members = familyData.members || {};
+    const callerData = members[callerId];
+
+    if (!members[childId] || members[childId].role !== "child") {
+      throw new Error("Child not found in family");
+    }
+    if (callerId !== childId &&
+        (!callerData || callerData.role !== "parent")) {
+      throw new Error("Only parents can view a child's location history");
+    }
+
+    requireEntitlement(familyData, "location history");
+
+    const snapshot = await admin.firestore()
+        .collection("location_history")
+        .where("childId", "==", childId)
+        .where("timestamp", ">", admin.firestore.Timestamp.fromMillis(
+            Date.now() - hours * 60 * 60 * 1000))
+        .orderBy("timestamp")
+        .get();
+
+    const points = [];
+    snapshot.docs.forEach((doc) => {
+      const data = doc.data();
+      const timestamp = toMillis(data.timestamp);
+      if (timestamp !== null && isValidCoordinate(data.lat, data.lng)) {
+        points.push({
+          id: doc.id,
+          lat: data.lat,
+          lng: data.lng,
+          accuracy: Number.isFinite(data.accuracy) ? data.accuracy : null,
+          address: data.address || null,
+          batteryLevel: Number.isFinite(data.batteryLevel) ?
+            data.batteryLevel :
+            null,
+          isMoving: data.isMoving === true,
+          timestamp: new Date(timestamp).toISOString(),
+        });
+      }
+    });
+
+    return {
+      success: true,
+      childId: childId,
+      familyId: familyId,
+      points: points,
+    };
+  } catch (error) {
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    logger.error("Error getting location history:", error);
+    throw new Error(`Failed to get location history: ${error.message}`);
+  }
+});
+
+// A stored timeline for the current day is rebuilt once it is this old
+const TIMELINE_MAX_AGE_MS = 30 * 60 * 1000;
+
+/**
+ * Callable Cloud Function to read a child's stays and trips for one day
+ * Parent (or the child) calls this with {childId, date}; date is
+ * "YYYY-MM-DD" in the family's timezone and defaults to today
+ */
+exports.getChildTimeline = onCall(async (request) => {
+  try {
+    if (!request.auth) {
+      throw new Error("You must be logged in to view a timeline.");
+    }
+
+    const {childId} = request.data || {};
+    const callerId = request.auth.uid;
+
+    if (!childId) {
+      throw new Error("childId is required");
+    }
+
+    const childUserDoc = await admin.firestore()
+        .collection("users")
+        .doc(childId)
+        .get();
+    const familyId = childUserDoc.exists ?
+      childUserDoc.data().familyId :
+      null;
+
+    if (!familyId) {
+      throw new Error("Child is not in a family");
+    }
+
+    const familyDoc = await admin.firestore()
+        .collection("families")
+        .doc(familyId)
+        .get();
+
+    if (!familyDoc.exists) {
+      throw new Error("Family not found");
+    }
+
+    const familyData = familyDoc.data();
+    const members = familyData.members || {};
+    const callerData = members[callerId];
+
+    if (!members[childId] || members[childId].role !== "child") {
+      throw new Error("Child not found in family");
+    }
+    if (callerId !== childId &&
+        (!callerData || callerData.role !== "parent")) {
+      throw new Error("Only parents can view a child's timeline");
+    }
+
+    requireEntitlement(familyData, "location history");
+
+    const timeZone = familyTimeZone(familyData);
+    const date = request.data.date || localDateString(new Date(), timeZone);
+    const range = localDayRange(date, timeZone);
+
+    const timelineDoc = await admin.firestore()
+        .collection("child_timelines")
+        .doc(`${childId}_${date}`)
+        .get();
+
+    let timeline = timelineDoc.exists ? timelineDoc.data() : null;
+    const builtAt = timeline ? toMillis(timeline.builtAt) : null;
+    if (!timeline || (!timeline.complete &&
+        (builtAt === null || Date.now() - builtAt > TIMELINE_MAX_AGE_MS))) {
+      timeline = await buildChildTimeline(childId, familyId, date, timeZone);
+    }
+
+    return {
+      success: true,
+      childId: childId,
+      date: date,
+      timeZone: timeZone,
+      startAt: new Date(range.start).toISOString(),
+      endAt: new Date(range.end).toISOString(),
+      complete: timeline.complete,
+      totalDistanceMeters: timeline.totalDistanceMeters,
+      segments: timeline.segments.map((segment) => ({
+        ...segment,
+        startAt: toISOString(segment.startAt),
+        endAt: toISOString(segment.endAt),
+      })),
+    };
+  } catch (error) {
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    logger.error("Error getting child timeline:", error);
+    throw new Error(`Failed to get timeline: ${error.message}`);
+  }
+});
+
+/**
+ * Helper function to build and store a child's timeline for one local day
+ * @param {string} childId Child user ID
+ * @param {string} familyId Family ID
+ * @param {string} date Calendar date in "YYYY-MM-DD" format
+ * @param {string} timeZone Family timezone
+ * @return {Promise<Object>} The stored timeline document data
+ */
+async function buildChildTimeline(childId, familyId, date, timeZone) {
+  const range = localDayRange(date, timeZone);
+
+  const snapshot = await admin.firestore()
+      .collection("location_history")
+      .where("childId", "==", childId)
+      .where("timestamp", ">=", admin.firestore.Timestamp.fromMillis(
+          range.start))
+      .where("timestamp", "<", admin.firestore.Timestamp.fromMillis(
+          range.end))
+      .orderBy("timestamp")
+      .get();
+
+  const points = [];
+  snapshot.docs.forEach((doc) => {
+    const data = doc.data();
+    const timestamp = toMillis(data.timestamp);
+    if (timestamp !== null && isValidCoordinate(data.lat, data.lng)) {
+      points.push({
+        lat: data.lat,
+        lng: data.lng,
+        accuracy: Number.isFinite(data.accuracy) ? data.accuracy : null,
+        address: data.address || null,
+        timestamp: timestamp,
+      });
+    }
+  });
+
+  const segments = segmentPoints(points).map((segment) => ({
+    ...segment,
+    startAt: admin.firestore.Timestamp.fromMillis(segment.startAt),
+    endAt: admin.firestore.Timestamp.fromMillis(segment.endAt),
+  }));
+
+  const timeline = {
+    familyId: familyId,
+    childId: childId,
+    date: date,
+    timeZone: timeZone,
+    segments: segments,
+    stayCount: segments.filter((segment) => segment.type === "stay").length,
+    tripCount: segments.filter((segment) => segment.type === "trip").length,
+    totalDistanceMeters: segments
+        .filter((segment) => segment.type === "trip")
+        .reduce((sum, segment) => sum + segment.distanceMeters, 0),
+    pointCount: points.length,
+    complete: Date.now() >= range.end,
+    builtAt: admin.firestore.Timestamp.now(),
+  };
+
+  await admin.firestore()
+      .collection("child_timelines")
+      .doc(`${childId}_${date}`)
+      .set(timeline);
+
+  return timeline;
+}
+
+// Longest time range a single export may cover
+const MAX_EXPORT_RANGE_MS = 31 * 24 * 60 * 60 * 1000;
+
+// Exports up to this size are returned inline, larger ones as a signed URL
+const INLINE_EXPORT_MAX_BYTES = 1024 * 1024;
+
+// How long a signed export download link stays valid
+const EXPORT_URL_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Callable Cloud Function to export a child's location history
+ * Parent calls this with {childId, startAt, endAt, format}; startAt/endAt are
+ * ISO 8601 strings and format is gpx, geojson or csv. Geofence events in the
+ * range are included as waypoints
+ */
+exports.exportLocationHistory = onCall(async (request) => {
+  try {
+    if (!request.auth) {
+      throw new Error("You must be logged in to export location history.");
+    }
+
+    const {childId, startAt, endAt, format} = request.data || {};
+    const parentId = request.auth.uid;
+
+    if (!childId) {
+      throw new Error("childId is required");
+    }
+    if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+      throw new Error(`format must be one of: ` +
+        Object.keys(EXPORT_FORMATS).join(", "));
+    }
+
+    const startMillis = Date.parse(startAt);
+    const endMillis = Date.parse(endAt);
+    if (!Number.isFinite(startMillis) || !Number.isFinite(endMillis) ||
+        startMillis >= endMillis) {
+      throw new Error("startAt and endAt must be ISO dates with " +
+        "startAt before endAt");
+    }
+    if (endMillis - startMillis > MAX_EXPORT_RANGE_MS) {
+      throw new Error("An export can cover at most 31 days");
+    }
+
+    const childUserDoc = await admin.firestore()
+        .collection("users")
+        .doc(childId)
+        .get();
+    const familyId = childUserDoc.exists ?
+      childUserDoc.data().familyId :
+      null;
+
+    if (!familyId) {
+      throw new Error("Child is not in a family");
+    }
+
+    const familyDoc = await admin.firestore()
+        .collection("families")
+        .doc(familyId)
+        .get();
+
+    if (!familyDoc.exists) {
+      throw new Error("Family not found");
+    }
+
+    const members = familyDoc.data().members || {};
+    const memberData = members[parentId];
+
+    if (!memberData || memberData.role !== "parent") {
+      throw new Error("Only parents can export a child's location history");
+    }
+    if (!members[childId] || members[childId].role !== "child") {
+      throw new Error("Child not found in family");
+    }
+
+    requireEntitlement(familyDoc.data(), "location history");
+
+    const startTimestamp = admin.firestore.Timestamp.fromMillis(startMillis);
+    const endTimestamp = admin.firestore.Timestamp.fromMillis(endMillis);
+
+    const historySnapshot = await admin.firestore()
+        .collection("location_history")
+        .where("childId", "==", childId)
+        .where("timestamp", ">=", startTimestamp)
+        .where("timestamp", "<", endTimestamp)
+        .orderBy("timestamp")
+        .get();
+
+    const points = [];
+    historySnapshot.docs.forEach((doc) => {
+      const data = doc.data();
+      const timestamp = toMillis(data.timestamp);
+      if (timestamp !== null && isValidCoordinate(data.lat, data.lng)) {
+        points.push({
+          lat: data.lat,
+          lng: data.lng,
+          timestamp: timestamp,
+          accuracy: Number.isFinite(data.accuracy) ? data.accuracy : null,
+          address: data.address || null,
+          batteryLevel: Number.isFinite(data.batteryLevel) ?
+            data.batteryLevel :
+            null,
+        });
+      }
+    });
+
+    const eventsSnapshot = await admin.firestore()
+        .collection("geofence_events")
+        .where("childId", "==", childId)
+        .where("timestamp", ">=", startTimestamp)
+        .where("timestamp", "<", endTimestamp)
+        .orderBy("timestamp", "desc")
+        .get();
+
+    const waypoints = [];
+    eventsSnapshot.docs.slice().reverse().forEach((doc) => {
+      const data = doc.data();
+      const location = data.location || {};
+      const timestamp = toMillis(data.timestamp);
+      if (data.duplicateOfServerEvent || timestamp === null ||
+          !isValidCoordinate(location.lat, location.lng)) {
+        return;
+      }
+      const action = data.eventType === "enter" ? "Arrived at" : "Left";
+      waypoints.push({
+        lat: location.lat,
+        lng: location.lng,
+        timestamp: timestamp,
+        accuracy: Number.isFinite(location.accuracy) ?
+          location.accuracy :
+          null,
+        address: location.address || null,
+        name: `${action} ${data.geofenceName || "a geofence"}`,
+        eventType: data.eventType,
+      });
+    });
+
+    const childName = members[childId].name || "Child";
+    const {extension, contentType} = EXPORT_FORMATS[format];
+    const fileName = `${childName.replace(/[^A-Za-z0-9_-]+/g, "_")}_` +
+      `${new Date(startMillis).toISOString().substring(0, 10)}.${extension}`;
+    const content = renderExport(format, {
+      name: `${childName} ${new Date(startMillis).toISOString()} - ` +
+        `${new Date(endMillis).toISOString()}`,
+      points: points,
+      waypoints: waypoints,
+    });
+
+    logger.info(`Location history exported for child ${childId}`, {
+      familyId: familyId,
+      exportedBy: parentId,
+      format: format,
+      pointCount: points.length,
+      waypointCount: waypoints.length,
+    });
+
+    const result = {
+      success: true,
+      fileName: fileName,
+      contentType: contentType,
+      pointCount: points.length,
+      waypointCount: waypoints.length,
+    };
+
+    if (Buffer.byteLength(content, "utf8") <= INLINE_EXPORT_MAX_BYTES) {
+      return {...result, content: content};
+    }
+
+    const file = admin.storage()
+        .bucket()
+        .file(`exports/${familyId}/${childId}/${uuidv4()}/${fileName}`);
+    await file.save(content, {
+      contentType: contentType,
+      metadata: {metadata: {exportedBy: parentId}},
+    });
+    const [url] = await file.getSignedUrl({
+      action: "read",
+      expires: Date.now() + EXPORT_URL_TTL_MS,
+    });
+
+    return {
+      ...result,
+      downloadUrl: url,
+      expiresAt: new Date(Date.now() + EXPORT_URL_TTL_MS).toISOString(),
+    };
+  } catch (error) {
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    logger.error("Error exporting location history:", error);
+    throw new Error(`Failed to export location history: ${error.message}`);
+  }
+});
+
+/**
+ * Scheduled Cloud Function to delete location history export files
+ * Runs every hour and removes files under exports/ whose download link has
+ * expired, so the history doesn't outlive the family's retention in Storage
+ */
+exports.cleanupLocationExports = onSchedule("every 1 hours", async (event) => {
+  try {
+    const bucket = admin.storage().bucket();
+    const cutoff = Date.now() - EXPORT_URL_TTL_MS;
+    let pageToken = null;
+    let deletedCount = 0;
+
+    do {
+      const [files, nextQuery] = await bucket.getFiles({
+        prefix: "exports/",
+        maxResults: 500,
+        autoPaginate: false,
+        pageToken: pageToken || undefined,
+      });
+
+      const expired = files.filter((file) =>
+        Date.parse(file.metadata.timeCreated) <= cutoff);
+      await Promise.all(expired.map((file) =>
+        file.delete({ignoreNotFound: true})));
+      deletedCount += expired.length;
+
+      pageToken = nextQuery ? nextQuery.pageToken : null;
+    } while (pageToken);
+
+    if (deletedCount > 0) {
+      logger.info(`Deleted ${deletedCount} expired location exports`);
+    }
+  } catch (error) {
+    logger.error("Error cleaning up location exports:", error);
+    throw error;
+  }
+});
+
+/**
+ * Callable Cloud Function for a parent to turn a geofence suggestion into a
+ * geofence
+ * Parent calls this with {suggestionId, name, radius}; name and radius
+ * default to the suggested values
+ */
+exports.acceptGeofenceSuggestion = onCall(async (request) => {
+  try {
+    if (!request.auth) {
+      throw new Error("You must be logged in to accept a suggestion.");
+    }
+
+    const {suggestionId, name, radius} = request.data || {};
+    const parentId = request.auth.uid;
+
+    if (!suggestionId) {
+      throw new Error("suggestionId is required");
+    }
+    if (name !== undefined && name !== null &&
+        (typeof name !== "string" || name.trim().length === 0)) {
+      throw new Error("name must be a non-empty string");
+    }
+    if (radius !== undefined && radius !== null &&
+        (!Number.isFinite(radius) ||
+          radius < MIN_SUGGESTED_RADIUS_METERS ||
+          radius > MAX_SUGGESTED_RADIUS_METERS * 2)) {
+      throw new Error(`radius must be between ${MIN_SUGGESTED_RADIUS_METERS} ` +
+        `and ${MAX_SUGGESTED_RADIUS_METERS * 2} meters`);
+    }
+
+    const suggestionRef = admin.firestore()
+        .collection("geofence_suggestions")
+        .doc(suggestionId);
+    const suggestionDoc = await suggestionRef.get();
+
+    if (!suggestionDoc.exists) {
+      throw new Error("Suggestion not found");
+    }
+
+    const suggestion = suggestionDoc.data();
+    const familyDoc = await admin.firestore()
+        .collection("families")
+        .doc(suggestion.familyId)
+        .get();
+
+    if (!familyDoc.exists) {
+      throw new Error("Family not found");
+    }
+
+    const memberData = (familyDoc.data().members || {})[parentId];
+
+    if (!memberData || memberData.role !== "parent") {
+      throw new Error("Only parents can accept geofence suggestions");
+    }
+
+    requireEntitlement(familyDoc.data(), "geofences");
+
+    const geofenceId = uuidv4();
+    const geofenceRef = admin.firestore()
+        .collection("geofences")
+        .doc(geofenceId);
+
+    await admin.firestore().runTransaction(async (tx) => {
+      const current = await tx.get(suggestionRef);
+      if (current.data().status !== "pending") {
+        throw new Error("Suggestion has already been handled");
+      }
+      await checkGeofenceLimit(tx, suggestion.familyId);
+
+      tx.set(geofenceRef, {
+        id: geofenceId,
+        familyId: suggestion.familyId,
+        name: name ? name.trim() : suggestion.suggestedName,
+        latitude: suggestion.center.lat,
+        longitude: suggestion.center.lng,
+        radius: radius || suggestion.radiusMeters,
+        isActive: true,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        createdBy: parentId,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedBy: parentId,
+        notifyOnEnter: true,
+        notifyOnExit: true,
+        suggestionId: suggestionId,
+      });
+      recordGeofenceAudit(tx, {
+        geofenceId: geofenceId,
+        familyId: suggestion.familyId,
+        action: "created",
+        actorId: parentId,
+        fields: ["name", "type"],
+        suggestionId: suggestionId,
+      });
+      tx.update(suggestionRef, {
+        status: "accepted",
+        geofenceId: geofenceId,
+        handledBy: parentId,
+        handledAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+
+    logger.info(`Geofence suggestion ${suggestionId} accepted`, {
+      familyId: suggestion.familyId,
+      geofenceId: geofenceId,
+      acceptedBy: parentId,
+    });
+
+    return {
+      success: true,
+      geofenceId: geofenceId,
+    };
+  } catch (error) {
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    logger.error("Error accepting geofence suggestion:", error);
+    throw new Error(`Failed to accept suggestion: ${error.message}`);
+  }
+});
+
+/**
+ * Callable Cloud Function for a parent to dismiss a geofence suggestion
+ * Parent calls this with {suggestionId}; the place is not suggested again
+ */
+exports.dismissGeofenceSuggestion = onCall(async (request) => {
+  try {
+    if (!request.auth) {
+      throw new Error("You must be logged in to dismiss a suggestion.");
+    }
+
+    const {suggestionId} = request.data || {};
+    const parentId = request.auth.uid;
+
+    if (!suggestionId) {
+      throw new Error("suggestionId is required");
+    }
+
+    const suggestionRef = admin.firestore()
+        .collection("geofence_suggestions")
+        .doc(suggestionId);
+    const suggestionDoc = await suggestionRef.get();
+
+    if (!suggestionDoc.exists) {
+      throw new Error("Suggestion not found");
+    }
+
+    const familyDoc = await admin.firestore()
+        .collection("families")
+        .doc(suggestionDoc.data().familyId)
+        .get();
+    const memberData = familyDoc.exists ?
+      (familyDoc.data().members || {})[parentId] :
+      null;
+
+    if (!memberData || memberData.role !== "parent") {
+      throw new Error("Only parents can dismiss geofence suggestions");
+    }
+
+    await suggestionRef.update({
+      status: "dismissed",
+      handledBy: parentId,
+      handledAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return {
+      success: true,
+    };
+  } catch (error) {
+    logger.error("Error dismissing geofence suggestion:", error);
+    throw new Error(`Failed to dismiss suggestion: ${error.message}`);
+  }
+});
+
+/**
+ * Helper function to generate a unique 6-character alphanumeric invite code
+ * @return {string} A unique invite code
+ */
+function generateInviteCode() {
+  const chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
+  let result = "";
+
+  // Generate 6-character code
+  for (let i = 0; i < 6; i++) {
+    result += chars.charAt(Math.floor(Math.random() * chars.length));
+  }
+
+  return result;
+}
+
+// Location history documents deleted per query page and batch
+const HISTORY_DELETE_PAGE_SIZE = 400;
+
+// Stop deleting after this long so the run finishes in time; the next run
+// resumes from the saved family cursor
+const HISTORY_CLEANUP_TIME_BUDGET_MS = 4 * 60 * 1000;
+
+/**
+ * Scheduled Cloud Function to clean up old location history
+ * Runs every hour and deletes each family's records older than its retention
+ * setting, a page at a time. Families are visited in ID order and the cursor
+ * is saved in maintenance_state so a run that hits its time budget resumes
+ * where it stopped. A family cut off mid-way is visited again; its oldest
+ * records are already gone, so the deletes pick up where they stopped.
+ * Retention follows the family's entitlement, so canceled subscriptions keep
+ * their setting until the paid period ends
+ */
+exports.cleanupLocationHistory = onSchedule({
+  schedule: "every 1 hours",
+  timeoutSeconds: 300,
+}, async (event) => {
+  try {
+    const startedAt = Date.now();
+    const stateRef = admin.firestore()
+        .collection("maintenance_state")
+        .doc("location_history_cleanup");
+    const stateDoc = await stateRef.get();
+    let familyCursor = stateDoc.exists ? stateDoc.data().familyCursor : null;
+
+    logger.info(`Starting location history cleanup`, {
+      resumeAfterFamily: familyCursor,
+    });
+
+    const pageSize = 100;
+    const deadlineMillis = startedAt + HISTORY_CLEANUP_TIME_BUDGET_MS;
+    let deletedCount = 0;
+    let timelinesDeleted = 0;
+    let familiesVisited = 0;
+    let familiesDone = false;
+    let finished = false;
+
+    const outOfTime = () => Date.now() >= deadlineMillis;
+
+    while (!familiesDone && !outOfTime()) {
+      let query = admin.firestore()
+          .collection("families")
+          .orderBy(admin.firestore.FieldPath.documentId())
+          .limit(pageSize);
+      if (familyCursor) {
+        query = query.startAfter(familyCursor);
+      }
+
+      const familiesSnapshot = await query.get();
+
+      let pageDone = true;
+      for (const familyDoc of familiesSnapshot.docs) {
+        if (outOfTime()) {
+          pageDone = false;
+          break;
+        }
+
+        const retentionDays = locationHistoryRetentionDays(familyDoc.data());
+        const cutoffMillis = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+        let result = await deleteLocationHistoryBefore(
+            admin.firestore()
+                .collection("location_history")
+                .where("familyId", "==", familyDoc.id),
+            cutoffMillis,
+            deadlineMillis,
+        );
+        deletedCount += result.deletedCount;
+        if (result.finished) {
+          // Timelines are built from the history, so they expire with it
+          result = await deleteChildTimelinesBefore(
+              admin.firestore()
+                  .collection("child_timelines")
+                  .where("familyId", "==", familyDoc.id),
+              localDateString(new Date(cutoffMillis),
+                  familyTimeZone(familyDoc.data())),
+              deadlineMillis,
+          );
+          timelinesDeleted += result.deletedCount;
+        }
+        familiesVisited++;
+        if (!result.finished) {
+          pageDone = false;
+          break;
+        }
+        familyCursor = familyDoc.id;
+      }
+
+      if (!pageDone) {
+        break;
+      }
+      familiesDone = familiesSnapshot.size < pageSize;
+    }
+
+    if (familiesDone && !outOfTime()) {
+      // Records without a current family are kept no longer than the
+      // longest retention option
+      const maxRetentionDays = Math.max(...RETENTION_DAYS_OPTIONS);
+      const cutoffMillis = Date.now() - maxRetentionDays * 24 * 60 * 60 * 1000;
+      let result = await deleteLocationHistoryBefore(
+          admin.firestore().collection("location_history"),
+          cutoffMillis,
+          deadlineMillis,
+      );
+      deletedCount += result.deletedCount;
+      if (result.finished) {
+        result = await deleteChildTimelinesBefore(
+            admin.firestore().collection("child_timelines"),
+            new Date(cutoffMillis).toISOString().slice(0, 10),
+            deadlineMillis,
+        );
+        timelinesDeleted += result.deletedCount;
+      }
+      finished = result.finished;
+      if (finished) {
+        familyCursor = null;
+      }
+    }
+
+    await stateRef.set({
+      familyCursor: familyCursor,
+      lastRunAt: admin.firestore.FieldValue.serverTimestamp(),
+      lastRunDeleted: deletedCount,
+      lastRunTimelinesDeleted: timelinesDeleted,
+      lastRunFinished: finished,
+    });
+
+    logger.info(
+        `Deleted ${deletedCount} old location history records and ` +
+        `${timelinesDeleted} timelines across ${familiesVisited} families`,
+        {finished: finished},
+    );
+  } catch (error) {
+    logger.error("Error cleaning up location history:", error);
+    throw error;
+  }
+});
+
+/**
+ * Helper function to delete location history older than a cutoff
+ * @param {FirebaseFirestore.Query} baseQuery Query scoping the records
+ * @param {number} cutoffMillis Records before this moment are deleted
+ * @param {number} deadlineMillis Stop starting new pages after this time
+ * @return {Promise<Object>} {deletedCount, finished}; finished is false when
+ *   the deadline passed with records possibly left
+ */
+async function deleteLocationHistoryBefore(baseQuery, cutoffMillis,
+    deadlineMillis) {
+  return deleteQueryInPages(
+      baseQuery
+          .where("timestamp", "<",
+              admin.firestore.Timestamp.fromMillis(cutoffMillis))
+          .orderBy("timestamp"),
+      deadlineMillis,
+  );
+}
+
+/**
+ * Helper function to delete child timelines for days before a date
+ * @param {FirebaseFirestore.Query} baseQuery Query scoping the timelines
+ * @param {string} cutoffDate Timelines dated before this YYYY-MM-DD day are
+ *   deleted
+ * @param {number} deadlineMillis Stop starting new pages after this time
+ * @return {Promise<Object>} {deletedCount, finished}
+ */
+async function deleteChildTimelinesBefore(baseQuery, cutoffDate,
+    deadlineMillis) {
+  return deleteQueryInPages(
+      baseQuery.where("date", "<", cutoffDate).orderBy("date"),
+      deadlineMillis,
+  );
+}
+
+/**
+ * Helper function to delete every document an ordered query matches, a page
+ * at a time with a query cursor, until the deadline passes
+ * @param {FirebaseFirestore.Query} orderedQuery Query with an orderBy
+ * @param {number} deadlineMillis Stop starting new pages after this time
+ * @return {Promise<Object>} {deletedCount, finished}
+ */
+async function deleteQueryInPages(orderedQuery, deadlineMillis) {
+  let lastDoc = null;
+  let deletedCount = 0;
 
-          logger.info(`Deleted pending child with UUID: ${existingChildId}`);
+  for (;;) {
+    if (Date.now() >= deadlineMillis) {
+      return {deletedCount: deletedCount, finished: false};
+    }
 
-          // Add the child with authenticated user ID and accepted status
-          await admin.firestore()
-              .collection("families")
-              .doc(invitationData.familyId)
-              .update({
-                [`members.${childId}`]: {
-                  role: "child",
-                  name: invitationData.childName,
-                  joinedAt: admin.firestore.FieldValue.serverTimestamp(),
-                  imageURL: null,
-                  imageBase64: null,
-                  hasImage: false,
-                  status: "accepted",
-                },
-              });
+    let query = orderedQuery.limit(HISTORY_DELETE_PAGE_SIZE);
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
+    }
 
-          logger.info(`Created accepted child with user ID: ${childId}`);
+    const snapshot = await query.get();
+    if (snapshot.empty) {
+      break;
+    }
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
 
-          // Update the child's user document with familyId and correct name
+    const batch = admin.firestore().batch();
+    snapshot.docs.forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+    deletedCount += snapshot.size;
+
+    if (snapshot.size < HISTORY_DELETE_PAGE_SIZE) {
+      break;
+    }
+  }
+
+  return {deletedCount: deletedCount, finished: true};
+}
+
+/**
+ * Scheduled Cloud Function to evaluate geofence schedule rules
+ * Runs every 5 minutes and alerts parents when a child hasn't arrived by an
+ * "arrive_by" time or is still inside after a "leave_by" time, using the
+ * family's timezone
+ */
+exports.evaluateGeofenceSchedules = onSchedule(
+    "every 5 minutes",
+    async (event) => {
+      try {
+        const snapshot = await admin.firestore()
+            .collection("geofences")
+            .where("isActive", "==", true)
+            .where("hasScheduleRules", "==", true)
+            .get();
+
+        const familyCache = {};
+        let alertCount = 0;
+
+        for (const geofenceDoc of snapshot.docs) {
           try {
-            await admin.firestore()
-                .collection("users")
-                .doc(childId)
-                .update({
-                  familyId: invitationData.familyId,
-                  name: invitationData.childName,
-                });
-            logger.info(`Successfully updated pending child user document: ${
-              invitationData.familyId} and name: ${invitationData.childName}`);
+            alertCount += await evaluateScheduleRulesForGeofence(
+                geofenceDoc,
+                familyCache,
+            );
           } catch (error) {
-            logger.error(`Failed to update pending child user document: ${
-              error.message}`);
-            throw error;
+            logger.error(`Error evaluating schedule rules for geofence ` +
+              `${geofenceDoc.id}:`, error);
           }
+        }
 
-          // Mark invitation as used
-          await admin.firestore()
-              .collection("invitations")
-              .doc(inviteCode)
-              .update({
-                usedBy: childId,
-                usedAt: admin.firestore.FieldValue.serverTimestamp(),
-              });
+        logger.info(`Evaluated schedule rules on ${snapshot.size} ` +
+          `geofences, sent ${alertCount} alerts`);
+      } catch (error) {
+        logger.error("Error evaluating geofence schedules:", error);
+        throw error;
+      }
+    },
+);
 
-          logger.info(`Invitation accepted for pending child: ${inviteCode}`, {
-            oldPendingChildId: existingChildId,
-            newAuthenticatedChildId: childId,
-            familyId: invitationData.familyId,
-            childName: invitationData.childName,
-            statusChanged: "pending → accepted",
-            idReplaced: "UUID → Authenticated User ID",
-            mapWillListenTo: childId,
-            childWillWriteTo: childId,
-          });
+/**
+ * Helper function to evaluate the due schedule rules of one geofence
+ * Each rule is checked at most once per child per local day
+ * @param {FirebaseFirestore.DocumentSnapshot} geofenceDoc Geofence document
+ * @param {Object} familyCache Family data already loaded in this run
+ * @return {Promise<number>} Number of alerts sent
+ */
+async function evaluateScheduleRulesForGeofence(geofenceDoc, familyCache) {
+  const geofence = geofenceDoc.data();
+  const familyId = geofence.familyId;
 
-          return {
-            success: true,
-            familyId: invitationData.familyId,
-            familyName: invitationData.familyName || "Your Family",
-            childName: invitationData.childName,
-            isExistingChild: true,
-            existingChildId: existingChildId,
-            newChildId: childId,
-            statusChanged: "pending → accepted",
-            idReplaced: "UUID → Authenticated User ID",
-          };
-        } else {
-          // This is an accepted child - use the old logic (delete and recreate)
-          logger.info(`Replacing accepted child: ${existingChildId}`, {
-            oldChildId: existingChildId,
-            newChildId: childId,
-            childName: invitationData.childName,
-          });
+  if (!(familyId in familyCache)) {
+    const familyDoc = await admin.firestore()
+        .collection("families")
+        .doc(familyId)
+        .get();
+    familyCache[familyId] = familyDoc.exists ? familyDoc.data() : null;
+  }
 
-          // Get existing child data before deletion to preserve all data
-          const existingChildData = existingChild[1];
+  const familyData = familyCache[familyId];
+  if (!familyData || !checkEntitlement(familyData).entitled) {
+    return 0;
+  }
 
-          // Remove the old child from the family (since we're replacing them)
-          await admin.firestore()
-              .collection("families")
-              .doc(invitationData.familyId)
-              .update({
-                [`members.${existingChildId}`]:
-                  admin.firestore.FieldValue.delete(),
-              });
+  const timeZone = familyTimeZone(familyData);
+  const now = new Date();
+  const minutesNow = minutesInTimeZone(now, timeZone);
+  const weekday = localWeekday(now, timeZone);
+  const today = localDateString(now, timeZone);
 
-          // Add new child to family with preserved data
-          // (using new authenticated user ID)
-          await admin.firestore()
-              .collection("families")
-              .doc(invitationData.familyId)
-              .update({
-                [`members.${childId}`]: {
-                  ...existingChildData, // Preserve ALL existing data
-                  role: "child",
-                  name: invitationData.childName,
-                  joinedAt: admin.firestore.FieldValue.serverTimestamp(),
-                  status: "accepted",
-                },
-              });
+  const dueRules = (geofence.scheduleRules || [])
+      .filter((rule) => isRuleDue(rule, weekday, minutesNow));
+  if (dueRules.length === 0) {
+    return 0;
+  }
+
+  // Timezone offsets are whole minutes, so local and UTC seconds agree
+  const startOfDay = now.getTime() - minutesNow * 60 * 1000 -
+    now.getUTCSeconds() * 1000 - now.getUTCMilliseconds();
+  const childIds = familyChildIds(familyData)
+      .filter((childId) => geofenceAppliesToChild(geofence, childId));
+  let alertCount = 0;
+
+  for (const rule of dueRules) {
+    const targets = rule.childIds ?
+      childIds.filter((childId) => rule.childIds.includes(childId)) :
+      childIds;
+
+    for (const childId of targets) {
+      const checkRef = admin.firestore()
+          .collection("geofence_rule_checks")
+          .doc(`${geofenceDoc.id}_${rule.id}_${childId}_${today}`);
+
+      const existingCheck = await checkRef.get();
+      if (existingCheck.exists) {
+        continue;
+      }
+
+      const result = await checkScheduleRule(
+          rule,
+          childId,
+          geofenceDoc.id,
+          geofence,
+          startOfDay,
+      );
+
+      try {
+        // create() fails if an overlapping run already recorded this check
+        await checkRef.create({
+          familyId: familyId,
+          geofenceId: geofenceDoc.id,
+          ruleId: rule.id,
+          ruleType: rule.type,
+          ruleTime: rule.time,
+          childId: childId,
+          date: today,
+          violated: result.violated,
+          insideNow: result.insideNow,
+          checkedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      } catch (error) {
+        if (error.code === 6) { // ALREADY_EXISTS
+          continue;
+        }
+        throw error;
+      }
+
+      if (result.violated) {
+        await sendScheduleRuleAlert(
+            rule,
+            childId,
+            geofenceDoc.id,
+            geofence,
+            familyData,
+        );
+        alertCount++;
+      }
+    }
+  }
+
+  return alertCount;
+}
+
+/**
+ * Helper function to check one schedule rule for one child
+ * @param {Object} rule Schedule rule
+ * @param {string} childId Child user ID
+ * @param {string} geofenceId Geofence document ID
+ * @param {Object} geofence Geofence document data
+ * @param {number} startOfDay Millis at the start of the family's local day
+ * @return {Promise<{violated: boolean, insideNow: (boolean|null)}>} Result
+ */
+async function checkScheduleRule(
+    rule,
+    childId,
+    geofenceId,
+    geofence,
+    startOfDay,
+) {
+  const locationDoc = await admin.firestore()
+      .collection("locations")
+      .doc(childId)
+      .get();
+
+  let insideNow = null;
+  if (locationDoc.exists) {
+    const {lat, lng} = locationDoc.data();
+    if (isValidCoordinate(lat, lng)) {
+      insideNow = isPointInGeofence({lat, lng}, geofence);
+    }
+  }
+
+  const eventsSnapshot = await admin.firestore()
+      .collection("geofence_events")
+      .where("childId", "==", childId)
+      .where("timestamp", ">=",
+          admin.firestore.Timestamp.fromMillis(startOfDay))
+      .orderBy("timestamp", "desc")
+      .get();
+
+  const todaysEvents = eventsSnapshot.docs
+      .map((doc) => doc.data())
+      .filter((data) => data.geofenceId === geofenceId &&
+        !data.duplicateOfServerEvent);
+
+  if (rule.type === "arrive_by") {
+    const enteredToday = todaysEvents
+        .some((data) => data.eventType === "enter");
+    return {violated: !enteredToday && insideNow !== true, insideNow};
+  }
+
+  // leave_by: fall back to the latest event when there is no location
+  if (insideNow === null && todaysEvents.length > 0) {
+    return {violated: todaysEvents[0].eventType === "enter", insideNow};
+  }
+  return {violated: insideNow === true, insideNow};
+}
+
+/**
+ * Helper function to notify parents that a schedule rule was broken
+ * @param {Object} rule Schedule rule
+ * @param {string} childId Child user ID
+ * @param {string} geofenceId Geofence document ID
+ * @param {Object} geofence Geofence document data
+ * @param {Object} familyData Family document data
+ */
+async function sendScheduleRuleAlert(
+    rule,
+    childId,
+    geofenceId,
+    geofence,
+    familyData,
+) {
+  const member = (familyData.members || {})[childId] || {};
+  const childName = member.name || "Your child";
+  const geofenceName = geofence.name || "a geofence";
+
+  const title = rule.type === "arrive_by" ?
+    `${childName} hasn't arrived at ${geofenceName}` :
+    `${childName} is still at ${geofenceName}`;
+  const body = rule.type === "arrive_by" ?
+    `Expected by ${rule.time}` :
+    `Expected to leave by ${rule.time}`;
+
+  const recipientIds = await filterRecipients(familyParentIds(familyData), {
+    type: "geofence_schedule",
+    childId: childId,
+    geofenceId: geofenceId,
+  });
+
+  if (recipientIds.length === 0) {
+    return;
+  }
+
+  const report = await notifyUsers(recipientIds, {
+    type: "geofence_schedule",
+    title: title,
+    body: body,
+    familyId: geofence.familyId,
+    childId: childId,
+    geofenceId: geofenceId,
+  }, {
+    data: {
+      type: "geofence_schedule",
+      ruleId: rule.id,
+      ruleType: rule.type,
+      ruleTime: rule.time,
+      childId: childId,
+      geofenceId: geofenceId,
+    },
+  });
+
+  logger.info(`Schedule rule alert sent for child ${childId}`, {
+    geofenceId: geofenceId,
+    ruleId: rule.id,
+    ruleType: rule.type,
+    successCount: report.successCount,
+    failureCount: report.failureCount,
+  });
+}
+
+/**
+ * Scheduled Cloud Function to watch for children whose location stopped
+ * updating (phone died, location turned off, app killed)
+ * Runs every 10 minutes, alerts parents once when a child goes stale and once
+ * when updates resume, and records each gap in location_gaps
+ */
+exports.checkStaleLocations = onSchedule("every 10 minutes", async (event) => {
+  try {
+    const pageSize = 100;
+    let lastDoc = null;
+    let checkedCount = 0;
+    let alertCount = 0;
+
+    for (;;) {
+      let query = admin.firestore()
+          .collection("families")
+          .orderBy(admin.firestore.FieldPath.documentId())
+          .limit(pageSize);
+      if (lastDoc) {
+        query = query.startAfter(lastDoc);
+      }
+
+      const familiesSnapshot = await query.get();
+      if (familiesSnapshot.empty) {
+        break;
+      }
+      lastDoc = familiesSnapshot.docs[familiesSnapshot.docs.length - 1];
+
+      for (const familyDoc of familiesSnapshot.docs) {
+        try {
+          const result = await checkFamilyLocationFreshness(familyDoc);
+          checkedCount += result.checked;
+          alertCount += result.alerts;
+        } catch (error) {
+          logger.error(`Error checking locations for family ` +
+            `${familyDoc.id}:`, error);
+        }
+      }
+
+      if (familiesSnapshot.size < pageSize) {
+        break;
+      }
+    }
+
+    logger.info(`Checked ${checkedCount} child locations, ` +
+      `sent ${alertCount} stale/resumed alerts`);
+  } catch (error) {
+    logger.error("Error checking stale locations:", error);
+    throw error;
+  }
+});
+
+/**
+ * Helper function to check every accepted child of one family for stale
+ * locations
+ * @param {FirebaseFirestore.DocumentSnapshot} familyDoc Family document
+ * @return {Promise<{checked: number, alerts: number}>} Counts for logging
+ */
+async function checkFamilyLocationFreshness(familyDoc) {
+  const familyData = familyDoc.data();
+  const settings = getFamilySettings(familyData).staleLocation;
+  const childIds = familyChildIds(familyData);
+
+  if (!settings.enabled || childIds.length === 0) {
+    return {checked: 0, alerts: 0};
+  }
+
+  const locationDocs = await admin.firestore().getAll(
+      ...childIds.map((childId) =>
+        admin.firestore().collection("locations").doc(childId)),
+  );
+
+  let checked = 0;
+  let alerts = 0;
+
+  for (const locationDoc of locationDocs) {
+    // Children who have never shared a location have nothing to go stale
+    if (!locationDoc.exists) {
+      continue;
+    }
+    checked++;
+
+    const transition = await updateLocationWatch(
+        familyDoc.id,
+        locationDoc.id,
+        locationDoc.data(),
+        settings.thresholdMinutes,
+    );
+
+    if (transition) {
+      await sendLocationWatchAlert(
+          familyDoc.id,
+          familyData,
+          locationDoc.id,
+          locationDoc.data(),
+          transition,
+      );
+      alerts++;
+    }
+  }
+
+  return {checked, alerts};
+}
+
+/**
+ * Helper function to move a child's location_watch state between fresh and
+ * stale and open or close the matching location_gaps document
+ * @param {string} familyId Family ID
+ * @param {string} childId Child user ID
+ * @param {Object} locationData Current locations/{childId} data
+ * @param {number} thresholdMinutes Minutes without updates before stale
+ * @return {Promise<Object|null>} The transition, or null if nothing changed
+ */
+async function updateLocationWatch(
+    familyId,
+    childId,
+    locationData,
+    thresholdMinutes,
+) {
+  const lastSeenMillis = toMillis(locationData.timestamp) ||
+    toMillis(locationData.lastUpdated);
+  if (lastSeenMillis === null) {
+    return null;
+  }
+
+  const isStale = Date.now() - lastSeenMillis > thresholdMinutes * 60 * 1000;
+  const watchRef = admin.firestore()
+      .collection("location_watch")
+      .doc(childId);
+  const lastSeenAt = admin.firestore.Timestamp.fromMillis(lastSeenMillis);
+
+  return admin.firestore().runTransaction(async (tx) => {
+    const watchDoc = await tx.get(watchRef);
+    const watch = watchDoc.exists ? watchDoc.data() : {};
+
+    if (isStale && watch.status !== "stale") {
+      const gapRef = admin.firestore().collection("location_gaps").doc();
+      tx.set(gapRef, {
+        familyId: familyId,
+        childId: childId,
+        startedAt: lastSeenAt,
+        detectedAt: admin.firestore.FieldValue.serverTimestamp(),
+        endedAt: null,
+        durationMinutes: null,
+        thresholdMinutes: thresholdMinutes,
+        lastAddress: locationData.address || null,
+      });
+      tx.set(watchRef, {
+        familyId: familyId,
+        childId: childId,
+        status: "stale",
+        gapId: gapRef.id,
+        lastSeenAt: lastSeenAt,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return {type: "stale", gapId: gapRef.id, lastSeenMillis};
+    }
+
+    if (!isStale && watch.status === "stale") {
+      const startedMillis = toMillis(watch.lastSeenAt) || lastSeenMillis;
+      if (watch.gapId) {
+        tx.update(
+            admin.firestore().collection("location_gaps").doc(watch.gapId),
+            {
+              endedAt: lastSeenAt,
+              durationMinutes: Math.round(
+                  (lastSeenMillis - startedMillis) / (60 * 1000)),
+            },
+        );
+      }
+      tx.set(watchRef, {
+        familyId: familyId,
+        childId: childId,
+        status: "fresh",
+        gapId: null,
+        lastSeenAt: lastSeenAt,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return {
+        type: "resumed",
+        gapId: watch.gapId || null,
+        gapMillis: lastSeenMillis - startedMillis,
+      };
+    }
+
+    return null;
+  });
+}
+
+/**
+ * Helper function to format a duration for notification text, e.g. "2h"
+ * @param {number} millis Duration in milliseconds
+ * @return {string} Short human-readable duration
+ */
+function formatElapsed(millis) {
+  const minutes = Math.max(1, Math.round(millis / (60 * 1000)));
+  if (minutes < 60) {
+    return `${minutes}m`;
+  }
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) {
+    return `${hours}h`;
+  }
+  return `${Math.round(hours / 24)}d`;
+}
+
+/**
+ * Helper function to tell a family's parents that a child's location went
+ * stale or started updating again
+ * @param {string} familyId Family ID
+ * @param {Object} familyData Family document data
+ * @param {string} childId Child user ID
+ * @param {Object} locationData Current locations/{childId} data
+ * @param {Object} transition Result of updateLocationWatch
+ */
+async function sendLocationWatchAlert(
+    familyId,
+    familyData,
+    childId,
+    locationData,
+    transition,
+) {
+  const member = (familyData.members || {})[childId] || {};
+  const childName = member.name || "Your child";
+  const type = transition.type === "stale" ?
+    "location_stale" :
+    "location_resumed";
+
+  let title;
+  let body;
+  if (transition.type === "stale") {
+    title = `${childName}'s location isn't updating`;
+    body = `Last seen ` +
+      `${formatElapsed(Date.now() - transition.lastSeenMillis)} ago` +
+      (locationData.address ? ` near ${locationData.address}` : "");
+  } else {
+    title = `${childName}'s location is updating again`;
+    body = `No updates for ${formatElapsed(transition.gapMillis)}`;
+  }
+
+  const recipientIds = await filterRecipients(familyParentIds(familyData), {
+    type: type,
+    childId: childId,
+  });
+
+  if (recipientIds.length === 0) {
+    return;
+  }
+
+  const report = await notifyUsers(recipientIds, {
+    type: type,
+    title: title,
+    body: body,
+    familyId: familyId,
+    childId: childId,
+  }, {
+    data: {
+      type: type,
+      childId: childId,
+      gapId: transition.gapId || "",
+    },
+  });
+
+  logger.info(`Location ${transition.type} alert sent for child ${childId}`, {
+    familyId: familyId,
+    gapId: transition.gapId,
+    successCount: report.successCount,
+    failureCount: report.failureCount,
+  });
+}
+
+/**
+ * Scheduled Cloud Function to re-send unacknowledged SOS alerts
+ * Runs every minute and pushes each open incident again every 2 minutes until
+ * a parent acknowledges it, up to SOS_MAX_ALERTS times. After that the
+ * incident is marked expired, which also stops the location stream
+ */
+exports.escalateSOSIncidents = onSchedule("every 1 minutes", async (event) => {
+  try {
+    const snapshot = await admin.firestore()
+        .collection("sos_incidents")
+        .where("status", "==", "open")
+        .where("nextAlertAt", "<=", admin.firestore.Timestamp.now())
+        .get();
 
-          // Update the new child's user document with familyId and correct name
-          try {
-            await admin.firestore()
-                .collection("users")
-                .doc(childId)
-                .update({
-                  familyId: invitationData.familyId,
-                  name: invitationData.childName,
-                });
-            logger.info(`Successfully updated existing child user document: ${
-              invitationData.familyId} and name: ${invitationData.childName}`);
-          } catch (error) {
-            logger.error(`Failed to update existing child user document: ${
-              error.message}`);
-            throw error;
+    let resentCount = 0;
+    let expiredCount = 0;
+
+    for (const incidentDoc of snapshot.docs) {
+      try {
+        // Claim the re-send so overlapping runs don't both push
+        const claim = await admin.firestore().runTransaction(async (tx) => {
+          const current = await tx.get(incidentDoc.ref);
+          const data = current.data();
+          const nextAlertMillis = toMillis(data.nextAlertAt);
+          if (data.status !== "open" || nextAlertMillis === null ||
+              nextAlertMillis > Date.now()) {
+            return null;
           }
 
-          // Mark invitation as used
-          await admin.firestore()
-              .collection("invitations")
-              .doc(inviteCode)
-              .update({
-                usedBy: childId,
-                usedAt: admin.firestore.FieldValue.serverTimestamp(),
-              });
+          if ((data.alertCount || 0) >= SOS_MAX_ALERTS) {
+            tx.update(incidentDoc.ref, {
+              status: "expired",
+              expiredAt: admin.firestore.FieldValue.serverTimestamp(),
+              nextAlertAt: null,
+            });
+            return {expired: true};
+          }
 
-          logger.info(`Invitation accepted for existing child: ${inviteCode}`, {
-            existingChildId: existingChildId,
-            newChildId: childId,
-            familyId: invitationData.familyId,
-            childName: invitationData.childName,
-            isExistingChild: true,
-            statusChanged: "accepted → accepted (replaced)",
+          tx.update(incidentDoc.ref, {
+            alertCount: (data.alertCount || 0) + 1,
+            lastAlertAt: admin.firestore.FieldValue.serverTimestamp(),
+            nextAlertAt: admin.firestore.Timestamp.fromMillis(
+                Date.now() + SOS_RESEND_INTERVAL_MS),
           });
+          return {incident: data};
+        });
 
-          return {
-            success: true,
-            familyId: invitationData.familyId,
-            familyName: invitationData.familyName || "Your Family",
-            childName: invitationData.childName,
-            isExistingChild: true,
-            existingChildId: existingChildId,
-            statusChanged: "accepted → accepted (replaced)",
-          };
+        if (!claim) {
+          continue;
         }
-      } else {
-        throw new Error("Existing child not found in family");
-      }
-    } else {
-      // This is for a new child - create new family member
-      // First, get family data to find and delete any pending child
-      const familyDoc = await admin.firestore()
-          .collection("families")
-          .doc(invitationData.familyId)
-          .get();
+        if (claim.expired) {
+          expiredCount++;
+          continue;
+        }
+        const incident = claim.incident;
 
-      if (familyDoc.exists) {
-        const familyData = familyDoc.data();
+        const familyDoc = await admin.firestore()
+            .collection("families")
+            .doc(incident.familyId)
+            .get();
+        if (!familyDoc.exists) {
+          continue;
+        }
 
-        // Find and delete the pending child for this name
-        const pendingChild = Object.entries(familyData.members || {})
-            .find(([userId, memberData]) =>
-              memberData.role === "child" &&
-              memberData.name === invitationData.childName &&
-              memberData.status === "pending");
+        await sendSOSAlert(incidentDoc.id, incident, familyDoc.data());
+        resentCount++;
+      } catch (error) {
+        logger.error(`Error re-sending SOS ${incidentDoc.id}:`, error);
+      }
+    }
 
-        if (pendingChild) {
-          const [pendingChildId] = pendingChild;
-          await admin.firestore()
-              .collection("families")
-              .doc(invitationData.familyId)
-              .update({
-                [`members.${pendingChildId}`]:
-                  admin.firestore.FieldValue.delete(),
-              });
+    if (resentCount > 0 || expiredCount > 0) {
+      logger.info(`Re-sent ${resentCount} unacknowledged SOS alerts, ` +
+        `expired ${expiredCount} incidents`);
+    }
+  } catch (error) {
+    logger.error("Error escalating SOS incidents:", error);
+    throw error;
+  }
+});
 
-          logger.info(`Deleted pending child for new: ${pendingChildId}`, {
-            childName: invitationData.childName,
-            pendingChildId: pendingChildId,
-            newChildId: childId,
-          });
+/**
+ * Cloud Function triggered when a location history point is created
+ * Copies the point into the child's open SOS incident, if any, so parents
+ * can follow the child live
+ */
+exports.streamSOSLocation = onDocumentCreated(
+    "location_history/{docId}",
+    async (event) => {
+      try {
+        const locationData = event.data.data();
+        if (!locationData.childId) {
+          return;
         }
-      }
 
-      // Then create the accepted child
-      await admin.firestore()
-          .collection("families")
-          .doc(invitationData.familyId)
-          .update({
-            [`members.${childId}`]: {
-              role: "child",
-              // Use the name from the invitation, not the user document
-              name: invitationData.childName,
-              joinedAt: admin.firestore.FieldValue.serverTimestamp(),
-              imageURL: null,
-              imageBase64: null,
-              hasImage: false,
-              status: "accepted",
-            },
-          });
+        const openSnapshot = await admin.firestore()
+            .collection("sos_incidents")
+            .where("childId", "==", locationData.childId)
+            .where("status", "==", "open")
+            .get();
 
-      // Update child's user document with familyId and correct name
+        await Promise.all(openSnapshot.docs.map((incidentDoc) =>
+          recordSOSLocation(incidentDoc.ref, {
+            lat: locationData.lat,
+            lng: locationData.lng,
+            accuracy: Number.isFinite(locationData.accuracy) ?
+              locationData.accuracy :
+              null,
+            address: locationData.address || null,
+            batteryLevel: Number.isFinite(locationData.batteryLevel) ?
+              locationData.batteryLevel :
+              null,
+            historyId: event.params.docId,
+          }, "location_history")));
+      } catch (error) {
+        logger.error("Error streaming SOS location:", error);
+      }
+    },
+);
+
+/**
+ * Scheduled Cloud Function to time out location refresh requests
+ * Runs every minute and marks requests the child's device never answered
+ */
+exports.expireLocationRefreshRequests = onSchedule(
+    "every 1 minutes",
+    async (event) => {
       try {
-        await admin.firestore()
-            .collection("users")
-            .doc(childId)
-            .update({
-              familyId: invitationData.familyId,
-              name: invitationData.childName,
-            });
-        logger.info(`Successfully updated user document: ${
-          invitationData.familyId} and name: ${invitationData.childName}`);
+        const snapshot = await admin.firestore()
+            .collection("location_refresh_requests")
+            .where("status", "==", "pending")
+            .where("timeoutAt", "<=", admin.firestore.Timestamp.now())
+            .get();
+
+        if (snapshot.empty) {
+          return;
+        }
+
+        // Skip requests a location write resolved since the query ran
+        const results = await Promise.allSettled(snapshot.docs.map((doc) =>
+          doc.ref.update(
+              {status: "timed_out"},
+              {lastUpdateTime: doc.updateTime},
+          )));
+        const expiredCount = results
+            .filter((result) => result.status === "fulfilled").length;
+
+        logger.info(`Timed out ${expiredCount} location refresh requests`);
       } catch (error) {
-        logger.error(`Failed to update user document with familyId: ${
-          error.message}`);
+        logger.error("Error expiring location refresh requests:", error);
         throw error;
       }
+    },
+);
 
-      // Mark invitation as used
-      await admin.firestore()
-          .collection("invitations")
-          .doc(inviteCode)
-          .update({
-            usedBy: childId,
-            usedAt: admin.firestore.FieldValue.serverTimestamp(),
-          });
+/**
+ * Scheduled Cloud Function to keep children's timelines up to date
+ * Runs every 30 minutes, rebuilds today's timeline for every accepted child
+ * and finishes yesterday's if it was last built before midnight
+ */
+exports.buildChildTimelines = onSchedule("every 30 minutes", async (event) => {
+  try {
+    const pageSize = 100;
+    let lastDoc = null;
+    let builtCount = 0;
 
-      logger.info(`Invitation accepted for new child: ${inviteCode}`, {
-        childId: childId,
-        familyId: invitationData.familyId,
-        childName: childData.name || invitationData.childName,
-      });
+    for (;;) {
+      let query = admin.firestore()
+          .collection("families")
+          .orderBy(admin.firestore.FieldPath.documentId())
+          .limit(pageSize);
+      if (lastDoc) {
+        query = query.startAfter(lastDoc);
+      }
 
-      return {
-        success: true,
-        familyId: invitationData.familyId,
-        familyName: invitationData.familyName || "Your Family",
-        childName: childData.name || invitationData.childName,
-        isExistingChild: false,
-      };
+      const familiesSnapshot = await query.get();
+      if (familiesSnapshot.empty) {
+        break;
+      }
+      lastDoc = familiesSnapshot.docs[familiesSnapshot.docs.length - 1];
+
+      for (const familyDoc of familiesSnapshot.docs) {
+        const familyData = familyDoc.data();
+        if (!checkEntitlement(familyData).entitled) {
+          continue;
+        }
+        const timeZone = familyTimeZone(familyData);
+        const today = localDateString(new Date(), timeZone);
+        const yesterday = localDateString(
+            new Date(localDayRange(today, timeZone).start - 1),
+            timeZone,
+        );
+
+        for (const childId of familyChildIds(familyData)) {
+          try {
+            const yesterdayDoc = await admin.firestore()
+                .collection("child_timelines")
+                .doc(`${childId}_${yesterday}`)
+                .get();
+            if (!yesterdayDoc.exists || !yesterdayDoc.data().complete) {
+              await buildChildTimeline(
+                  childId, familyDoc.id, yesterday, timeZone);
+              builtCount++;
+            }
+
+            await buildChildTimeline(childId, familyDoc.id, today, timeZone);
+            builtCount++;
+          } catch (error) {
+            logger.error(`Error building timeline for child ${childId}:`,
+                error);
+          }
+        }
+      }
+
+      if (familiesSnapshot.size < pageSize) {
+        break;
+      }
     }
+
+    logger.info(`Built ${builtCount} child timelines`);
   } catch (error) {
-    logger.error("Error accepting invitation:", error);
-    throw new Error(`Failed to accept invitation: ${error.message}`);
+    logger.error("Error building child timelines:", error);
+    throw error;
   }
 });
 
+// Days of timelines looked at when discovering frequent places
+const FREQUENT_PLACES_LOOKBACK_DAYS = 30;
+
 /**
- * Callable Cloud Function to create a new family
- * Parent calls this to create a new family and become the first parent member
+ * Scheduled Cloud Function to suggest geofences for places children visit
+ * often
+ * Runs every 24 hours, clusters the stays in each child's recent timelines
+ * and writes pending geofence_suggestions for places not already covered by a
+ * geofence
  */
-exports.createFamily = onCall(async (request) => {
+exports.discoverFrequentPlaces = onSchedule("every 24 hours", async (event) => {
   try {
-    // 1. Ensure the user is authenticated
-    if (!request.auth) {
-      throw new Error("You must be logged in to create a family.");
-    }
+    const pageSize = 100;
+    let lastDoc = null;
+    let suggestionCount = 0;
 
-    const {familyName, parentName} = request.data;
-    if (!familyName || !parentName) {
-      throw new Error(
-          "The function must be called with 'familyName' and " +
-          "'parentName' arguments.");
+    for (;;) {
+      let query = admin.firestore()
+          .collection("families")
+          .orderBy(admin.firestore.FieldPath.documentId())
+          .limit(pageSize);
+      if (lastDoc) {
+        query = query.startAfter(lastDoc);
+      }
+
+      const familiesSnapshot = await query.get();
+      if (familiesSnapshot.empty) {
+        break;
+      }
+      lastDoc = familiesSnapshot.docs[familiesSnapshot.docs.length - 1];
+
+      for (const familyDoc of familiesSnapshot.docs) {
+        try {
+          suggestionCount += await updateGeofenceSuggestions(familyDoc);
+        } catch (error) {
+          logger.error(`Error discovering places for family ` +
+            `${familyDoc.id}:`, error);
+        }
+      }
+
+      if (familiesSnapshot.size < pageSize) {
+        break;
+      }
     }
 
-    const uid = request.auth.uid;
-    const newFamilyId = uuidv4();
+    logger.info(`Created ${suggestionCount} geofence suggestions`);
+  } catch (error) {
+    logger.error("Error discovering frequent places:", error);
+    throw error;
+  }
+});
 
-    // 2. Create the new family document object
-    const newFamily = {
-      name: familyName,
-      createdBy: uid,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      members: {
-        [uid]: {
-          role: "parent",
-          name: parentName,
-          joinedAt: admin.firestore.FieldValue.serverTimestamp(),
-        },
-      },
-    };
+/**
+ * Helper function to refresh one family's geofence suggestions
+ * A place already suggested (pending, accepted or dismissed) is matched by
+ * distance and never suggested twice
+ * @param {FirebaseFirestore.DocumentSnapshot} familyDoc Family document
+ * @return {Promise<number>} Number of new suggestions
+ */
+async function updateGeofenceSuggestions(familyDoc) {
+  const familyData = familyDoc.data();
+  const familyId = familyDoc.id;
+  const timeZone = familyTimeZone(familyData);
+  const childIds = familyChildIds(familyData);
+
+  if (childIds.length === 0 || !checkEntitlement(familyData).entitled) {
+    return 0;
+  }
 
-    // 3. Write the new document to Firestore
-    await admin.firestore()
-        .collection("families")
-        .doc(newFamilyId)
-        .set(newFamily);
+  const [geofencesSnapshot, suggestionsSnapshot] = await Promise.all([
+    admin.firestore()
+        .collection("geofences")
+        .where("familyId", "==", familyId)
+        .where("isActive", "==", true)
+        .get(),
+    admin.firestore()
+        .collection("geofence_suggestions")
+        .where("familyId", "==", familyId)
+        .get(),
+  ]);
+
+  const geofences = geofencesSnapshot.docs.map((doc) => doc.data());
+  const suggestions = suggestionsSnapshot.docs.map((doc) => ({
+    ref: doc.ref,
+    ...doc.data(),
+  }));
+  const lookbackMillis = FREQUENT_PLACES_LOOKBACK_DAYS * 24 * 60 * 60 * 1000;
+  const cutoffDate = localDateString(
+      new Date(Date.now() - lookbackMillis),
+      timeZone,
+  );
+  let createdCount = 0;
+
+  for (const childId of childIds) {
+    const timelinesSnapshot = await admin.firestore()
+        .collection("child_timelines")
+        .where("childId", "==", childId)
+        .where("date", ">=", cutoffDate)
+        .get();
 
-    logger.info(`Family created successfully with ID: ${newFamilyId}`, {
-      familyId: newFamilyId,
-      createdBy: uid,
-      familyName: familyName,
-      parentName: parentName,
+    const stays = [];
+    timelinesSnapshot.docs.forEach((doc) => {
+      (doc.data().segments || [])
+          .filter((segment) => segment.type === "stay")
+          .forEach((segment) => stays.push({
+            ...segment,
+            startAt: toMillis(segment.startAt),
+            endAt: toMillis(segment.endAt),
+          }));
     });
 
-    return {familyId: newFamilyId};
-  } catch (error) {
-    logger.error("Error creating family:", error);
-    throw new Error(
-        `An error occurred while creating the family: ${error.message}`);
+    for (const place of findFrequentPlaces(stays, timeZone)) {
+      const covered = geofences.some((geofence) =>
+        isValidCoordinate(geofence.latitude, geofence.longitude) &&
+        distanceOutsideGeofence(place.center, geofence) <=
+          PLACE_CLUSTER_RADIUS_METERS / 2);
+      if (covered) {
+        continue;
+      }
+
+      const existing = suggestions.find((suggestion) =>
+        distanceMeters(suggestion.center, place.center) <=
+          PLACE_CLUSTER_RADIUS_METERS);
+
+      if (existing) {
+        if (existing.status === "pending") {
+          await existing.ref.update({
+            childIds: admin.firestore.FieldValue.arrayUnion(childId),
+            visitDays: Math.max(existing.visitDays || 0, place.visitDays),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          });
+        }
+        continue;
+      }
+
+      const suggestionRef = admin.firestore()
+          .collection("geofence_suggestions")
+          .doc();
+      const suggestion = {
+        familyId: familyId,
+        childIds: [childId],
+        status: "pending",
+        suggestedName: suggestPlaceName(place),
+        center: place.center,
+        radiusMeters: place.radiusMeters,
+        address: place.address,
+        visitCount: place.visitCount,
+        visitDays: place.visitDays,
+        totalSeconds: place.totalSeconds,
+        nightShare: place.nightShare,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
+      await suggestionRef.set(suggestion);
+      suggestions.push({ref: suggestionRef, ...suggestion});
+      createdCount++;
+    }
   }
-});
+
+  return createdCount;
+}
+
+// Value RevenueCat sends in the Authorization header of webhook requests,
+// set in the RevenueCat dashboard
+const revenueCatWebhookAuth = defineSecret("REVENUECAT_WEBHOOK_AUTH");
+
+/**
+ * Helper function to check a webhook Authorization header
+ * Compares digests so the check takes the same time whatever the header
+ * @param {string|undefined} header Authorization header from the request
+ * @param {string} expected Configured secret value
+ * @return {boolean} True if the header matches
+ */
+function isAuthorizedWebhook(header, expected) {
+  if (!header || !expected) {
+    return false;
+  }
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(header), digest(expected));
+}
 
 /**
- * Callable Cloud Function to remove a child from a family
- * Parent calls this to remove a child from their family
+ * Helper function to find the family a RevenueCat event belongs to
+ * RevenueCat app user IDs are Firebase user IDs, and only the family
+ * creator's subscription counts for the family
+ * @param {Object} event RevenueCat event
+ * @return {Promise<Object|null>} {userId, familyRef}, or null if no family
  */
-exports.removeChildFromFamily = onCall(async (request) => {
-  try {
-    const {childId, familyId} = request.data;
-    const parentId = request.auth.uid;
+async function findSubscriptionFamily(event) {
+  for (const userId of subscriptionEventUserIds(event)) {
+    const userDoc = await admin.firestore()
+        .collection("users")
+        .doc(userId)
+        .get();
+    const familyId = userDoc.exists ? userDoc.data().familyId : null;
 
-    if (!childId || !familyId) {
-      throw new Error("childId and familyId are required");
+    if (!familyId) {
+      continue;
     }
 
-    // Verify the user is a parent in this family
-    const familyDoc = await admin.firestore()
-        .collection("families")
-        .doc(familyId)
-        .get();
+    const familyRef = admin.firestore().collection("families").doc(familyId);
+    const familyDoc = await familyRef.get();
 
-    if (!familyDoc.exists) {
-      throw new Error("Family not found");
+    if (familyDoc.exists && familyDoc.data().createdBy === userId) {
+      return {userId: userId, familyRef: familyRef};
     }
+  }
+  return null;
+}
 
-    const familyData = familyDoc.data();
-    const memberData = familyData.members[parentId];
+/**
+ * HTTP function receiving RevenueCat webhooks
+ * Applies each event to the family's subscription fields and keeps the raw
+ * event in subscription_events/{eventId}. A replayed event is acknowledged
+ * without being applied again. An event for a user without a family yet is
+ * answered with a 404 and not recorded, so RevenueCat retries it later
+ */
+exports.revenueCatWebhook = onRequest(
+    {secrets: [revenueCatWebhookAuth]},
+    async (req, res) => {
+      try {
+        if (req.method !== "POST") {
+          res.status(405).json({success: false, error: "Method not allowed"});
+          return;
+        }
 
-    if (!memberData || memberData.role !== "parent") {
-      throw new Error("Only parents can remove children from the family");
-    }
+        if (!isAuthorizedWebhook(req.get("authorization"),
+            revenueCatWebhookAuth.value())) {
+          logger.warn("Rejected RevenueCat webhook with a bad authorization");
+          res.status(401).json({success: false, error: "Unauthorized"});
+          return;
+        }
 
-    // Check if the child exists in the family
-    const childData = familyData.members[childId];
-    if (!childData) {
-      throw new Error("Child not found in family");
-    }
+        const event = (req.body || {}).event;
 
-    // Use batch to ensure atomicity
-    const batch = admin.firestore().batch();
+        if (!event || typeof event.id !== "string" || !event.id ||
+            typeof event.type !== "string") {
+          res.status(400).json({success: false, error: "Invalid event"});
+          return;
+        }
 
-    // Remove child from family members
-    batch.update(
-        admin.firestore().collection("families").doc(familyId),
-        {
-          [`members.${childId}`]: admin.firestore.FieldValue.delete(),
-        },
-    );
+        const eventRef = admin.firestore()
+            .collection("subscription_events")
+            .doc(event.id);
 
-    // Only try to remove familyId from child's user document if it exists
-    // Pending children (UUIDs) don't have user documents
-    const childUserDoc = await admin.firestore()
-        .collection("users")
-        .doc(childId)
-        .get();
+        if ((await eventRef.get()).exists) {
+          logger.info(`RevenueCat event already processed: ${event.id}`);
+          res.status(200).json({success: true, outcome: "duplicate"});
+          return;
+        }
 
-    if (childUserDoc.exists) {
-      batch.update(
-          admin.firestore().collection("users").doc(childId),
-          {
-            familyId: admin.firestore.FieldValue.delete(),
-          },
-      );
-    }
+        const target = await findSubscriptionFamily(event);
 
-    await batch.commit();
+        const result = await admin.firestore().runTransaction(async (tx) => {
+          const eventDoc = await tx.get(eventRef);
+          if (eventDoc.exists) {
+            return {outcome: "duplicate"};
+          }
 
-    logger.info(`Child removed from family successfully`, {
-      childId: childId,
-      familyId: familyId,
-      removedBy: parentId,
-      childName: childData.name,
-    });
+          const familyDoc = target ? await tx.get(target.familyRef) : null;
+          const applied = familyDoc && familyDoc.exists ?
+            applySubscriptionEvent(familyDoc.data(), event, Date.now()) :
+            applySubscriptionEvent({}, event, Date.now());
+          if ((!familyDoc || !familyDoc.exists) &&
+              applied.outcome !== "ignored") {
+            return {outcome: "no_family"};
+          }
 
-    return {
-      success: true,
-      message: "Child removed from family successfully",
-    };
-  } catch (error) {
-    logger.error("Error removing child from family:", error);
-    throw new Error(`Failed to remove child: ${error.message}`);
-  }
-});
+          if (applied.update) {
+            tx.update(target.familyRef, {
+              ...applied.update,
+              subscriptionUpdatedAt:
+                admin.firestore.FieldValue.serverTimestamp(),
+            });
+          }
+
+          tx.set(eventRef, {
+            id: event.id,
+            type: event.type,
+            appUserId: event.app_user_id || null,
+            userId: target ? target.userId : null,
+            familyId: familyDoc && familyDoc.exists ?
+              target.familyRef.id :
+              null,
+            outcome: applied.outcome,
+            subscriptionStatus: applied.update ?
+              applied.update.subscriptionStatus || null :
+              null,
+            apiVersion: req.body.api_version || null,
+            event: event,
+            receivedAt: admin.firestore.FieldValue.serverTimestamp(),
+          });
+
+          return {outcome: applied.outcome};
+        });
+
+        if (result.outcome === "no_family") {
+          logger.warn(`No family for RevenueCat event ${event.id} ` +
+            `(${event.type}) yet, asking for a retry`, {
+            appUserId: event.app_user_id || null,
+          });
+          res.status(404).json({success: false, outcome: result.outcome});
+          return;
+        }
+
+        logger.info(`RevenueCat event ${event.id} (${event.type}): ` +
+          `${result.outcome}`, {
+          familyId: target ? target.familyRef.id : null,
+        });
+
+        res.status(200).json({success: true, outcome: result.outcome});
+      } catch (error) {
+        // A non-2xx response makes RevenueCat retry the event later
+        logger.error("Error handling RevenueCat webhook:", error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    },
+);
 
 /**
- * Callable Cloud Function to remove a parent from a family
- * Parent calls this to remove another parent from their family
+ * Helper function to send a trial reminder or trial ended push to the
+ * family creator
+ * @param {string} familyId Family document ID
+ * @param {Object} familyData Family document data
+ * @param {string} type trial_ending or trial_ended
+ * @param {number} nowMillis Current time in millis
  */
-exports.removeParentFromFamily = onCall(async (request) => {
-  try {
-    const {parentId, familyId} = request.data;
-    const requestingParentId = request.auth.uid;
+async function sendTrialNotification(familyId, familyData, type, nowMillis) {
+  const creatorId = familyData.createdBy;
+  if (!creatorId || !(familyData.members || {})[creatorId]) {
+    logger.warn(`Family ${familyId} has no creator to notify about its trial`);
+    return;
+  }
 
-    if (!parentId || !familyId) {
-      throw new Error("parentId and familyId are required");
-    }
+  const trialEndsAt = toMillis(familyData.trialEndsAt);
+  let title = "Your free trial has ended";
+  let body = "Subscribe to keep geofence alerts and location history for " +
+    "your family.";
+  if (type === "trial_ending") {
+    const daysLeft = Math.max(1,
+        Math.ceil((trialEndsAt - nowMillis) / (24 * 60 * 60 * 1000)));
+    title = "Your free trial ends soon";
+    body = `Your free trial ends in ${daysLeft} ` +
+      `${daysLeft === 1 ? "day" : "days"}. Subscribe to keep your family ` +
+      "protected.";
+  }
 
-    // Verify the requesting user is a parent in this family
-    const familyDoc = await admin.firestore()
-        .collection("families")
-        .doc(familyId)
-        .get();
+  const report = await notifyUsers([creatorId], {
+    type: type,
+    title: title,
+    body: body,
+    familyId: familyId,
+  }, {
+    data: {
+      type: type,
+      familyId: familyId,
+      trialEndsAt: toISOString(trialEndsAt) || "",
+    },
+  });
+
+  logger.info(`Sent ${type} notification for family ${familyId}`, {
+    creatorId: creatorId,
+    successCount: report.successCount,
+    failureCount: report.failureCount,
+  });
+}
 
+/**
+ * Helper function to move one family's server trial along
+ * Store trials bought through RevenueCat are left to the webhook
+ * @param {FirebaseFirestore.DocumentReference} familyRef Family reference
+ * @param {number} nowMillis Current time in millis
+ * @return {Promise<string|null>} trial_ending, trial_ended or null if
+ *   nothing changed
+ */
+async function processFamilyTrial(familyRef, nowMillis) {
+  const action = await admin.firestore().runTransaction(async (tx) => {
+    const familyDoc = await tx.get(familyRef);
     if (!familyDoc.exists) {
-      throw new Error("Family not found");
+      return null;
     }
 
     const familyData = familyDoc.data();
-    const requestingMemberData = familyData.members[requestingParentId];
-
-    if (!requestingMemberData || requestingMemberData.role !== "parent") {
-      throw new Error("Only parents can remove parents from the family");
+    const trialEndsAt = toMillis(familyData.trialEndsAt);
+    if (familyData.subscriptionStatus !== "trial" ||
+        familyData.subscriptionSource === "revenuecat" || !trialEndsAt) {
+      return null;
     }
 
-    // Check if the parent to be removed exists in the family
-    const parentToRemoveData = familyData.members[parentId];
-    if (!parentToRemoveData) {
-      throw new Error("Parent not found in family");
+    if (trialEndsAt <= nowMillis) {
+      tx.update(familyRef, {
+        subscriptionStatus: "expired",
+        trialExpiredAt: admin.firestore.FieldValue.serverTimestamp(),
+        subscriptionUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return {type: "trial_ended", familyData: familyData};
     }
 
-    if (parentToRemoveData.role !== "parent") {
-      throw new Error("Cannot remove non-parent members with this function");
+    if (!familyData.trialReminderSentAt) {
+      tx.update(familyRef, {
+        trialReminderSentAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return {type: "trial_ending", familyData: familyData};
     }
+    return null;
+  });
 
-    // Count total parents in the family
-    const parentCount = Object.values(familyData.members || {})
-        .filter((member) => member.role === "parent").length;
-
-    // Prevent removing the last parent
-    if (parentCount <= 1) {
-      throw new Error(
-          "Cannot remove the last parent from the family. " +
-          "At least one parent must remain.",
-      );
-    }
+  if (!action) {
+    return null;
+  }
 
-    // Use batch to ensure atomicity
-    const batch = admin.firestore().batch();
+  await sendTrialNotification(familyRef.id, action.familyData, action.type,
+      nowMillis);
+  return action.type;
+}
 
-    // Remove parent from family members
-    batch.update(
-        admin.firestore().collection("families").doc(familyId),
-        {
-          [`members.${parentId}`]: admin.firestore.FieldValue.delete(),
-        },
-    );
+/**
+ * Scheduled Cloud Function to remind families their trial is ending and to
+ * expire trials that have ended
+ * Runs every hour over families in trial that end within the reminder window
+ */
+exports.processFamilyTrials = onSchedule("every 1 hours", async (event) => {
+  try {
+    const nowMillis = Date.now();
+    const cutoff = admin.firestore.Timestamp.fromMillis(
+        nowMillis + TRIAL_REMINDER_DAYS * 24 * 60 * 60 * 1000);
+    const pageSize = 100;
+    let lastDoc = null;
+    let reminderCount = 0;
+    let expiredCount = 0;
+
+    for (;;) {
+      let query = admin.firestore()
+          .collection("families")
+          .where("subscriptionStatus", "==", "trial")
+          .where("trialEndsAt", "<=", cutoff)
+          .orderBy("trialEndsAt")
+          .limit(pageSize);
+      if (lastDoc) {
+        query = query.startAfter(lastDoc);
+      }
 
-    // Remove familyId from parent's user document
-    const parentUserDoc = await admin.firestore()
-        .collection("users")
-        .doc(parentId)
-        .get();
+      const familiesSnapshot = await query.get();
+      if (familiesSnapshot.empty) {
+        break;
+      }
+      lastDoc = familiesSnapshot.docs[familiesSnapshot.docs.length - 1];
+
+      for (const familyDoc of familiesSnapshot.docs) {
+        try {
+          const result = await processFamilyTrial(familyDoc.ref, nowMillis);
+          if (result === "trial_ending") {
+            reminderCount++;
+          } else if (result === "trial_ended") {
+            expiredCount++;
+          }
+        } catch (error) {
+          logger.error(`Error processing trial for family ` +
+            `${familyDoc.id}:`, error);
+        }
+      }
 
-    if (parentUserDoc.exists) {
-      batch.update(
-          admin.firestore().collection("users").doc(parentId),
-          {
-            familyId: admin.firestore.FieldValue.delete(),
-          },
-      );
+      if (familiesSnapshot.size < pageSize) {
+        break;
+      }
     }
 
-    await batch.commit();
-
-    logger.info(`Parent removed from family successfully`, {
-      parentId: parentId,
-      familyId: familyId,
-      removedBy: requestingParentId,
-      parentName: parentToRemoveData.name,
-    });
-
-    return {
-      success: true,
-      message: "Parent removed from family successfully",
-    };
+    logger.info(`Sent ${reminderCount} trial reminders, ` +
+      `expired ${expiredCount} trials`);
   } catch (error) {
-    logger.error("Error removing parent from family:", error);
-    throw new Error(`Failed to remove parent: ${error.message}`);
+    logger.error("Error processing family trials:", error);
+    throw error;
   }
 });
 
-/**
- * Helper function to generate a unique 6-character alphanumeric invite code
- * @return {string} A unique invite code
- */
-function generateInviteCode() {
-  const chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
-  let result = "";
+// Issue types the scheduled audit fixes on its own; empty only reports
+const familyAuditAutoFix = defineList("FAMILY_AUDIT_AUTO_FIX", {
+  default: [],
+  description: "Family audit issue types to fix automatically",
+});
 
-  // Generate 6-character code
-  for (let i = 0; i < 6; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
+// Issues kept in a stored report; the counts always cover all of them
+const MAX_AUDIT_REPORT_ISSUES = 500;
 
-  return result;
+// Stop a full audit after this long so it finishes within the 540 s timeout;
+// it returns a cursor and the next run resumes from there
+const FAMILY_AUDIT_TIME_BUDGET_MS = 7 * 60 * 1000;
+
+// Time between the starts of two scheduled full audits
+const FAMILY_AUDIT_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Helper function to run a family audit and store its report
+ * @param {Object} options Audit options for runFamilyAudit
+ * @param {Object} meta Report fields saying who ran it and why
+ * @return {Promise<Object>} Stored report, with its reportId
+ */
+async function runAndSaveFamilyAudit(options, meta) {
+  const startedAt = Date.now();
+  const result = await runFamilyAudit(options);
+  const reportRef = admin.firestore()
+      .collection("family_audit_reports")
+      .doc(uuidv4());
+
+  const report = {
+    reportId: reportRef.id,
+    ...meta,
+    familyId: options.familyId || null,
+    fixTypes: options.fixTypes || [],
+    counts: result.counts,
+    fixed: result.fixed,
+    familiesChecked: result.familiesChecked,
+    usersChecked: result.usersChecked,
+    resumedFrom: options.cursor || null,
+    finished: result.finished,
+    cursor: result.cursor,
+    issues: result.issues.slice(0, MAX_AUDIT_REPORT_ISSUES),
+    truncated: result.issues.length > MAX_AUDIT_REPORT_ISSUES,
+    startedAt: admin.firestore.Timestamp.fromMillis(startedAt),
+    durationMs: Date.now() - startedAt,
+  };
+  await reportRef.set(report);
+
+  logger.info(`Family audit ${reportRef.id} found ` +
+    `${result.issues.length} issues`, {
+    familyId: report.familyId,
+    counts: result.counts,
+    fixed: result.fixed,
+  });
+
+  return report;
 }
 
 /**
- * Scheduled Cloud Function to clean up old location history
- * Runs every 24 hours and deletes records older than 24 hours
+ * Callable Cloud Function to audit family consistency
+ * A parent can audit their own family with {familyId}; users with the admin
+ * custom claim can also leave familyId out to audit everything. fix lists
+ * the issue types to fix. A full audit stops at its time budget and returns
+ * a cursor to pass back in to continue
  */
-exports.cleanupLocationHistory = onSchedule("every 24 hours", async (event) => {
-  try {
-    // Calculate cutoff time (24 hours ago)
-    const cutoffTime = new Date(Date.now() - 24 * 60 * 60 * 1000);
-    const cutoffTimestamp = admin.firestore.Timestamp.fromDate(cutoffTime);
+exports.auditFamilyConsistency = onCall(
+    {timeoutSeconds: 540},
+    async (request) => {
+      try {
+        if (!request.auth) {
+          throw new Error("You must be logged in to audit a family.");
+        }
 
-    logger.info(
-        `Starting location history cleanup. ` +
-        `Deleting records older than: ${cutoffTime.toISOString()}`,
-    );
+        const {familyId, fix = [], cursor = null} = request.data || {};
+        const callerId = request.auth.uid;
+        const isAdmin = request.auth.token.admin === true;
 
-    // Query old location history records
-    const snapshot = await admin.firestore()
-        .collection("location_history")
-        .where("timestamp", "<", cutoffTimestamp)
-        .get();
+        if (!Array.isArray(fix) ||
+            fix.some((type) => !AUDIT_ISSUE_TYPES.includes(type))) {
+          throw new Error(`fix must be a list of: ` +
+            `${AUDIT_ISSUE_TYPES.join(", ")}`);
+        }
 
-    if (snapshot.empty) {
-      logger.info("No old location history records to delete");
-      return;
-    }
+        if (!familyId && !isAdmin) {
+          throw new Error("familyId is required");
+        }
+        if (familyId && !isAdmin) {
+          const familyDoc = await admin.firestore()
+              .collection("families")
+              .doc(familyId)
+              .get();
+          const memberData = familyDoc.exists ?
+            (familyDoc.data().members || {})[callerId] :
+            null;
+
+          if (!memberData || memberData.role !== "parent") {
+            throw new Error("Only parents can audit their family");
+          }
+        }
 
-    logger.info(`Found ${snapshot.size} old location history records`);
+        if (cursor !== null && (familyId || typeof cursor !== "object" ||
+            typeof cursor.collection !== "string")) {
+          throw new Error("cursor must be a cursor returned by a full audit");
+        }
 
-    // Delete in batches of 500 (Firestore batch write limit)
-    const batchSize = 500;
-    let deletedCount = 0;
+        const report = await runAndSaveFamilyAudit({
+          familyId: familyId || null,
+          fixTypes: fix,
+          deadlineMillis: Date.now() + FAMILY_AUDIT_TIME_BUDGET_MS,
+          cursor: cursor,
+        }, {
+          trigger: "callable",
+          requestedBy: callerId,
+        });
 
-    for (let i = 0; i < snapshot.docs.length; i += batchSize) {
-      const batch = admin.firestore().batch();
-      const batchDocs = snapshot.docs.slice(i, i + batchSize);
+        // Other families a user is listed in aren't the caller's business
+        const issues = isAdmin ?
+          report.issues :
+          report.issues.map(({listedInFamilyIds, ...issue}) =>
+            listedInFamilyIds ?
+              {...issue, listedInFamilyCount: listedInFamilyIds.length} :
+              issue);
 
-      batchDocs.forEach((doc) => {
-        batch.delete(doc.ref);
-      });
+        return {
+          success: true,
+          reportId: report.reportId,
+          counts: report.counts,
+          fixed: report.fixed,
+          issues: issues,
+          truncated: report.truncated,
+          finished: report.finished,
+          cursor: report.cursor,
+        };
+      } catch (error) {
+        logger.error("Error auditing families:", error);
+        throw new Error(`Failed to audit families: ${error.message}`);
+      }
+    },
+);
 
-      await batch.commit();
-      deletedCount += batchDocs.length;
-      logger.info(`Deleted batch of ${batchDocs.length} records ` +
-                 `(total: ${deletedCount}/${snapshot.size})`);
+/**
+ * Scheduled Cloud Function to audit every family and user once a day
+ * Runs hourly: each run audits until its time budget and saves the cursor in
+ * maintenance_state, and a new pass starts a day after the previous one.
+ * Only reports unless FAMILY_AUDIT_AUTO_FIX lists issue types to fix
+ */
+exports.auditFamilies = onSchedule({
+  schedule: "every 1 hours",
+  timeoutSeconds: 540,
+}, async (event) => {
+  try {
+    const stateRef = admin.firestore()
+        .collection("maintenance_state")
+        .doc("family_audit");
+    const stateDoc = await stateRef.get();
+    const state = stateDoc.exists ? stateDoc.data() : {};
+    const cursor = state.cursor || null;
+    const passStartedAt = toMillis(state.passStartedAt);
+
+    if (!cursor && passStartedAt !== null &&
+        Date.now() - passStartedAt < FAMILY_AUDIT_INTERVAL_MS) {
+      return;
     }
 
-    logger.info(
-        `Successfully deleted ${deletedCount} ` +
-        `old location history records`,
-    );
+    const fixTypes = familyAuditAutoFix.value()
+        .filter((type) => AUDIT_ISSUE_TYPES.includes(type));
+
+    const report = await runAndSaveFamilyAudit({
+      fixTypes: fixTypes,
+      deadlineMillis: Date.now() + FAMILY_AUDIT_TIME_BUDGET_MS,
+      cursor: cursor,
+    }, {
+      trigger: "schedule",
+      requestedBy: null,
+    });
+
+    await stateRef.set({
+      cursor: report.cursor,
+      passStartedAt: cursor ?
+        state.passStartedAt :
+        admin.firestore.Timestamp.now(),
+      lastRunAt: admin.firestore.FieldValue.serverTimestamp(),
+      lastReportId: report.reportId,
+      lastRunFinished: report.finished,
+    });
   } catch (error) {
-    logger.error("Error cleaning up location history:", error);
+    logger.error("Error running scheduled family audit:", error);
     throw error;
   }
 });
-
@@ -0,0 +1,377 @@
+/**
+ * Per-user notification preferences and the shared recipient filter
+ * Every function that notifies parents decides who receives it through
+ * filterRecipients so mutes, event types and quiet hours apply everywhere
+ */
+
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+// Notification types a user can turn on or off individually
+const NOTIFICATION_TYPES = [
+  "geofence_enter",
+  "geofence_exit",
+  "geofence_digest",
+  "geofence_schedule",
+  "location_stale",
+  "location_resumed",
+  "battery_low",
+  "check_in",
+  "debug_notification",
+];
+
+// Types that are collected into the daily digest for users who enable it
+const DIGEST_TYPES = ["geofence_enter", "geofence_exit"];
+
+const DEFAULT_PREFERENCES = {
+  enabled: true,
+  eventTypes: NOTIFICATION_TYPES.reduce((types, type) => {
+    types[type] = true;
+    return types;
+  }, {}),
+  mutedChildIds: [],
+  mutedGeofenceIds: [],
+  quietHours: {
+    enabled: false,
+    start: "22:00",
+    end: "07:00",
+    timeZone: "UTC",
+  },
+  digest: {
+    enabled: false,
+    time: "19:00",
+    timeZone: "UTC",
+  },
+};
+
+// Upper bound on muted IDs so the document stays small
+const MAX_MUTED_IDS = 100;
+
+// Time of day as HH:MM on a 24-hour clock
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Check that a string is an IANA timezone name the runtime understands
+ * @param {string} timeZone Timezone name such as "Europe/Dublin"
+ * @return {boolean} True if the timezone is valid
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || timeZone.length === 0) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat("en-US", {timeZone: timeZone});
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Convert an "HH:mm" string to minutes after midnight
+ * @param {string} time Time of day in 24-hour "HH:mm" format
+ * @return {number} Minutes after midnight
+ */
+function timeToMinutes(time) {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * Minutes after midnight for a moment in the given timezone
+ * @param {Date} date Moment to convert
+ * @param {string} timeZone IANA timezone name
+ * @return {number} Minutes after local midnight
+ */
+function minutesInTimeZone(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timeZone,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+
+  const hour = Number(parts.find((part) => part.type === "hour").value);
+  const minute = Number(parts.find((part) => part.type === "minute").value);
+  return hour * 60 + minute;
+}
+
+/**
+ * Format a moment as "HH:mm" in the given timezone
+ * @param {Date} date Moment to format
+ * @param {string} timeZone IANA timezone name
+ * @return {string} Local time of day, e.g. "08:42"
+ */
+function formatLocalTime(date, timeZone) {
+  return new Intl.DateTimeFormat("en-GB", {
+    timeZone: timeZone,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).format(date);
+}
+
+/**
+ * Format a moment as a "YYYY-MM-DD" calendar date in the given timezone
+ * @param {Date} date Moment to format
+ * @param {string} timeZone IANA timezone name
+ * @return {string} Local calendar date
+ */
+function localDateString(date, timeZone) {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone: timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
+}
+
+/**
+ * Check whether a moment falls inside a quiet hours window
+ * Windows that wrap past midnight (e.g. 22:00-07:00) are supported
+ * @param {Object} quietHours Quiet hours settings
+ * @param {Date} date Moment to check
+ * @return {boolean} True if notifications should be held back
+ */
+function isWithinQuietHours(quietHours, date) {
+  if (!quietHours || !quietHours.enabled) {
+    return false;
+  }
+
+  const start = timeToMinutes(quietHours.start);
+  const end = timeToMinutes(quietHours.end);
+  if (start === end) {
+    return false;
+  }
+
+  const now = minutesInTimeZone(date, quietHours.timeZone);
+  return start < end ?
+    now >= start && now < end :
+    now >= start || now < end;
+}
+
+/**
+ * Validate a list of document IDs supplied by a client
+ * @param {*} value Value to validate
+ * @param {string} field Field name used in error messages
+ * @return {string[]} De-duplicated list of IDs
+ */
+function validateIdList(value, field) {
+  if (!Array.isArray(value) ||
+      value.some((id) => typeof id !== "string" || id.length === 0)) {
+    throw new Error(`${field} must be an array of IDs`);
+  }
+  const ids = [...new Set(value)];
+  if (ids.length > MAX_MUTED_IDS) {
+    throw new Error(`${field} can contain at most ${MAX_MUTED_IDS} IDs`);
+  }
+  return ids;
+}
+
+/**
+ * Merge stored preferences over the defaults so older documents stay valid
+ * @param {Object} stored Preferences as stored in Firestore (may be partial)
+ * @return {Object} Complete preferences object
+ */
+function withDefaults(stored) {
+  const data = stored || {};
+  return {
+    enabled: data.enabled !== false,
+    eventTypes: {...DEFAULT_PREFERENCES.eventTypes, ...(data.eventTypes || {})},
+    mutedChildIds: data.mutedChildIds || [],
+    mutedGeofenceIds: data.mutedGeofenceIds || [],
+    quietHours: {...DEFAULT_PREFERENCES.quietHours, ...(data.quietHours || {})},
+    digest: {...DEFAULT_PREFERENCES.digest, ...(data.digest || {})},
+  };
+}
+
+/**
+ * Validate a partial update from a client and merge it into the current
+ * preferences
+ * @param {Object} current Complete current preferences
+ * @param {Object} update Partial preferences sent by the client
+ * @return {Object} Complete, validated preferences
+ */
+function applyPreferencesUpdate(current, update) {
+  if (!update || typeof update !== "object") {
+    throw new Error("preferences must be an object");
+  }
+
+  const next = withDefaults(current);
+
+  if (update.enabled !== undefined) {
+    if (typeof update.enabled !== "boolean") {
+      throw new Error("enabled must be a boolean");
+    }
+    next.enabled = update.enabled;
+  }
+
+  if (update.eventTypes !== undefined) {
+    if (!update.eventTypes || typeof update.eventTypes !== "object") {
+      throw new Error("eventTypes must be an object");
+    }
+    Object.entries(update.eventTypes).forEach(([type, enabled]) => {
+      if (!NOTIFICATION_TYPES.includes(type)) {
+        throw new Error(`Unknown notification type: ${type}`);
+      }
+      if (typeof enabled !== "boolean") {
+        throw new Error(`eventTypes.${type} must be a boolean`);
+      }
+      next.eventTypes[type] = enabled;
+    });
+  }
+
+  if (update.mutedChildIds !== undefined) {
+    next.mutedChildIds = validateIdList(update.mutedChildIds, "mutedChildIds");
+  }
+
+  if (update.mutedGeofenceIds !== undefined) {
+    next.mutedGeofenceIds = validateIdList(
+        update.mutedGeofenceIds,
+        "mutedGeofenceIds",
+    );
+  }
+
+  if (update.quietHours !== undefined) {
+    const quietHours = {...next.quietHours, ...(update.quietHours || {})};
+    if (typeof quietHours.enabled !== "boolean") {
+      throw new Error("quietHours.enabled must be a boolean");
+    }
+    if (!TIME_PATTERN.test(quietHours.start) ||
+        !TIME_PATTERN.test(quietHours.end)) {
+      throw new Error("quietHours start and end must be in HH:mm format");
+    }
+    if (!isValidTimeZone(quietHours.timeZone)) {
+      throw new Error(`Invalid timezone: ${quietHours.timeZone}`);
+    }
+    next.quietHours = {
+      enabled: quietHours.enabled,
+      start: quietHours.start,
+      end: quietHours.end,
+      timeZone: quietHours.timeZone,
+    };
+  }
+
+  if (update.digest !== undefined) {
+    const digest = {...next.digest, ...(update.digest || {})};
+    if (typeof digest.enabled !== "boolean") {
+      throw new Error("digest.enabled must be a boolean");
+    }
+    if (!TIME_PATTERN.test(digest.time)) {
+      throw new Error("digest.time must be in HH:mm format");
+    }
+    if (!isValidTimeZone(digest.timeZone)) {
+      throw new Error(`Invalid timezone: ${digest.timeZone}`);
+    }
+    next.digest = {
+      enabled: digest.enabled,
+      time: digest.time,
+      timeZone: digest.timeZone,
+    };
+  }
+
+  return next;
+}
+
+/**
+ * Load a user's notification preferences, falling back to the defaults
+ * @param {string} userId User ID
+ * @return {Promise<Object>} Complete preferences object
+ */
+async function getNotificationPreferences(userId) {
+  const doc = await admin.firestore()
+      .collection("notification_preferences")
+      .doc(userId)
+      .get();
+
+  return withDefaults(doc.exists ? doc.data() : null);
+}
+
+/**
+ * Decide whether one user should receive a notification
+ * @param {Object} preferences Complete preferences object
+ * @param {Object} notification Notification context
+ * @param {string} notification.type One of NOTIFICATION_TYPES
+ * @param {string} [notification.childId] Child the notification is about
+ * @param {string} [notification.geofenceId] Geofence involved, if any
+ * @param {boolean} [notification.critical] Bypasses mutes and quiet hours
+ * @param {Date} [notification.date] Moment the notification is sent
+ * @return {string|null} Reason the user is skipped, or null to deliver
+ */
+function recipientSkipReason(preferences, notification) {
+  if (notification.critical) {
+    return null;
+  }
+  if (!preferences.enabled) {
+    return "disabled";
+  }
+  if (preferences.eventTypes[notification.type] === false) {
+    return "event_type_disabled";
+  }
+  if (preferences.digest.enabled && DIGEST_TYPES.includes(notification.type)) {
+    return "digest";
+  }
+  if (notification.childId &&
+      preferences.mutedChildIds.includes(notification.childId)) {
+    return "child_muted";
+  }
+  if (notification.geofenceId &&
+      preferences.mutedGeofenceIds.includes(notification.geofenceId)) {
+    return "geofence_muted";
+  }
+  if (isWithinQuietHours(preferences.quietHours,
+      notification.date || new Date())) {
+    return "quiet_hours";
+  }
+  return null;
+}
+
+/**
+ * Shared recipient filter for every notifying function
+ * @param {string[]} userIds Candidate recipients (usually the family parents)
+ * @param {Object} notification Notification context, see recipientSkipReason
+ * @return {Promise<string[]>} User IDs that should receive the notification
+ */
+async function filterRecipients(userIds, notification) {
+  const decisions = await Promise.all(userIds.map(async (userId) => {
+    try {
+      const preferences = await getNotificationPreferences(userId);
+      return {userId, reason: recipientSkipReason(preferences, notification)};
+    } catch (error) {
+      // Fall back to delivering if preferences can't be read
+      logger.error(`Error loading notification preferences ${userId}:`, error);
+      return {userId, reason: null};
+    }
+  }));
+
+  const skipped = decisions.filter((decision) => decision.reason !== null);
+  if (skipped.length > 0) {
+    logger.info(`Notification recipients filtered by preferences`, {
+      type: notification.type,
+      childId: notification.childId,
+      geofenceId: notification.geofenceId,
+      skipped: skipped,
+    });
+  }
+
+  return decisions
+      .filter((decision) => decision.reason === null)
+      .map((decision) => decision.userId);
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  DIGEST_TYPES,
+  DEFAULT_PREFERENCES,
+  TIME_PATTERN,
+  isValidTimeZone,
+  isWithinQuietHours,
+  minutesInTimeZone,
+  timeToMinutes,
+  formatLocalTime,
+  localDateString,
+  withDefaults,
+  applyPreferencesUpdate,
+  getNotificationPreferences,
+  filterRecipients,
+};
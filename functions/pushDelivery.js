@@ -0,0 +1,213 @@
+/**
+ * Push delivery shared by every function that notifies users
+ * Looks up recipients' FCM tokens, sends with sendEachForMulticast in chunks,
+ * classifies per-token failures and removes tokens FCM reports as unregistered
+ */
+
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+const {removeTokens} = require("./deviceTokens");
+
+// sendEachForMulticast accepts at most 500 tokens per call
+const MULTICAST_CHUNK_SIZE = 500;
+
+// Error codes that mean the token will never work again
+const UNREGISTERED_ERROR_CODES = [
+  "messaging/registration-token-not-registered",
+  "messaging/invalid-registration-token",
+];
+
+const TRANSIENT_ERROR_CODES = [
+  "messaging/internal-error",
+  "messaging/server-unavailable",
+  "messaging/unavailable",
+  "messaging/quota-exceeded",
+  "messaging/message-rate-exceeded",
+  "messaging/device-message-rate-exceeded",
+  "messaging/unknown-error",
+];
+
+const CONFIGURATION_ERROR_CODES = [
+  "messaging/third-party-auth-error",
+  "messaging/mismatched-credential",
+  "messaging/sender-id-mismatch",
+  "messaging/authentication-error",
+];
+
+const PAYLOAD_ERROR_CODES = [
+  "messaging/invalid-argument",
+  "messaging/invalid-payload",
+  "messaging/payload-size-limit-exceeded",
+  "messaging/invalid-apns-credentials",
+];
+
+/**
+ * Check whether a token is an old simulated/test token
+ * Real FCM tokens contain "APA91b"; old test tokens were manually generated
+ * and lack it
+ * @param {string} token FCM token
+ * @return {boolean} True if the token is simulated
+ */
+function isSimulatedToken(token) {
+  return token.startsWith("simulated_fcm_token_") ||
+    (!token.includes("APA91b") && token.includes(":"));
+}
+
+/**
+ * Classify a per-token send error
+ * @param {Object} error Error from a sendEachForMulticast response
+ * @return {string} One of unregistered, transient, configuration, payload,
+ *   unknown
+ */
+function classifyError(error) {
+  const code = error && error.code;
+  if (UNREGISTERED_ERROR_CODES.includes(code)) {
+    return "unregistered";
+  }
+  if (TRANSIENT_ERROR_CODES.includes(code)) {
+    return "transient";
+  }
+  if (CONFIGURATION_ERROR_CODES.includes(code)) {
+    return "configuration";
+  }
+  if (PAYLOAD_ERROR_CODES.includes(code)) {
+    return "payload";
+  }
+  return "unknown";
+}
+
+/**
+ * Shorten a token for logs and reports
+ * @param {string} token FCM token
+ * @return {string} Token prefix
+ */
+function tokenPreview(token) {
+  return token.substring(0, 20) + "...";
+}
+
+/**
+ * Look up the FCM tokens of a set of users
+ * @param {string[]} userIds User IDs
+ * @return {Promise<Array<{userId: string, token: string}>>} Token entries
+ */
+async function getUserTokens(userIds) {
+  const perUser = await Promise.all(userIds.map(async (userId) => {
+    try {
+      const userDoc = await admin.firestore()
+          .collection("users")
+          .doc(userId)
+          .get();
+
+      if (!userDoc.exists) {
+        return [];
+      }
+      const fcmTokens = userDoc.data().fcmTokens || [];
+      return fcmTokens.map((token) => ({userId, token}));
+    } catch (error) {
+      logger.error(`Error fetching tokens for user ${userId}:`, error);
+      return [];
+    }
+  }));
+
+  // The same token can be stored on two accounts after a sign-in switch
+  const seen = new Set();
+  return perUser.flat().filter((entry) => {
+    if (seen.has(entry.token)) {
+      return false;
+    }
+    seen.add(entry.token);
+    return true;
+  });
+}
+
+/**
+ * Send a notification to every device of a set of users
+ * @param {string[]} userIds Recipients
+ * @param {Object} message FCM message without a token/tokens field
+ * @return {Promise<Object>} Delivery report
+ */
+async function sendToUsers(userIds, message) {
+  const entries = await getUserTokens(userIds);
+  const report = {
+    recipients: userIds.length,
+    tokensFound: entries.length,
+    simulatedTokens: 0,
+    attempted: 0,
+    successCount: 0,
+    failureCount: 0,
+    removedTokens: 0,
+    errors: {},
+    results: [],
+  };
+
+  const simulated = entries.filter((entry) => isSimulatedToken(entry.token));
+  const deliverable = entries.filter((entry) => !isSimulatedToken(entry.token));
+  report.simulatedTokens = simulated.length;
+
+  if (simulated.length > 0) {
+    logger.info("Skipping simulated FCM tokens", {
+      tokens: simulated.map((entry) => tokenPreview(entry.token)),
+    });
+  }
+
+  const unregistered = [];
+
+  for (let i = 0; i < deliverable.length; i += MULTICAST_CHUNK_SIZE) {
+    const chunk = deliverable.slice(i, i + MULTICAST_CHUNK_SIZE);
+    const response = await admin.messaging().sendEachForMulticast({
+      ...message,
+      tokens: chunk.map((entry) => entry.token),
+    });
+
+    report.attempted += chunk.length;
+    report.successCount += response.successCount;
+    report.failureCount += response.failureCount;
+
+    response.responses.forEach((resp, idx) => {
+      const entry = chunk[idx];
+      if (resp.success) {
+        report.results.push({
+          userId: entry.userId,
+          token: tokenPreview(entry.token),
+          success: true,
+          messageId: resp.messageId,
+        });
+        return;
+      }
+
+      const category = classifyError(resp.error);
+      report.errors[category] = (report.errors[category] || 0) + 1;
+      report.results.push({
+        userId: entry.userId,
+        token: tokenPreview(entry.token),
+        success: false,
+        errorCode: resp.error ? resp.error.code : null,
+        category: category,
+      });
+
+      if (category === "unregistered") {
+        unregistered.push(entry);
+      }
+    });
+  }
+
+  report.removedTokens = await removeTokens(unregistered);
+
+  if (report.failureCount > 0) {
+    logger.warn("Some notifications could not be delivered", {
+      failureCount: report.failureCount,
+      errors: report.errors,
+      removedTokens: report.removedTokens,
+    });
+  }
+
+  return report;
+}
+
+module.exports = {
+  MULTICAST_CHUNK_SIZE,
+  isSimulatedToken,
+  classifyError,
+  getUserTokens,
+  sendToUsers,
+};
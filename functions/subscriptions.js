@@ -0,0 +1,171 @@
+/**
+ * Family subscription state
+ * Turns RevenueCat webhook events into updates of the family's
+ * subscriptionStatus, trialEndsAt and subscriptionExpiresAt. Statuses match
+ * the iOS SubscriptionStatus enum, so a billing issue is kept in its own
+ * fields instead of being a status
+ */
+
+const SUBSCRIPTION_STATUSES = ["trial", "active", "canceled", "expired"];
+
+// Length of the free trial every new family starts with
+const TRIAL_LENGTH_DAYS = 7;
+
+// How long before the trial ends the creator is reminded
+const TRIAL_REMINDER_DAYS = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Events that start or continue a paid (or store trial) period
+const RUNNING_EVENT_TYPES = [
+  "INITIAL_PURCHASE",
+  "RENEWAL",
+  "UNCANCELLATION",
+  "NON_RENEWING_PURCHASE",
+  "REFUND_REVERSED",
+];
+
+/**
+ * Subscription fields for a family starting its free trial
+ * @param {number} nowMillis Current time in millis
+ * @return {Object} Family fields to write
+ */
+function newTrialFields(nowMillis) {
+  const trialEndsAt = new Date(nowMillis + TRIAL_LENGTH_DAYS * DAY_MS);
+  return {
+    subscriptionStatus: "trial",
+    trialStartedAt: new Date(nowMillis),
+    trialEndsAt: trialEndsAt,
+    subscriptionExpiresAt: trialEndsAt,
+    subscriptionSource: "server",
+  };
+}
+
+/**
+ * Subscription fields for a family whose creator already used their trial
+ * @param {number} nowMillis Current time in millis
+ * @return {Object} Family fields to write
+ */
+function noTrialFields(nowMillis) {
+  return {
+    subscriptionStatus: "expired",
+    trialStartedAt: null,
+    trialEndsAt: null,
+    subscriptionExpiresAt: new Date(nowMillis),
+    subscriptionSource: "server",
+  };
+}
+
+/**
+ * Status for a period that runs until expiresAt
+ * @param {Object} event RevenueCat event
+ * @param {number|null} expiresAt Expiration in millis, null if it never ends
+ * @param {number} nowMillis Current time in millis
+ * @return {string} trial, active or expired
+ */
+function runningStatus(event, expiresAt, nowMillis) {
+  if (expiresAt !== null && expiresAt <= nowMillis) {
+    return "expired";
+  }
+  return event.period_type === "TRIAL" ? "trial" : "active";
+}
+
+/**
+ * Work out the family update for a RevenueCat event
+ * Events older than the last one applied are skipped, since RevenueCat can
+ * deliver them out of order
+ * @param {Object} familyData Current family document data
+ * @param {Object} event RevenueCat event (the "event" object of the webhook)
+ * @param {number} nowMillis Current time in millis
+ * @return {Object} {outcome, update}: outcome is applied, stale or ignored,
+ *   and update holds the family fields to write (null if none)
+ */
+function applySubscriptionEvent(familyData, event, nowMillis) {
+  const eventAt = Number.isFinite(event.event_timestamp_ms) ?
+    event.event_timestamp_ms :
+    nowMillis;
+  if (Number.isFinite(familyData.subscriptionEventAt) &&
+      eventAt < familyData.subscriptionEventAt) {
+    return {outcome: "stale", update: null};
+  }
+
+  const expiresAt = Number.isFinite(event.expiration_at_ms) ?
+    event.expiration_at_ms :
+    null;
+  const update = {};
+
+  if (RUNNING_EVENT_TYPES.includes(event.type)) {
+    update.subscriptionStatus = runningStatus(event, expiresAt, nowMillis);
+    update.subscriptionWillRenew = event.type !== "NON_RENEWING_PURCHASE";
+    update.billingIssue = false;
+    update.billingGracePeriodEndsAt = null;
+  } else if (event.type === "SUBSCRIPTION_EXTENDED") {
+    // Only the expiration moves; a canceled subscription stays canceled
+    if (familyData.subscriptionStatus === "expired") {
+      update.subscriptionStatus = runningStatus(event, expiresAt, nowMillis);
+    }
+  } else if (event.type === "CANCELLATION") {
+    // Still entitled until the period ends, unless it was refunded
+    update.subscriptionStatus = expiresAt !== null && expiresAt <= nowMillis ?
+      "expired" :
+      "canceled";
+    update.subscriptionWillRenew = false;
+    update.cancelReason = event.cancel_reason || null;
+  } else if (event.type === "EXPIRATION") {
+    update.subscriptionStatus = "expired";
+    update.subscriptionWillRenew = false;
+    update.expirationReason = event.expiration_reason || null;
+  } else if (event.type === "BILLING_ISSUE") {
+    update.billingIssue = true;
+    update.billingIssueDetectedAt = new Date(eventAt);
+    update.billingGracePeriodEndsAt =
+      Number.isFinite(event.grace_period_expiration_at_ms) ?
+        new Date(event.grace_period_expiration_at_ms) :
+        null;
+  } else {
+    return {outcome: "ignored", update: null};
+  }
+
+  if (event.type !== "BILLING_ISSUE") {
+    update.subscriptionExpiresAt = expiresAt !== null ?
+      new Date(expiresAt) :
+      null;
+    if (event.period_type === "TRIAL" && expiresAt !== null) {
+      update.trialEndsAt = new Date(expiresAt);
+    }
+  }
+  if (event.product_id) {
+    update.subscriptionProductId = event.product_id;
+  }
+  if (event.store) {
+    update.subscriptionStore = event.store;
+  }
+  update.subscriptionEventAt = eventAt;
+  update.subscriptionSource = "revenuecat";
+
+  return {outcome: "applied", update: update};
+}
+
+/**
+ * RevenueCat app user IDs an event may belong to, most specific first
+ * Anonymous RevenueCat IDs are left out since they never match a user
+ * @param {Object} event RevenueCat event
+ * @return {string[]} Candidate Firebase user IDs
+ */
+function subscriptionEventUserIds(event) {
+  const ids = [event.app_user_id, event.original_app_user_id]
+      .concat(Array.isArray(event.aliases) ? event.aliases : []);
+  return [...new Set(ids)].filter((id) =>
+    typeof id === "string" && id.length > 0 &&
+      !id.startsWith("$RCAnonymousID:"));
+}
+
+module.exports = {
+  SUBSCRIPTION_STATUSES,
+  TRIAL_LENGTH_DAYS,
+  TRIAL_REMINDER_DAYS,
+  newTrialFields,
+  noTrialFields,
+  applySubscriptionEvent,
+  subscriptionEventUserIds,
+};
@@ -0,0 +1,312 @@
+/**
+ * Location timeline building
+ * Groups a child's location history points into stays (time spent in one
+ * place) and trips (movement between stays), with a simplified polyline per
+ * trip so the app doesn't have to draw every raw point
+ */
+
+const {EARTH_RADIUS_METERS, distanceMeters} = require("./geo");
+
+// Points within this distance of a stay's first point belong to the stay
+const STAY_RADIUS_METERS = 100;
+
+// Shortest time in one place that counts as a stay
+const STAY_MIN_DURATION_MS = 5 * 60 * 1000;
+
+// Points less accurate than this are ignored
+const MAX_POINT_ACCURACY_METERS = 100;
+
+// Trips shorter than this are GPS jitter between two parts of the same stay
+const MIN_TRIP_DISTANCE_METERS = 150;
+
+// Douglas-Peucker tolerance used to simplify trip polylines
+const POLYLINE_TOLERANCE_METERS = 15;
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Offset of a timezone from UTC at a given moment
+ * @param {Date} date Moment to check
+ * @param {string} timeZone IANA timezone name
+ * @return {number} Offset in milliseconds (local time minus UTC)
+ */
+function timeZoneOffsetMillis(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((part) => part.type === type).value);
+
+  const localAsUTC = Date.UTC(get("year"), get("month") - 1, get("day"),
+      get("hour"), get("minute"), get("second"));
+  return localAsUTC - (date.getTime() - date.getUTCMilliseconds());
+}
+
+/**
+ * Local midnight of a calendar date in the given timezone
+ * @param {number} year Full year
+ * @param {number} month Month, 1-12
+ * @param {number} day Day of month (may overflow into the next month)
+ * @param {string} timeZone IANA timezone name
+ * @return {number} Milliseconds since epoch
+ */
+function localMidnight(year, month, day, timeZone) {
+  const utcMidnight = Date.UTC(year, month - 1, day);
+  const guess = utcMidnight -
+    timeZoneOffsetMillis(new Date(utcMidnight), timeZone);
+  // Re-check the offset at the guess in case a DST change sits in between
+  return utcMidnight - timeZoneOffsetMillis(new Date(guess), timeZone);
+}
+
+/**
+ * Start and end of a local calendar day
+ * @param {string} date Calendar date in "YYYY-MM-DD" format
+ * @param {string} timeZone IANA timezone name
+ * @return {{start: number, end: number}} Milliseconds, end exclusive
+ */
+function localDayRange(date, timeZone) {
+  const match = DATE_PATTERN.exec(date);
+  if (!match) {
+    throw new Error("date must be in YYYY-MM-DD format");
+  }
+  const [year, month, day] = match.slice(1).map(Number);
+  const check = new Date(Date.UTC(year, month - 1, day));
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+    throw new Error(`Invalid date: ${date}`);
+  }
+  return {
+    start: localMidnight(year, month, day, timeZone),
+    end: localMidnight(year, month, day + 1, timeZone),
+  };
+}
+
+/**
+ * Simplify a path with the Douglas-Peucker algorithm
+ * @param {Array<{lat: number, lng: number}>} points Path to simplify
+ * @param {number} toleranceMeters Largest allowed deviation
+ * @return {Array<{lat: number, lng: number}>} Simplified path
+ */
+function simplifyPath(points, toleranceMeters) {
+  if (points.length <= 2) {
+    return points.slice();
+  }
+
+  // Flat projection around the first point is accurate enough at trip scale
+  const origin = points[0];
+  const metersPerDegree = EARTH_RADIUS_METERS * Math.PI / 180;
+  const cosLat = Math.cos(origin.lat * Math.PI / 180);
+  const projected = points.map((point) => ({
+    x: (point.lng - origin.lng) * metersPerDegree * cosLat,
+    y: (point.lat - origin.lat) * metersPerDegree,
+  }));
+
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+  const stack = [[0, points.length - 1]];
+
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    const a = projected[first];
+    const b = projected[last];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+
+    let maxDistance = 0;
+    let maxIndex = -1;
+    for (let i = first + 1; i < last; i++) {
+      const p = projected[i];
+      let t = lengthSquared === 0 ?
+        0 :
+        ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared;
+      t = Math.max(0, Math.min(1, t));
+      const distance = Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        maxIndex = i;
+      }
+    }
+
+    if (maxIndex !== -1 && maxDistance > toleranceMeters) {
+      keep[maxIndex] = true;
+      stack.push([first, maxIndex], [maxIndex, last]);
+    }
+  }
+
+  return points.filter((point, index) => keep[index]);
+}
+
+/**
+ * Encode a path in the Google encoded polyline format (precision 5)
+ * @param {Array<{lat: number, lng: number}>} points Path to encode
+ * @return {string} Encoded polyline
+ */
+function encodePolyline(points) {
+  let previousLat = 0;
+  let previousLng = 0;
+  let encoded = "";
+
+  const encodeValue = (value) => {
+    let remaining = value < 0 ? ~(value << 1) : value << 1;
+    let chunk = "";
+    while (remaining >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (remaining & 0x1f)) + 63);
+      remaining >>= 5;
+    }
+    return chunk + String.fromCharCode(remaining + 63);
+  };
+
+  points.forEach((point) => {
+    const lat = Math.round(point.lat * 1e5);
+    const lng = Math.round(point.lng * 1e5);
+    encoded += encodeValue(lat - previousLat) + encodeValue(lng - previousLng);
+    previousLat = lat;
+    previousLng = lng;
+  });
+
+  return encoded;
+}
+
+/**
+ * Build a stay summary from its points
+ * @param {Object[]} points Points in the stay, in time order
+ * @return {Object} Stay segment
+ */
+function buildStay(points) {
+  const center = {
+    lat: points.reduce((sum, point) => sum + point.lat, 0) / points.length,
+    lng: points.reduce((sum, point) => sum + point.lng, 0) / points.length,
+  };
+  const first = points[0];
+  const last = points[points.length - 1];
+
+  return {
+    type: "stay",
+    startAt: first.timestamp,
+    endAt: last.timestamp,
+    durationSeconds: Math.round((last.timestamp - first.timestamp) / 1000),
+    center: center,
+    radiusMeters: Math.round(Math.max(...points.map((point) =>
+      distanceMeters(center, point)))),
+    address: points.map((point) => point.address).find(Boolean) || null,
+    pointCount: points.length,
+  };
+}
+
+/**
+ * Build a trip summary from its points
+ * @param {Object[]} points Points along the trip, in time order
+ * @return {Object} Trip segment
+ */
+function buildTrip(points) {
+  let distance = 0;
+  for (let i = 1; i < points.length; i++) {
+    distance += distanceMeters(points[i - 1], points[i]);
+  }
+  const first = points[0];
+  const last = points[points.length - 1];
+  const durationSeconds = Math.round((last.timestamp - first.timestamp) / 1000);
+
+  return {
+    type: "trip",
+    startAt: first.timestamp,
+    endAt: last.timestamp,
+    durationSeconds: durationSeconds,
+    distanceMeters: Math.round(distance),
+    averageSpeedMps: durationSeconds > 0 ?
+      Math.round(distance / durationSeconds * 10) / 10 :
+      0,
+    start: {lat: first.lat, lng: first.lng},
+    end: {lat: last.lat, lng: last.lng},
+    polyline: encodePolyline(
+        simplifyPath(points, POLYLINE_TOLERANCE_METERS)),
+    pointCount: points.length,
+  };
+}
+
+/**
+ * Group location points into stays and trips
+ * @param {Array<Object>} points Points with lat, lng, timestamp (millis),
+ *   accuracy and address, in any order
+ * @return {Object[]} Stay and trip segments in time order
+ */
+function segmentPoints(points) {
+  const usable = points
+      .filter((point) => point.accuracy === null ||
+        point.accuracy === undefined ||
+        point.accuracy <= MAX_POINT_ACCURACY_METERS)
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+  const segments = [];
+  let tripPoints = [];
+
+  const addTrip = () => {
+    if (tripPoints.length < 2) {
+      return;
+    }
+    const trip = buildTrip(tripPoints);
+    if (trip.distanceMeters >= MIN_TRIP_DISTANCE_METERS) {
+      segments.push(trip);
+    }
+  };
+
+  const addStay = (stayPoints) => {
+    const previous = segments[segments.length - 1];
+    if (previous && previous.type === "stay" &&
+        distanceMeters(previous.center, stayPoints[0]) <= STAY_RADIUS_METERS) {
+      // No real trip in between, so this is the same stay continuing
+      previous.points.push(...stayPoints);
+      segments[segments.length - 1] = {
+        ...buildStay(previous.points),
+        points: previous.points,
+      };
+      return;
+    }
+    segments.push({...buildStay(stayPoints), points: stayPoints});
+  };
+
+  let i = 0;
+  while (i < usable.length) {
+    let j = i + 1;
+    while (j < usable.length &&
+        distanceMeters(usable[i], usable[j]) <= STAY_RADIUS_METERS) {
+      j++;
+    }
+
+    if (usable[j - 1].timestamp - usable[i].timestamp >=
+        STAY_MIN_DURATION_MS) {
+      tripPoints.push(usable[i]);
+      addTrip();
+      addStay(usable.slice(i, j));
+      tripPoints = [usable[j - 1]];
+      i = j;
+    } else {
+      tripPoints.push(usable[i]);
+      i++;
+    }
+  }
+  addTrip();
+
+  // The raw points were only kept to merge stays
+  return segments.map((segment) => {
+    const summary = {...segment};
+    delete summary.points;
+    return summary;
+  });
+}
+
+module.exports = {
+  STAY_RADIUS_METERS,
+  STAY_MIN_DURATION_MS,
+  localDayRange,
+  simplifyPath,
+  encodePolyline,
+  segmentPoints,
+};